@@ -1,84 +1,456 @@
 import { useState, useEffect, useMemo } from 'react';
 import './App.css';
-import { DEFAULT_CATEGORIES } from './constants/categories';
-import { getStoredData, saveData, getDefaultCategory, getMonthlyTrend, triggerDownload, applyRecurringTransactions } from './utils/helpers';
+import { DEFAULT_CATEGORIES, TRANSFER_CATEGORY, TRANSFER_FEES_CATEGORY } from './constants/categories';
+import { getStoredData, saveData, getDefaultCategory, applyBatchChange, getMonthlyTrend, triggerDownload, applyRecurringTransactions, buildRecurringTransaction, configureFormatting, formatDate, formatMonthYear, normalizeTag, baseAmountOf, baseFeeOf, isSplit, sumByCategory, foreignTotals, foreignByCategory, collectTags, summarizeTags } from './utils/helpers';
+import { convertAmount } from './utils/currency';
+import { DEFAULT_CURRENCY } from './constants/currencies';
+import { DEFAULT_SETTINGS, DEFAULT_ALERT_SETTINGS } from './constants/settings';
+import { DEFAULT_RULE } from './constants/recurrence';
+import { DEFAULT_DATE_RANGE, DEFAULT_AMOUNT_RANGE } from './constants/filters';
+import { parseDateKey, toDateKey, normalizeRule, scheduledDatesBetween } from './utils/recurrence';
+import { resolveDateRange, isInDateRange, describeDateRange } from './utils/dateRange';
+import { parseSearchQuery } from './utils/search';
+import { viewFilters, isSameFilters, describeFilters } from './utils/filterViews';
+import { describeStorageError } from './utils/storage';
+import { pruneAttachments, exportAttachments, importAttachments } from './utils/attachments';
+import { runMigrations, SCHEMA_VERSION, listSchemaBackups, addSchemaBackup } from './utils/migrations';
+import { periodOf, spendingByPeriod, resolveBudgets, budgetHistory, latestPeriodBefore, removeCategoryBudgets, budgetCrossings } from './utils/budgets';
+import { MAX_NOTIFICATIONS, describeBudgetAlert, showBrowserNotification } from './utils/notifications';
+import { goalProgress } from './utils/goals';
+import { BACKUP_COLLECTIONS, createBackup, applyRestore } from './utils/backup';
+import { EMPTY_HISTORY, recordChange, undoChanges, redoChanges } from './utils/history';
 import Header from './components/Header';
 import UndoToast from './components/UndoToast';
+import BudgetAlertToast from './components/BudgetAlertToast';
+import NotificationCenter from './components/NotificationCenter';
+import HistoryPanel from './components/HistoryPanel';
 import SummaryCards from './components/SummaryCards';
 import ChartSection from './components/ChartSection';
 import FilterSection from './components/FilterSection';
+import SavedViews from './components/SavedViews';
 import TransactionList from './components/TransactionList';
 import TransactionForm from './components/TransactionForm';
 import BudgetGoals from './components/BudgetGoals';
+import SavingsGoals from './components/SavingsGoals';
 import RecurringList from './components/RecurringList';
+import RecurringEditForm from './components/RecurringEditForm';
+import RecurringHistory from './components/RecurringHistory';
+import PendingRecurring from './components/PendingRecurring';
+import CalendarView from './components/CalendarView';
 import { DEFAULT_WALLETS } from './constants/wallets';
 import WalletBar from './components/WalletBar';
 import Insights from './components/Insights';
+import StorageErrorBanner from './components/StorageErrorBanner';
+import RestoreDialog from './components/RestoreDialog';
+import CSVImportWizard from './components/CSVImportWizard';
+import StatementImportDialog from './components/StatementImportDialog';
+import { getStatementFormat } from './utils/statements';
+import CategoryManager from './components/CategoryManager';
+import ExchangeRates from './components/ExchangeRates';
+import SettingsPanel from './components/SettingsPanel';
+import TagReport from './components/TagReport';
 
 const blankForm = (categories, wallets, type = 'expense') => ({
   amount: '',
   type,
   categoryId: getDefaultCategory(type, categories),
   walletId: wallets?.[0]?.id || '',
+  currency: wallets?.[0]?.currency || DEFAULT_CURRENCY,
+  toWalletId: '',
+  fee: '',
+  toAmount: '',
+  splits: [],
+  tags: [],
+  attachments: [],
   date: new Date().toISOString().split('T')[0],
   note: '',
   recurring: false,
+  recurrence: { ...DEFAULT_RULE },
+  requiresConfirmation: false,
 });
 
+// Income, expense and balance totals in the base currency. Transfers only
+// move money between wallets, so totals leave them out except for their fee.
+const summarize = (transactions, baseCurrency) => {
+  const result = transactions.reduce(
+    (acc, t) => {
+      const isTransfer = t.type === 'transfer';
+      if (isTransfer && !(t.fee > 0)) return acc;
+      const field = t.type === 'income' ? 'income' : 'expenses';
+      acc[field] += isTransfer ? baseFeeOf(t) : baseAmountOf(t);
+      if (t.baseAmount === null) acc.missingRates += 1;
+
+      // Keep the original amounts of anything not in the base currency
+      const currency = t.currency || DEFAULT_CURRENCY;
+      if (currency !== baseCurrency) {
+        acc.foreign[currency] = acc.foreign[currency] || { income: 0, expenses: 0 };
+        acc.foreign[currency][field] += isTransfer ? t.fee : t.amount;
+      }
+      return acc;
+    },
+    { income: 0, expenses: 0, missingRates: 0, foreign: {} }
+  );
+  result.balance = result.income - result.expenses;
+  return result;
+};
+
+// Split transactions count each line toward its own category; transfer fees
+// get a row of their own
+const spendingByCategory = (transactions, categories, baseCurrency) => {
+  const spent   = sumByCategory(transactions, 'expense');
+  const foreign = foreignByCategory(transactions, 'expense', baseCurrency);
+  const transfers = transactions.filter(t => t.type === 'transfer');
+  const fees = {
+    ...TRANSFER_FEES_CATEGORY,
+    value:   transfers.reduce((s, t) => s + baseFeeOf(t), 0),
+    foreign: foreignTotals(transfers, 'expense', baseCurrency),
+  };
+  return categories
+    .map(cat => ({
+      name:    cat.name,
+      value:   spent[cat.id] || 0,
+      foreign: foreign[cat.id] || {},
+      color:   cat.color,
+      icon:    cat.icon,
+    }))
+    .concat(fees)
+    .filter(cat => cat.value > 0)
+    .sort((a, b) => b.value - a.value);
+};
+
 function App() {
-  const [transactions, setTransactions] = useState(() => getStoredData('transactions', []));
-  const [categories] = useState(DEFAULT_CATEGORIES);
+  const [transactions, setTransactions] = useState([]);
+  const [categories, setCategories] = useState(DEFAULT_CATEGORIES);
   const [currentDate, setCurrentDate] = useState(new Date());
   const [showForm, setShowForm] = useState(false);
   const [editingTransaction, setEditingTransaction] = useState(null);
   const [formData, setFormData] = useState(() => blankForm(DEFAULT_CATEGORIES, DEFAULT_WALLETS));
-  const [undoTransaction, setUndoTransaction] = useState(null);
+  const [history, setHistory] = useState(EMPTY_HISTORY);
+  const [undoToast, setUndoToast] = useState(null);
+  const [showHistory, setShowHistory] = useState(false);
   const [searchQuery, setSearchQuery] = useState('');
   const [selectedCategory, setSelectedCategory] = useState('all');
   const [selectedType, setSelectedType] = useState('all');
-  const [budgets, setBudgets] = useState(() => getStoredData('budgets', {}));
-  const [recurringTemplates, setRecurringTemplates] = useState(
-    () => getStoredData('recurringTemplates', [])
-  );
-  const [wallets, setWallets] = useState(() => getStoredData('wallets', DEFAULT_WALLETS));
+  const [selectedTag, setSelectedTag] = useState('all');
+  const [dateRange, setDateRange] = useState(DEFAULT_DATE_RANGE);
+  const [amountRange, setAmountRange] = useState(DEFAULT_AMOUNT_RANGE);
+  const [savedViews, setSavedViews] = useState([]);
+  const [budgets, setBudgets] = useState({});
+  const [goals, setGoals] = useState([]);
+  const [recurringTemplates, setRecurringTemplates] = useState([]);
+  const [wallets, setWallets] = useState(DEFAULT_WALLETS);
   const [selectedWallet, setSelectedWallet] = useState('all');
-
+  const [isLoaded, setIsLoaded] = useState(false);
+  const [storageError, setStorageError] = useState(null);
+  const [pendingRestore, setPendingRestore] = useState(null);
+  const [pendingCSV, setPendingCSV] = useState(null);
+  const [pendingStatement, setPendingStatement] = useState(null);
+  const [csvPresets, setCsvPresets] = useState([]);
+  const [exchangeRates, setExchangeRates] = useState([]);
+  const [baseCurrency, setBaseCurrency] = useState(DEFAULT_CURRENCY);
+  const [settings, setSettings] = useState(DEFAULT_SETTINGS);
+  const [showSettings, setShowSettings] = useState(false);
+  const [editingTemplate, setEditingTemplate] = useState(null);
+  const [viewingTemplateId, setViewingTemplateId] = useState(null);
+  const [pendingRecurring, setPendingRecurring] = useState([]);
+  const [today, setToday] = useState(() => toDateKey(new Date()));
+  const [transactionView, setTransactionView] = useState('list');
+  const [notifications, setNotifications] = useState([]);
+  const [alertSettings, setAlertSettings] = useState(DEFAULT_ALERT_SETTINGS);
+  const [budgetAlert, setBudgetAlert] = useState(null);
+  const [showNotifications, setShowNotifications] = useState(false);
+
+  // Load every collection once; nothing is saved back until this finishes
   useEffect(() => {
-    saveData('transactions', transactions);
-  }, [transactions]);
+    let cancelled = false;
+
+    Promise.all([
+      getStoredData('transactions', []),
+      getStoredData('categories', DEFAULT_CATEGORIES),
+      getStoredData('budgets', {}),
+      getStoredData('recurringTemplates', []),
+      getStoredData('wallets', DEFAULT_WALLETS),
+      getStoredData('schemaVersion', 0),
+      getStoredData('csvPresets', []),
+      getStoredData('exchangeRates', []),
+      getStoredData('baseCurrency', DEFAULT_CURRENCY),
+      getStoredData('settings', DEFAULT_SETTINGS),
+      getStoredData('pendingRecurring', []),
+      getStoredData('goals', []),
+      getStoredData('notifications', []),
+      getStoredData('alertSettings', DEFAULT_ALERT_SETTINGS),
+      getStoredData('savedViews', []),
+    ])
+      .then(async ([
+        storedTransactions, storedCategories, storedBudgets, storedTemplates, storedWallets,
+        storedVersion, storedPresets, storedRates, storedBaseCurrency, storedSettings, storedPending, storedGoals,
+        storedNotifications, storedAlertSettings, storedViews,
+      ]) => {
+        const stored = {
+          transactions:       storedTransactions,
+          categories:         storedCategories,
+          budgets:            storedBudgets,
+          recurringTemplates: storedTemplates,
+          wallets:            storedWallets,
+          exchangeRates:      storedRates,
+          goals:              storedGoals,
+        };
+
+        const migration = runMigrations(stored, storedVersion);
+        if (migration.error) {
+          // Keep running on the untouched data; the next load retries
+          console.error(migration.error.cause);
+          setStorageError(`Your data could not be upgraded (step ${migration.error.version}: ${migration.error.description}). Nothing was changed.`);
+        } else if (migration.applied.length > 0) {
+          // Keep the pre-migration snapshot so the upgrade can be rolled back.
+          // Best effort: a full copy may not fit in localStorage, and the
+          // upgrade goes ahead without it
+          await getStoredData('schemaBackup', [])
+            .then(backups => saveData('schemaBackup', addSchemaBackup(backups, {
+              version: storedVersion, data: stored, createdAt: new Date().toISOString(),
+            })))
+            .catch(err => console.error(err));
+
+          // The version only moves once the upgraded data is written; if
+          // anything fails the next load migrates the old data again
+          try {
+            await Promise.all(Object.keys(stored).map(key => saveData(key, migration.data[key])));
+            await saveData('schemaVersion', migration.version);
+          } catch (err) {
+            console.error(err);
+            if (!cancelled) setStorageError(describeStorageError(err));
+          }
+        }
+        if (cancelled) return;
+
+        // Recurring transactions due since the last visit are posted once this is loaded
+        const data = migration.data;
+        setTransactions(data.transactions);
+        setCategories(data.categories);
+        setBudgets(data.budgets);
+        setGoals(data.goals);
+        setRecurringTemplates(data.recurringTemplates);
+        setPendingRecurring(storedPending);
+        setWallets(data.wallets);
+        setCsvPresets(storedPresets);
+        setExchangeRates(data.exchangeRates);
+        setBaseCurrency(storedBaseCurrency);
+        // Settings added in later versions fall back to their defaults
+        setSettings({ ...DEFAULT_SETTINGS, ...storedSettings });
+        setNotifications(storedNotifications);
+        setAlertSettings({ ...DEFAULT_ALERT_SETTINGS, ...storedAlertSettings });
+        setSavedViews(storedViews);
+        setIsLoaded(true);
+
+        // Files left behind by deleted transactions or abandoned forms
+        pruneAttachments(data.transactions).catch(err => console.error(err));
+      })
+      .catch(err => {
+        if (cancelled) return;
+        console.error(err);
+        setStorageError('Your saved data could not be loaded. Try reloading the page.');
+      });
+
+    return () => { cancelled = true; };
+  }, []);
+
+  // Everything a backup holds, as it is now
+  const backupState = () => ({
+    transactions, categories, wallets, budgets, goals, recurringTemplates, pendingRecurring,
+    exchangeRates, savedViews, csvPresets, baseCurrency, settings, alertSettings, notifications,
+  });
+
+  // Puts back the collections saved before the last upgrade and reloads,
+  // which upgrades them again from scratch
+  const rollbackUpgrade = async () => {
+    try {
+      const [latest, ...older] = listSchemaBackups(await getStoredData('schemaBackup', []));
+      if (!latest) {
+        alert('There is no earlier upgrade to roll back.');
+        return;
+      }
+      if (!confirm(`Put your data back the way it was before the upgrade on ${formatDate(latest.createdAt)}? Changes made since then will be lost.`)) return;
+
+      await Promise.all(Object.entries(latest.data).map(([key, value]) => saveData(key, value)));
+      await saveData('schemaBackup', older);
+      await saveData('schemaVersion', latest.version);
+      window.location.reload();
+    } catch (err) {
+      console.error(err);
+      setStorageError(describeStorageError(err));
+    }
+  };
+
+  const persist = (key, data) => {
+    saveData(key, data).catch(err => {
+      console.error(err);
+      setStorageError(describeStorageError(err));
+    });
+  };
 
   useEffect(() => {
-    saveData('recurringTemplates', recurringTemplates);
-  }, [recurringTemplates]);
+    if (isLoaded) persist('transactions', transactions);
+  }, [isLoaded, transactions]);
 
   useEffect(() => {
-    if (!undoTransaction) return;
-    const timer = setTimeout(() => setUndoTransaction(null), 5000);
-    return () => clearTimeout(timer);
-  }, [undoTransaction]);
+    if (isLoaded) persist('recurringTemplates', recurringTemplates);
+  }, [isLoaded, recurringTemplates]);
 
   useEffect(() => {
-    saveData('budgets', budgets);
-  }, [budgets]);
+    if (isLoaded) persist('pendingRecurring', pendingRecurring);
+  }, [isLoaded, pendingRecurring]);
 
+  // A tab left open keeps its day current: checked every minute and on return to the tab
+  useEffect(() => {
+    const checkDate = () => setToday(toDateKey(new Date()));
+    const handleVisibility = () => { if (document.visibilityState === 'visible') checkDate(); };
+    const timer = setInterval(checkDate, 60 * 1000);
+    document.addEventListener('visibilitychange', handleVisibility);
+    return () => {
+      clearInterval(timer);
+      document.removeEventListener('visibilitychange', handleVisibility);
+    };
+  }, []);
 
+  // Post (or queue for review) whatever recurring templates have due, on load,
+  // when the day changes and when templates change
   useEffect(() => {
-    if (recurringTemplates.length === 0) return;
-    const { newTransactions, updatedTemplates } = applyRecurringTransactions(
+    if (!isLoaded) return;
+    const { newTransactions, newPending, updatedTemplates } = applyRecurringTransactions(
       recurringTemplates,
-      transactions
+      transactions,
+      pendingRecurring
     );
-    if (newTransactions.length > 0) {
-      setTransactions(prev => [...newTransactions, ...prev]);
-      setRecurringTemplates(updatedTemplates);
-    }
-  // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, []);
+    if (newTransactions.length === 0 && newPending.length === 0) return;
+    setTransactions(prev => [...newTransactions, ...prev]);
+    setPendingRecurring(prev => [...prev, ...newPending]);
+    setRecurringTemplates(updatedTemplates);
+  }, [isLoaded, today, recurringTemplates, transactions, pendingRecurring]);
 
   useEffect(() => {
-    saveData('wallets', wallets);
-  }, [wallets]);
+    if (!undoToast) return;
+    const timer = setTimeout(() => setUndoToast(null), 5000);
+    return () => clearTimeout(timer);
+  }, [undoToast]);
 
+  useEffect(() => {
+    if (isLoaded) persist('budgets', budgets);
+  }, [isLoaded, budgets]);
+
+  useEffect(() => {
+    if (isLoaded) persist('goals', goals);
+  }, [isLoaded, goals]);
+
+  useEffect(() => {
+    if (isLoaded) persist('savedViews', savedViews);
+  }, [isLoaded, savedViews]);
+
+  useEffect(() => {
+    if (isLoaded) persist('wallets', wallets);
+  }, [isLoaded, wallets]);
+
+  useEffect(() => {
+    if (isLoaded) persist('categories', categories);
+  }, [isLoaded, categories]);
+
+  useEffect(() => {
+    if (isLoaded) persist('csvPresets', csvPresets);
+  }, [isLoaded, csvPresets]);
+
+  useEffect(() => {
+    if (isLoaded) persist('exchangeRates', exchangeRates);
+  }, [isLoaded, exchangeRates]);
+
+  useEffect(() => {
+    if (isLoaded) persist('baseCurrency', baseCurrency);
+  }, [isLoaded, baseCurrency]);
+
+  useEffect(() => {
+    if (isLoaded) persist('settings', settings);
+  }, [isLoaded, settings]);
+
+  useEffect(() => {
+    if (isLoaded) persist('notifications', notifications);
+  }, [isLoaded, notifications]);
+
+  useEffect(() => {
+    if (isLoaded) persist('alertSettings', alertSettings);
+  }, [isLoaded, alertSettings]);
+
+  useEffect(() => {
+    if (!budgetAlert) return;
+    const timer = setTimeout(() => setBudgetAlert(null), 8000);
+    return () => clearTimeout(timer);
+  }, [budgetAlert]);
+
+  configureFormatting({ currency: baseCurrency, ...settings });
+
+
+  const viewingTemplate = recurringTemplates.find(t => t.id === viewingTemplateId);
+
+
+  // ── Undo / redo ──
+  // Snapshots cover everything a user action can change, so an undo puts
+  // back exactly what was there
+  const snapshot = () => ({
+    transactions, categories, wallets, budgets, goals, recurringTemplates, pendingRecurring, exchangeRates, savedViews,
+    alertSettings, notifications, csvPresets, baseCurrency, settings,
+  });
+
+  const restoreSnapshot = (state) => {
+    setTransactions(state.transactions);
+    setCategories(state.categories);
+    setWallets(state.wallets);
+    setBudgets(state.budgets);
+    setGoals(state.goals);
+    setRecurringTemplates(state.recurringTemplates);
+    setPendingRecurring(state.pendingRecurring);
+    setExchangeRates(state.exchangeRates);
+    setSavedViews(state.savedViews);
+    setAlertSettings(state.alertSettings);
+    setNotifications(state.notifications);
+    setCsvPresets(state.csvPresets);
+    setBaseCurrency(state.baseCurrency);
+    setSettings(state.settings);
+    if (selectedWallet !== 'all' && !state.wallets.some(w => w.id === selectedWallet)) setSelectedWallet('all');
+    if (selectedCategory !== 'all' && !state.categories.some(c => c.id === selectedCategory)) setSelectedCategory('all');
+  };
+
+  // Call before changing anything; `toast` also offers an Undo button for a few seconds
+  const remember = (label, { toast } = {}) => {
+    setHistory(prev => recordChange(prev, label, snapshot()));
+    setUndoToast(toast ? { message: toast } : null);
+  };
+
+  const undo = (steps = 1) => {
+    if (history.past.length === 0) return;
+    const result = undoChanges(history, snapshot(), steps);
+    restoreSnapshot(result.snapshot);
+    setHistory(result.history);
+    setUndoToast(null);
+  };
+
+  const redo = (steps = 1) => {
+    if (history.future.length === 0) return;
+    const result = redoChanges(history, snapshot(), steps);
+    restoreSnapshot(result.snapshot);
+    setHistory(result.history);
+    setUndoToast(null);
+  };
+
+  // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS, Ctrl+Y also redoes). Typing fields keep their own undo.
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      const target = e.target;
+      if (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)) return;
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) { e.preventDefault(); undo(); }
+      else if ((key === 'z' && e.shiftKey) || key === 'y') { e.preventDefault(); redo(); }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  });
 
   const getCategoryInfo = (categoryId) =>
     categories.find(c => c.id === categoryId) ||
@@ -87,64 +459,84 @@ function App() {
   const getWalletInfo = (walletId) =>
     wallets.find(w => w.id === walletId) || null;
 
-  const filteredTransactions = useMemo(() => {
-    return transactions.filter(t => {
-      const tDate = new Date(t.date);
-      const matchesMonth =
-        tDate.getMonth() === currentDate.getMonth() &&
-        tDate.getFullYear() === currentDate.getFullYear();
-      if (!matchesMonth) return false;
-
-      const category = getCategoryInfo(t.categoryId);
-      const matchesSearch =
-        searchQuery === '' ||
-        t.note.toLowerCase().includes(searchQuery.toLowerCase()) ||
-        category.name.toLowerCase().includes(searchQuery.toLowerCase());
-
-      const matchesCategory = selectedCategory === 'all' || t.categoryId === selectedCategory;
-      const matchesType     = selectedType === 'all' || t.type === selectedType;
-      const matchesWallet   = selectedWallet === 'all' || t.walletId === selectedWallet;
+  // e.g. "expense (Food)", for history labels
+  const describeTransaction = (t) =>
+    t.type === 'transfer' ? 'transfer' : `${t.type} (${getCategoryInfo(t.categoryId).name})`;
+
+  // Every transaction with its amount in the base currency (null = no rate)
+  const baseTransactions = useMemo(() => {
+    return transactions.map(t => ({
+      ...t,
+      baseAmount: convertAmount(t.amount, t.currency || DEFAULT_CURRENCY, baseCurrency, t.date, exchangeRates),
+    }));
+  }, [transactions, baseCurrency, exchangeRates]);
+
+  const dateBounds = useMemo(
+    () => resolveDateRange(dateRange, currentDate, today),
+    [dateRange, currentDate, today]
+  );
+
+  // The search box query as a filter; a malformed one is ignored until fixed
+  const search = useMemo(() => parseSearchQuery(searchQuery), [searchQuery]);
+
+  // Everything the search and filters match, in any month
+  const matchingTransactions = useMemo(() => {
+    const minAmount = parseFloat(amountRange.min);
+    const maxAmount = parseFloat(amountRange.max);
 
-      return matchesSearch && matchesCategory && matchesType && matchesWallet;
+    return baseTransactions.filter(t => {
+      const lines = isSplit(t) ? t.splits : [];
+      const matchesSearch = !search.predicate || search.predicate(t, { getCategoryInfo, getWalletInfo });
+
+      const matchesCategory =
+        selectedCategory === 'all' ||
+        t.categoryId === selectedCategory ||
+        lines.some(line => line.categoryId === selectedCategory);
+      const matchesType     = selectedType === 'all' || t.type === selectedType;
+      const matchesTag      = selectedTag === 'all' || (t.tags || []).includes(selectedTag);
+      const matchesWallet   = selectedWallet === 'all' || t.walletId === selectedWallet || t.toWalletId === selectedWallet;
+      // Amount limits compare the base-currency amount
+      const matchesAmount   =
+        (isNaN(minAmount) || baseAmountOf(t) >= minAmount) &&
+        (isNaN(maxAmount) || baseAmountOf(t) <= maxAmount);
+
+      return matchesSearch && matchesCategory && matchesType && matchesTag && matchesWallet && matchesAmount;
     });
 
   // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [transactions, currentDate, searchQuery, selectedCategory, selectedType, selectedWallet]);
+  }, [baseTransactions, search, selectedCategory, selectedType, selectedTag, selectedWallet, amountRange]);
 
+  // The list, summaries, charts and CSV export follow the active date range
+  const filteredTransactions = useMemo(
+    () => matchingTransactions.filter(t => isInDateRange(t.date, dateBounds)),
+    [matchingTransactions, dateBounds]
+  );
 
-  const summary = useMemo(() => {
-    const result = filteredTransactions.reduce(
-      (acc, t) => {
-        if (t.type === 'expense') acc.expenses += t.amount;
-        else acc.income += t.amount;
-        return acc;
-      },
-      { income: 0, expenses: 0 }
-    );
-    result.balance = result.income - result.expenses;
-    return result;
+  const summary = useMemo(() => summarize(filteredTransactions, baseCurrency), [filteredTransactions, baseCurrency]);
 
-  }, [filteredTransactions]);
+  const categoryData = useMemo(
+    () => spendingByCategory(filteredTransactions, categories, baseCurrency),
+    [filteredTransactions, categories, baseCurrency]
+  );
 
+  // Insights compare the header month with the one before, whatever the range
+  const monthTransactions = useMemo(() => {
+    const monthStart = toDateKey(new Date(currentDate.getFullYear(), currentDate.getMonth(), 1));
+    const monthEnd   = toDateKey(new Date(currentDate.getFullYear(), currentDate.getMonth() + 1, 0));
+    return matchingTransactions.filter(t => isInDateRange(t.date, { from: monthStart, to: monthEnd }));
+  }, [matchingTransactions, currentDate]);
 
-  const categoryData = useMemo(() => {
-    return categories
-      .map(cat => ({
-        name:  cat.name,
-        value: filteredTransactions
-          .filter(t => t.categoryId === cat.id && t.type === 'expense')
-          .reduce((s, t) => s + t.amount, 0),
-        color: cat.color,
-        icon:  cat.icon,
-      }))
-      .filter(cat => cat.value > 0)
-      .sort((a, b) => b.value - a.value);
-  }, [filteredTransactions, categories]);
+  const monthSummary = useMemo(() => summarize(monthTransactions, baseCurrency), [monthTransactions, baseCurrency]);
+
+  const monthCategoryData = useMemo(
+    () => spendingByCategory(monthTransactions, categories, baseCurrency),
+    [monthTransactions, categories, baseCurrency]
+  );
 
 
   const lastMonthSummary = useMemo(() => {
     const lastMonth = new Date(currentDate.getFullYear(), currentDate.getMonth() - 1, 1);
-    const lastMonthTx = transactions.filter(t => {
+    const lastMonthTx = baseTransactions.filter(t => {
       const d = new Date(t.date);
       return (
         d.getMonth() === lastMonth.getMonth() &&
@@ -152,15 +544,13 @@ function App() {
       );
     });
 
-    const income   = lastMonthTx.filter(t => t.type === 'income').reduce((s, t) => s + t.amount, 0);
-    const expenses = lastMonthTx.filter(t => t.type === 'expense').reduce((s, t) => s + t.amount, 0);
-    return { income, expenses, balance: income - expenses };
+    return summarize(lastMonthTx, baseCurrency);
 
-  }, [transactions, currentDate]);
+  }, [baseTransactions, currentDate, baseCurrency]);
 
   const lastMonthCategoryData = useMemo(() => {
     const lastMonth = new Date(currentDate.getFullYear(), currentDate.getMonth() - 1, 1);
-    const lastMonthTx = transactions.filter(t => {
+    const lastMonthTx = baseTransactions.filter(t => {
       const d = new Date(t.date);
       return (
         d.getMonth() === lastMonth.getMonth() &&
@@ -168,55 +558,138 @@ function App() {
       );
     });
 
-    return categories
-      .map(cat => ({
-        name:  cat.name,
-        value: lastMonthTx
-          .filter(t => t.categoryId === cat.id && t.type === 'expense')
-          .reduce((s, t) => s + t.amount, 0),
-        color: cat.color,
-        icon:  cat.icon,
-      }))
-      .filter(cat => cat.value > 0);
+    return spendingByCategory(lastMonthTx, categories, baseCurrency);
 
-  }, [transactions, currentDate, categories]);
+  }, [baseTransactions, currentDate, categories, baseCurrency]);
 
 
-  const monthlyTrendData = useMemo(() => getMonthlyTrend(transactions), [transactions]);
+  // A month shows the six months up to now; other ranges show their own months
+  const rangeLabel = describeDateRange(dateRange, dateBounds);
+  const monthlyTrendData = useMemo(() => {
+    if (dateRange.preset === 'month') return getMonthlyTrend(baseTransactions);
+    const earliest = baseTransactions.reduce((min, t) => (t.date < min ? t.date : min), today);
+    return getMonthlyTrend(baseTransactions, { from: dateBounds.from || earliest, to: dateBounds.to || today });
+  }, [baseTransactions, dateRange.preset, dateBounds, today]);
 
+  // Each wallet's balance is kept in the wallet's own currency. Balances
+  // run from the wallet's opening balance up to the end of the viewed month;
+  // anything dated before the opening date is already part of it.
   const walletBalances = useMemo(() => {
+    const inWalletCurrency = (amount, currency, wallet, date) =>
+      convertAmount(amount, currency || DEFAULT_CURRENCY, wallet.currency || DEFAULT_CURRENCY, date, exchangeRates) || 0;
+
+    // What a transaction adds to (or takes from) one wallet
+    const walletDelta = (t, wallet) => {
+      if (t.type !== 'transfer') {
+        return (t.type === 'income' ? 1 : -1) * inWalletCurrency(t.amount, t.currency, wallet, t.date);
+      }
+      if (t.walletId === wallet.id) {
+        return -inWalletCurrency(t.amount + (t.fee || 0), t.currency, wallet, t.date);
+      }
+      // The received amount is already in the destination's currency when given
+      return t.toAmount ?? inWalletCurrency(t.amount, t.currency, wallet, t.date);
+    };
+
+    const lastDay  = new Date(currentDate.getFullYear(), currentDate.getMonth() + 1, 0);
+    const monthEnd = `${lastDay.getFullYear()}-${String(lastDay.getMonth() + 1).padStart(2, '0')}-${String(lastDay.getDate()).padStart(2, '0')}`;
+
     return wallets.reduce((acc, wallet) => {
-      const walletTx = transactions.filter(t => {
-        const d = new Date(t.date);
-        return (
-          t.walletId === wallet.id &&
-          d.getMonth() === currentDate.getMonth() &&
-          d.getFullYear() === currentDate.getFullYear()
-        );
-      });
-      const income   = walletTx.filter(t => t.type === 'income').reduce((s, t) => s + t.amount, 0);
-      const expenses = walletTx.filter(t => t.type === 'expense').reduce((s, t) => s + t.amount, 0);
+      const walletTx = transactions.filter(t => t.walletId === wallet.id || t.toWalletId === wallet.id);
+      const counted  = walletTx.filter(t => !wallet.openingDate || t.date >= wallet.openingDate);
+      const currency = wallet.currency || DEFAULT_CURRENCY;
+      const opening  = wallet.openingBalance || 0;
+
+      // A wallet opened after the viewed month had nothing in it yet
+      const balance = wallet.openingDate > monthEnd
+        ? 0
+        : counted
+          .filter(t => t.date <= monthEnd)
+          .reduce((s, t) => s + walletDelta(t, wallet), opening);
+
       acc[wallet.id] = {
-        balance: income - expenses,
+        balance,
+        baseBalance: convertAmount(balance, currency, baseCurrency, monthEnd, exchangeRates) || 0,
+        allTimeBalance: counted.reduce((s, t) => s + walletDelta(t, wallet), opening),
+        currency,
         txCount: walletTx.length,
       };
       return acc;
     }, {});
-  }, [wallets, transactions, currentDate]);
+  }, [wallets, transactions, currentDate, exchangeRates, baseCurrency]);
 
 
-  const spentByCategory = useMemo(() => {
-    return categories.reduce((acc, cat) => {
-      acc[cat.id] = filteredTransactions
-        .filter(t => t.categoryId === cat.id && t.type === 'expense')
-        .reduce((s, t) => s + t.amount, 0);
+  const categoryUsage = useMemo(() => {
+    return transactions.reduce((acc, t) => {
+      const ids = isSplit(t) ? new Set(t.splits.map(line => line.categoryId)) : [t.categoryId];
+      ids.forEach(id => { acc[id] = (acc[id] || 0) + 1; });
       return acc;
     }, {});
-  }, [filteredTransactions, categories]);
+  }, [transactions]);
+
+
+  // Budgets are judged on everything spent in the month, whatever the filters
+  const budgetPeriod = periodOf(currentDate);
+  const spending = useMemo(() => spendingByPeriod(baseTransactions), [baseTransactions]);
+  const spentByCategory = spending[budgetPeriod] || {};
+  const foreignSpent = useMemo(
+    () => foreignByCategory(baseTransactions.filter(t => periodOf(t.date) === budgetPeriod), 'expense', baseCurrency),
+    [baseTransactions, budgetPeriod, baseCurrency]
+  );
+  const budgetStatus = useMemo(
+    () => resolveBudgets(budgets, spending, budgetPeriod),
+    [budgets, spending, budgetPeriod]
+  );
+  const budgetPeriods = useMemo(() => budgetHistory(budgets, spending), [budgets, spending]);
+
+  // Goals count everything saved so far, whatever month is being viewed
+  const goalStatus = useMemo(
+    () => Object.fromEntries(goals.map(goal => [goal.id, goalProgress(goal, baseTransactions, today)])),
+    [goals, baseTransactions, today]
+  );
+
+  const allTags = useMemo(() => collectTags(transactions), [transactions]);
+
+  const tagSummary = useMemo(() => summarizeTags(baseTransactions), [baseTransactions]);
+
+  // Recurring occurrences in the viewed month that aren't posted yet:
+  // ones waiting for review and ones still to come
+  const upcomingOccurrences = useMemo(() => {
+    const monthStart = toDateKey(new Date(currentDate.getFullYear(), currentDate.getMonth(), 1));
+    const monthEnd   = toDateKey(new Date(currentDate.getFullYear(), currentDate.getMonth() + 1, 0));
+    const inWallet   = (template) => selectedWallet === 'all' || template.walletId === selectedWallet;
+    const occurrence = (template, date, amount, status) => ({
+      id: `${template.id}:${date}`,
+      template,
+      date,
+      amount,
+      baseAmount: convertAmount(amount, template.currency || DEFAULT_CURRENCY, baseCurrency, date, exchangeRates),
+      status,
+    });
+
+    const pending = pendingRecurring
+      .filter(entry => entry.date >= monthStart && entry.date <= monthEnd)
+      .map(entry => ({ entry, template: recurringTemplates.find(t => t.id === entry.templateId) }))
+      .filter(({ template }) => template && inWallet(template))
+      .map(({ entry, template }) => occurrence(template, entry.date, entry.amount, 'pending'));
+
+    const upcoming = recurringTemplates
+      .filter(template => template.active && inWallet(template))
+      .flatMap(template =>
+        scheduledDatesBetween(template, monthStart, monthEnd)
+          .filter(date => date > today && (!template.lastGeneratedDate || date > template.lastGeneratedDate))
+          .map(date => occurrence(template, date, template.amount, 'upcoming'))
+      );
+
+    return [...pending, ...upcoming];
+  }, [recurringTemplates, pendingRecurring, currentDate, today, selectedWallet, baseCurrency, exchangeRates]);
 
-  const hasActiveFilters = searchQuery || selectedCategory !== 'all' || selectedType !== 'all';
+  const hasActiveFilters =
+    searchQuery || selectedCategory !== 'all' || selectedType !== 'all' || selectedTag !== 'all' ||
+    dateRange.preset !== 'month' || amountRange.min !== '' || amountRange.max !== '';
 
+  // Stepping through months brings a custom range back to the picked month
   const changeMonth = (direction) => {
+    setDateRange(DEFAULT_DATE_RANGE);
     setCurrentDate(prev => {
       const d = new Date(prev);
       d.setMonth(d.getMonth() + direction);
@@ -230,6 +703,27 @@ function App() {
     setShowForm(true);
   };
 
+  const openAddFormOn = (date) => {
+    setEditingTransaction(null);
+    setFormData({ ...blankForm(categories, wallets, 'expense'), date });
+    setShowForm(true);
+  };
+
+  // A contribution is a transfer into the goal's wallet, tagged with its tag
+  const openContributionForm = (goal) => {
+    const from = wallets.find(w => w.id !== goal.walletId) || wallets[0];
+    setEditingTransaction(null);
+    setFormData({
+      ...blankForm(categories, wallets, 'transfer'),
+      walletId:   from?.id || '',
+      currency:   from?.currency || DEFAULT_CURRENCY,
+      toWalletId: goal.walletId || '',
+      tags:       goal.tag ? [goal.tag] : [],
+      note:       goal.name,
+    });
+    setShowForm(true);
+  };
+
   const openEditForm = (transaction) => {
     setEditingTransaction(transaction);
     setFormData({
@@ -237,49 +731,128 @@ function App() {
       type: transaction.type,
       categoryId: transaction.categoryId,
       walletId:   transaction.walletId || wallets[0]?.id || '',
+      currency:   transaction.currency || DEFAULT_CURRENCY,
+      toWalletId: transaction.toWalletId || '',
+      fee:        transaction.fee || '',
+      toAmount:   transaction.toAmount ?? '',
+      splits:     isSplit(transaction) ? transaction.splits.map(line => ({ ...line })) : [],
+      tags:       transaction.tags || [],
+      attachments: transaction.attachments || [],
       date: transaction.date,
       note: transaction.note,
       recurring: false,
+      recurrence: { ...DEFAULT_RULE },
+      requiresConfirmation: false,
     });
     setShowForm(true);
   };
 
 
-  const handleSubmit = (e) => {
-    e.preventDefault();
-
-    const newTransaction = {
-      id: crypto.randomUUID(),
+  // Transfers swap the category for a destination wallet and an optional fee
+  const fieldsFromForm = () => {
+    const fields = {
       amount: parseFloat(formData.amount),
       type: formData.type,
-      categoryId: formData.categoryId,
       walletId: formData.walletId,
+      currency: formData.currency,
       date: formData.date,
       note: formData.note,
+      ...(formData.tags.length > 0 && { tags: formData.tags }),
+      ...(formData.attachments.length > 0 && { attachments: formData.attachments }),
+    };
+    if (formData.type !== 'transfer' && formData.splits.length > 0) {
+      const splits = formData.splits.map(line => ({
+        id: line.id,
+        categoryId: line.categoryId,
+        amount: parseFloat(line.amount),
+        note: line.note || '',
+      }));
+      // The first line's category stands in for the whole payment
+      return { ...fields, categoryId: splits[0].categoryId, splits };
+    }
+    if (formData.type !== 'transfer') return { ...fields, categoryId: formData.categoryId };
+
+    const from = getWalletInfo(formData.walletId);
+    const to   = getWalletInfo(formData.toWalletId);
+    const crossCurrency = from?.currency !== to?.currency;
+    return {
+      ...fields,
+      currency: from?.currency || formData.currency,
+      toWalletId: formData.toWalletId,
+      fee: parseFloat(formData.fee) || 0,
+      ...(crossCurrency && formData.toAmount !== '' && { toAmount: parseFloat(formData.toAmount) }),
+    };
+  };
+
+  // Alerts for budgets a saved transaction pushed past the threshold or over
+  const checkBudgetAlerts = (saved) => {
+    const period = periodOf(saved.date);
+    const withBase = {
+      ...saved,
+      baseAmount: convertAmount(saved.amount, saved.currency || DEFAULT_CURRENCY, baseCurrency, saved.date, exchangeRates),
+    };
+    const after = spendingByPeriod([withBase, ...baseTransactions.filter(t => t.id !== saved.id)]);
+    const alerts = budgetCrossings(budgets, spending, after, period, alertSettings.threshold)
+      .filter(c => !alertSettings.muted.includes(c.categoryId))
+      .map(c => ({ id: crypto.randomUUID(), ...c, period, createdAt: new Date().toISOString(), read: false }));
+    if (alerts.length === 0) return;
+
+    setNotifications(prev => [...alerts, ...prev].slice(0, MAX_NOTIFICATIONS));
+    setBudgetAlert(alerts[0]);
+    if (alertSettings.browser) {
+      alerts.forEach(a => showBrowserNotification(describeBudgetAlert(a, getCategoryInfo(a.categoryId).name)));
+    }
+  };
+
+  // Drop fields that belonged to the old type
+  const applyFormTo = (t) => {
+    const {
+      categoryId: _categoryId, splits: _splits, tags: _tags, attachments: _attachments,
+      toWalletId: _toWalletId, fee: _fee, toAmount: _toAmount,
+      ...rest
+    } = t;
+    return { ...rest, ...fieldsFromForm() };
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    // A new recurring transaction is the first one its template generated
+    const templateId = !editingTransaction && formData.recurring && formData.type !== 'transfer'
+      ? crypto.randomUUID()
+      : null;
+
+    const newTransaction = {
+      id: crypto.randomUUID(),
+      ...fieldsFromForm(),
+      ...(templateId && { recurringId: templateId }),
       createdAt: new Date().toISOString(),
     };
 
+    remember(`${editingTransaction ? 'Edited' : 'Added'} ${describeTransaction(newTransaction)}`);
     if (editingTransaction) {
-      setTransactions(prev =>
-        prev.map(t =>
-          t.id === editingTransaction.id
-            ? { ...t, ...formData, amount: parseFloat(formData.amount) }
-            : t
-        )
-      );
+      setTransactions(prev => prev.map(t => t.id === editingTransaction.id ? applyFormTo(t) : t));
+      checkBudgetAlerts(applyFormTo(editingTransaction));
     } else {
       setTransactions(prev => [newTransaction, ...prev]);
+      checkBudgetAlerts(newTransaction);
 
       // If recurring is checked, save a template too
-      if (formData.recurring) {
+      if (templateId) {
         const template = {
-          id: crypto.randomUUID(),
+          id: templateId,
           amount: parseFloat(formData.amount),
           type: formData.type,
-          categoryId: formData.categoryId,
+          categoryId: newTransaction.categoryId,
+          ...(newTransaction.splits && { splits: newTransaction.splits }),
+          ...(newTransaction.tags && { tags: newTransaction.tags }),
+          walletId: formData.walletId,
+          currency: formData.currency,
           note: formData.note,
           startDate: formData.date,
-          dayOfMonth: new Date(formData.date).getDate(),
+          dayOfMonth: parseDateKey(formData.date).getDate(),
+          rule: normalizeRule(formData.recurrence),
+          requiresConfirmation: formData.requiresConfirmation,
           active: true,
           lastGeneratedDate: formData.date,
           createdAt: new Date().toISOString(),
@@ -293,91 +866,280 @@ function App() {
   };
 
   const handleDelete = (transaction) => {
+    remember(`Deleted ${describeTransaction(transaction)}`, { toast: 'Transaction deleted' });
     setTransactions(prev => prev.filter(t => t.id !== transaction.id));
-    setUndoTransaction(transaction);
   };
 
-  const handleUndo = () => {
-    if (undoTransaction) {
-      setTransactions(prev => [undoTransaction, ...prev]);
-      setUndoTransaction(null);
+  // Batch edits from the transaction list; rows a change doesn't fit are left as they are
+  const handleBatchUpdate = (ids, change) => {
+    const selected = new Set(ids);
+    let skipped = 0;
+    const updated = transactions.map(t => {
+      if (!selected.has(t.id)) return t;
+      const next = applyBatchChange(t, change, categories);
+      if (!next) skipped += 1;
+      return next || t;
+    });
+    if (skipped === ids.length) {
+      alert('None of the selected transactions can take this change.');
+      return;
+    }
+
+    const labels = {
+      categoryId: `Changed category to ${getCategoryInfo(change.value).name}`,
+      walletId:   `Moved to wallet "${getWalletInfo(change.value)?.name}"`,
+      date:       `Changed date to ${formatDate(change.value)}`,
+      tag:        `Tagged #${normalizeTag(change.value)}`,
+    };
+    const changed = ids.length - skipped;
+    remember(`${labels[change.field]} (${changed} transaction${changed !== 1 ? 's' : ''})`);
+    setTransactions(updated);
+    if (skipped > 0) {
+      const reason = change.field === 'categoryId'
+        ? 'transfers, split transactions and rows of the other type keep their category'
+        : 'a transfer cannot go into the wallet it comes from';
+      alert(`${skipped} of the selected transaction${skipped !== 1 ? 's were' : ' was'} left unchanged: ${reason}.`);
     }
   };
 
+  const handleBatchDelete = (ids) => {
+    const selected = new Set(ids);
+    remember(`Deleted ${ids.length} transaction${ids.length !== 1 ? 's' : ''}`, {
+      toast: `${ids.length} transaction${ids.length !== 1 ? 's' : ''} deleted`,
+    });
+    setTransactions(prev => prev.filter(t => !selected.has(t.id)));
+  };
+
   const clearFilters = () => {
     setSearchQuery('');
     setSelectedCategory('all');
     setSelectedType('all');
+    setSelectedTag('all');
+    setDateRange(DEFAULT_DATE_RANGE);
+    setAmountRange(DEFAULT_AMOUNT_RANGE);
+  };
+
+
+  // ── Saved views ──
+  const currentFilters = {
+    searchQuery,
+    categoryId:  selectedCategory,
+    type:        selectedType,
+    tag:         selectedTag,
+    walletId:    selectedWallet,
+    dateRange,
+    amountRange,
+  };
+  const activeView = savedViews.find(view => isSameFilters(viewFilters(view), currentFilters));
+  const describeView = (filters) => describeFilters(filters, { getCategoryInfo, getWalletInfo }) || 'everything';
+
+  // Categories and wallets deleted since the view was saved fall back to all
+  const applyView = (view) => {
+    const filters = viewFilters(view);
+    setSearchQuery(filters.searchQuery);
+    setSelectedCategory(categories.some(c => c.id === filters.categoryId) ? filters.categoryId : 'all');
+    setSelectedType(filters.type);
+    setSelectedTag(filters.tag);
+    setSelectedWallet(wallets.some(w => w.id === filters.walletId) ? filters.walletId : 'all');
+    setDateRange(filters.dateRange);
+    setAmountRange(filters.amountRange);
+  };
+
+  const handleSaveView = (name, id, useCurrent) => {
+    remember(`${id ? 'Edited' : 'Saved'} view "${name}"`);
+    if (id) {
+      setSavedViews(prev => prev.map(v => v.id === id ? { ...v, name, ...(useCurrent && { filters: currentFilters }) } : v));
+    } else {
+      setSavedViews(prev => [...prev, { id: crypto.randomUUID(), name, filters: currentFilters, createdAt: new Date().toISOString() }]);
+    }
+  };
+
+  const handleRemoveView = (id) => {
+    remember(`Deleted view "${savedViews.find(v => v.id === id)?.name}"`, { toast: 'View deleted' });
+    setSavedViews(prev => prev.filter(v => v.id !== id));
   };
 
 
   const handleAddWallet = (data) => {
+    remember(`Added wallet "${data.name}"`);
     setWallets(prev => [...prev, { id: crypto.randomUUID(), ...data }]);
   };
 
   const handleEditWallet = (updated) => {
+    remember(`Edited wallet "${updated.name}"`);
     setWallets(prev => prev.map(w => w.id === updated.id ? updated : w));
   };
 
   const handleDeleteWallet = (id) => {
+    remember(`Deleted wallet "${getWalletInfo(id)?.name}"`, { toast: 'Wallet deleted' });
     setWallets(prev => prev.filter(w => w.id !== id));
   };
 
 
-  const handleSaveBudget = (categoryId, amount) => {
-    setBudgets(prev => ({ ...prev, [categoryId]: amount }));
+  const handleAddCategory = (data) => {
+    remember(`Added category "${data.name}"`);
+    setCategories(prev => [...prev, { id: crypto.randomUUID(), ...data }]);
+  };
+
+  const handleEditCategory = (updated) => {
+    remember(`Edited category "${updated.name}"`);
+    setCategories(prev => prev.map(c => c.id === updated.id ? updated : c));
+  };
+
+  const handleDeleteCategory = (id) => {
+    remember(`Deleted category "${getCategoryInfo(id).name}"`, { toast: 'Category deleted' });
+    setCategories(prev => prev.filter(c => c.id !== id));
+    setBudgets(prev => removeCategoryBudgets(prev, id));
+    setAlertSettings(prev => ({ ...prev, muted: prev.muted.filter(m => m !== id) }));
+    if (selectedCategory === id) setSelectedCategory('all');
+  };
+
+
+  // Budget changes only touch the month being viewed
+  const handleSaveBudget = (categoryId, amount, rollover) => {
+    remember(`Set ${getCategoryInfo(categoryId).name} budget for ${formatMonthYear(currentDate)}`);
+    setBudgets(prev => ({
+      ...prev,
+      [budgetPeriod]: { ...prev[budgetPeriod], [categoryId]: { amount, rollover } },
+    }));
   };
 
   const handleRemoveBudget = (categoryId) => {
+    remember(`Removed ${getCategoryInfo(categoryId).name} budget for ${formatMonthYear(currentDate)}`, { toast: 'Budget removed' });
     setBudgets(prev => {
-      const updated = { ...prev };
+      const updated = { ...prev[budgetPeriod] };
       delete updated[categoryId];
-      return updated;
+      return { ...prev, [budgetPeriod]: updated };
     });
   };
 
+  const handleCopyBudgets = (fromPeriod) => {
+    remember(`Copied budgets into ${formatMonthYear(currentDate)}`);
+    setBudgets(prev => ({ ...prev, [budgetPeriod]: { ...prev[fromPeriod] } }));
+  };
+
+
+  const handleSaveGoal = (fields, id) => {
+    remember(`${id ? 'Edited' : 'Added'} goal "${fields.name}"`);
+    if (id) {
+      setGoals(prev => prev.map(g => g.id === id ? { ...g, ...fields } : g));
+    } else {
+      setGoals(prev => [...prev, { id: crypto.randomUUID(), ...fields, createdAt: new Date().toISOString() }]);
+    }
+  };
+
+  const handleRemoveGoal = (id) => {
+    remember(`Removed goal "${goals.find(g => g.id === id)?.name}"`, { toast: 'Goal removed' });
+    setGoals(prev => prev.filter(g => g.id !== id));
+  };
+
+
+  const closeNotifications = () => {
+    setShowNotifications(false);
+    setNotifications(prev => prev.map(n => n.read ? n : { ...n, read: true }));
+  };
+
 
   const handlePauseRecurring = (id) => {
+    remember('Paused a recurring transaction');
     setRecurringTemplates(prev =>
       prev.map(t => t.id === id ? { ...t, active: false } : t)
     );
   };
 
   const handleResumeRecurring = (id) => {
+    remember('Resumed a recurring transaction');
     setRecurringTemplates(prev =>
       prev.map(t => t.id === id ? { ...t, active: true } : t)
     );
   };
 
+  // "all" also rewrites what the template already generated; dates stay as they were
+  const handleUpdateRecurring = (id, fields, scope) => {
+    remember(scope === 'all' ? 'Edited a recurring transaction and its past ones' : 'Edited a recurring transaction');
+    setRecurringTemplates(prev =>
+      prev.map(t => {
+        if (t.id !== id) return t;
+        const { splits: _splits, tags: _tags, ...rest } = t;
+        return { ...rest, ...fields };
+      })
+    );
+    if (scope === 'all') {
+      const { rule: _rule, requiresConfirmation: _requiresConfirmation, ...transactionFields } = fields;
+      setTransactions(prev =>
+        prev.map(t => {
+          if (t.recurringId !== id) return t;
+          const { splits: _splits, tags: _tags, ...rest } = t;
+          return { ...rest, ...transactionFields };
+        })
+      );
+    }
+    setEditingTemplate(null);
+  };
+
   const handleRemoveRecurring = (id) => {
     if (window.confirm('Remove this recurring transaction? Past transactions it generated will not be deleted.')) {
+      remember('Removed a recurring transaction', { toast: 'Recurring transaction removed' });
       setRecurringTemplates(prev => prev.filter(t => t.id !== id));
+      setPendingRecurring(prev => prev.filter(p => p.templateId !== id));
     }
   };
 
+  const handleApprovePending = (entry, amount) => {
+    remember('Added a reviewed recurring transaction');
+    const template = recurringTemplates.find(t => t.id === entry.templateId);
+    if (template) setTransactions(prev => [buildRecurringTransaction(template, entry.date, amount), ...prev]);
+    setPendingRecurring(prev => prev.filter(p => p.id !== entry.id));
+  };
+
+  const handleSkipPending = (entry) => {
+    remember('Skipped a recurring transaction');
+    setPendingRecurring(prev => prev.filter(p => p.id !== entry.id));
+  };
+
 
 
+  // Exports everything in the active date range
   const exportCSV = () => {
-    const monthTx = transactions.filter(t => {
-      const d = new Date(t.date);
-      return d.getMonth() === currentDate.getMonth() && d.getFullYear() === currentDate.getFullYear();
-    });
-    if (monthTx.length === 0) { alert('No transactions to export for this month'); return; }
+    const rangeTx = transactions.filter(t => isInDateRange(t.date, dateBounds));
+    if (rangeTx.length === 0) {
+      alert(`No transactions to export for ${dateRange.preset === 'month' ? 'this month' : 'this date range'}`);
+      return;
+    }
 
-    const rows = monthTx.map(t => {
-      const cat = getCategoryInfo(t.categoryId);
-      return [t.date, t.type, cat.name, t.amount, t.note || ''];
+    // A split transaction exports one row per line
+    const rows = rangeTx.flatMap(t => {
+      const currency = t.currency || DEFAULT_CURRENCY;
+      const tags     = (t.tags || []).join(' ');
+      if (isSplit(t)) {
+        return t.splits.map(line =>
+          [t.date, t.type, getCategoryInfo(line.categoryId).name, line.amount, currency, line.note || t.note || '', tags]
+        );
+      }
+      const cat = t.type === 'transfer' ? TRANSFER_CATEGORY : getCategoryInfo(t.categoryId);
+      return [[t.date, t.type, cat.name, t.amount, currency, t.note || '', tags]];
     });
     const csv = [
-      ['Date', 'Type', 'Category', 'Amount', 'Note'].join(','),
+      ['Date', 'Type', 'Category', 'Amount', 'Currency', 'Note', 'Tags'].join(','),
       ...rows.map(r => r.map(c => `"${c}"`).join(',')),
     ].join('\n');
-    const monthLabel = currentDate.toLocaleDateString('en-US', { month: 'long', year: 'numeric' }).replace(' ', '-');
-    triggerDownload(new Blob([csv], { type: 'text/csv' }), `expenses-${monthLabel}.csv`);
+    const rangeName = dateRange.preset === 'month'
+      ? currentDate.toLocaleDateString('en-US', { month: 'long', year: 'numeric' }).replace(' ', '-')
+      : dateBounds.from || dateBounds.to
+        ? `${dateBounds.from || 'start'}-to-${dateBounds.to || today}`
+        : 'all-time';
+    triggerDownload(new Blob([csv], { type: 'text/csv' }), `expenses-${rangeName}.csv`);
   };
 
-  const exportJSON = () => {
-    const data = { transactions, categories, exportDate: new Date().toISOString() };
+  const exportJSON = async () => {
+    let attachments = [];
+    try {
+      attachments = await exportAttachments(transactions);
+    } catch (err) {
+      console.error(err);
+      if (!confirm('Receipt attachments could not be read. Export the backup without them?')) return;
+    }
+    const data = createBackup(backupState(), attachments);
     triggerDownload(
       new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }),
       `expense-tracker-backup-${new Date().toISOString().split('T')[0]}.json`
@@ -396,127 +1158,184 @@ function App() {
         const data = JSON.parse(e.target.result);
 
         //! Step 1: Basic structure check
-        if (!data.transactions || !Array.isArray(data.transactions)) {
+        const hasCollections =
+          data && typeof data === 'object' &&
+          BACKUP_COLLECTIONS.some(({ key }) => data[key] !== undefined);
+        if (!hasCollections) {
           alert('Invalid file format. Please use a Monivra backup file.');
           return;
         }
 
-        //! Step 2: Validate each transaction
-        const requiredFields = ['id', 'amount', 'type', 'categoryId', 'date'];
-        const validTypes = ['income', 'expense'];
-        const validCategoryIds = categories.map(c => c.id);
-
-        const invalidItems = [];
-        const validItems = [];
-
-        data.transactions.forEach((t, index) => {
-          const problems = [];
-
-          // Check required fields exist
-          requiredFields.forEach(field => {
-            if (t[field] === undefined || t[field] === null || t[field] === '') {
-              problems.push(`missing "${field}"`);
-            }
-          });
-
-          // Check amount is a positive number
-          if (t.amount !== undefined) {
-            const amt = parseFloat(t.amount);
-            if (isNaN(amt) || amt <= 0) {
-              problems.push('invalid amount');
-            }
-          }
+        //! Step 2: Bring older backups up to the current schema
+        const fileVersion = data.schemaVersion || 0;
+        if (fileVersion > SCHEMA_VERSION) {
+          alert('This backup was made by a newer version of Monivra. Please update the app before importing it.');
+          return;
+        }
+        const migration = runMigrations(
+          // Older backups have no wallets of their own; migrate against ours
+          { ...data, wallets: data.wallets || wallets },
+          fileVersion
+        );
+        if (migration.error) {
+          alert(`This backup could not be upgraded (step ${migration.error.version}: ${migration.error.description}).`);
+          return;
+        }
 
-          // Check type is valid
-          if (t.type && !validTypes.includes(t.type)) {
-            problems.push(`unknown type "${t.type}"`);
-          }
+        //! Step 3: Let the user pick merge/replace and resolve conflicts
+        setPendingRestore({
+          fileName: file.name,
+          backup: {
+            ...migration.data,
+            wallets: data.wallets ? migration.data.wallets : undefined,
+            exportDate: data.exportDate,
+            attachments: Array.isArray(data.attachments) ? data.attachments : [],
+          },
+        });
 
-          // Check date is a real date
-          if (t.date) {
-            const parsed = new Date(t.date);
-            if (isNaN(parsed.getTime())) {
-              problems.push('invalid date');
-            }
-          }
+      } catch {
+        alert('Could not read the file. Make sure it is a valid Monivra JSON backup.');
+      } finally {
+        // Always reset file input so the same file can be re-selected
+        event.target.value = '';
+      }
+    };
 
-          // Check categoryId exists in our categories
-          if (t.categoryId && !validCategoryIds.includes(t.categoryId)) {
-            problems.push(`unknown category "${t.categoryId}"`);
-          }
+    reader.readAsText(file);
+  };
 
-          if (problems.length > 0) {
-            invalidItems.push({ index: index + 1, problems });
-          } else {
-            validItems.push(t);
-          }
+  const importCSV = (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
 
-        });
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      const text = e.target.result;
+      if (!text || !text.trim()) {
+        alert('This CSV file is empty.');
+      } else {
+        setPendingCSV({ fileName: file.name, text });
+      }
+      event.target.value = '';
+    };
+    reader.readAsText(file);
+  };
 
-        //! Step 3: Duplicate detection
-        const existingIds = new Set(transactions.map(t => t.id));
-        const duplicates  = validItems.filter(t => existingIds.has(t.id));
-        const newItems    = validItems.filter(t => !existingIds.has(t.id));
-        
-
-        //! Step 4: Build a clear summary for the user
-        const lines = [];
-        lines.push(`📂 File: ${file.name}`);
-        lines.push(`📋 Total transactions in file: ${data.transactions.length}`);
-        lines.push('');
-
-        if (invalidItems.length > 0) {
-          lines.push(`⚠️  Skipped (invalid data): ${invalidItems.length}`);
-          // Show details for up to 3 invalid items so we don't flood them
-          invalidItems.slice(0, 3).forEach(({ index, problems }) => {
-            lines.push(`   • Row ${index}: ${problems.join(', ')}`);
-          });
-          if (invalidItems.length > 3) {
-            lines.push(`   • ...and ${invalidItems.length - 3} more`);
-          }
-          lines.push('');
-        }
+  const importStatement = (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
 
-        if (duplicates.length > 0) {
-          lines.push(`🔁 Duplicates (already exist, will skip): ${duplicates.length}`);
-          lines.push('');
-        }
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      setPendingStatement({ fileName: file.name, format: getStatementFormat(file.name), text: e.target.result || '' });
+      event.target.value = '';
+    };
+    reader.readAsText(file);
+  };
 
-        lines.push(`✅ New transactions to import: ${newItems.length}`);
+  const importFile = (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+    if (/\.csv$/i.test(file.name)) importCSV(event);
+    else if (getStatementFormat(file.name)) importStatement(event);
+    else importJSON(event);
+  };
 
-        //! Step 5: Stop if there's nothing to import
-        if (newItems.length === 0) {
-          alert(
-            lines.join('\n') +
-            '\n\nNothing new to import. Your data is already up to date.'
-          );
-          // Reset file input so the same file can be re-selected if needed
-          event.target.value = '';
-          return;
-        }
+  const handleImportTransactions = (newItems) => {
+    remember(`Imported ${newItems.length} transaction${newItems.length !== 1 ? 's' : ''}`);
+    // Imported rows are in the currency of the wallet they land in
+    const withCurrency = newItems.map(t => ({
+      ...t,
+      currency: t.currency || getWalletInfo(t.walletId)?.currency || DEFAULT_CURRENCY,
+    }));
+    setTransactions(prev => [...withCurrency, ...prev]);
+    setPendingCSV(null);
+    setPendingStatement(null);
+    alert(`✅ Successfully imported ${newItems.length} new transaction${newItems.length !== 1 ? 's' : ''}.`);
+  };
 
-        //! Step 6: Confirm and import
-        lines.push('');
-        lines.push('Proceed with import?');
+  const handleAddRate = (data) => {
+    remember(`Added ${data.from}/${data.to} rate`);
+    setExchangeRates(prev => [...prev, { id: crypto.randomUUID(), ...data }]);
+  };
 
-        const confirmed = window.confirm(lines.join('\n'));
-        if (confirmed) {
-          setTransactions(prev => [...newItems, ...prev]);
-          alert(`✅ Successfully imported ${newItems.length} new transaction${newItems.length !== 1 ? 's' : ''}.`);
-        }
+  const handleEditRate = (updated) => {
+    remember(`Edited ${updated.from}/${updated.to} rate`);
+    setExchangeRates(prev => prev.map(r => r.id === updated.id ? updated : r));
+  };
 
-      } catch (err) {
-        alert('Could not read the file. Make sure it is a valid Monivra JSON backup.');
-      }
+  const handleDeleteRate = (id) => {
+    remember('Deleted an exchange rate', { toast: 'Rate deleted' });
+    setExchangeRates(prev => prev.filter(r => r.id !== id));
+  };
 
-      // Always reset file input after processing
-      event.target.value = '';
-    };
+  const handleChangeBaseCurrency = (currency) => {
+    if (currency === baseCurrency) return;
+    remember(`Changed base currency to ${currency}`);
+    setBaseCurrency(currency);
+  };
 
-    reader.readAsText(file);
+  const handleSaveCSVPreset = (preset) => {
+    setCsvPresets(prev => [
+      // Saving under an existing name replaces that preset
+      ...prev.filter(p => p.name.toLowerCase() !== preset.name.toLowerCase()),
+      { id: crypto.randomUUID(), ...preset },
+    ]);
   };
 
+  const handleDeleteCSVPreset = (id) => {
+    setCsvPresets(prev => prev.filter(p => p.id !== id));
+  };
 
+  const handleRestore = async (analysis, mode, policies) => {
+    const current = backupState();
+    const restored = applyRestore(current, analysis, mode, policies);
+    remember(mode === 'replace' ? 'Restored a backup' : 'Merged a backup');
+
+    // Write the files first so restored receipts open straight away
+    try {
+      await importAttachments(pendingRestore.backup.attachments, restored.transactions);
+    } catch (err) {
+      console.error(err);
+      setStorageError(describeStorageError(err));
+    }
+
+    setTransactions(restored.transactions);
+    setCategories(restored.categories);
+    setWallets(restored.wallets);
+    setBudgets(restored.budgets);
+    setGoals(restored.goals);
+    setRecurringTemplates(restored.recurringTemplates);
+    setPendingRecurring(restored.pendingRecurring);
+    setExchangeRates(restored.exchangeRates);
+    setSavedViews(restored.savedViews);
+    setCsvPresets(restored.csvPresets);
+    setBaseCurrency(restored.baseCurrency);
+    setSettings(restored.settings);
+    setAlertSettings(restored.alertSettings);
+    setNotifications(restored.notifications);
+
+    if (!restored.wallets.some(w => w.id === selectedWallet)) setSelectedWallet('all');
+    if (!restored.categories.some(c => c.id === selectedCategory)) setSelectedCategory('all');
+    setPendingRestore(null);
+
+    const added = restored.transactions.length - transactions.length;
+    alert(mode === 'replace'
+      ? `✅ Restored ${restored.transactions.length} transaction${restored.transactions.length !== 1 ? 's' : ''} from backup.`
+      : `✅ Backup merged. ${Math.max(added, 0)} new transaction${added !== 1 ? 's' : ''} added.`);
+  };
+
+
+
+  if (!isLoaded) {
+    return (
+      <div className="app">
+        {storageError
+          ? <StorageErrorBanner message={storageError} />
+          : <div className="app-loading"><i className="bi bi-hourglass-split"></i> Loading your data…</div>}
+      </div>
+    );
+  }
 
   return (
     <div className="app">
@@ -526,12 +1345,37 @@ function App() {
         onAddTransaction={openAddForm}
         onExportCSV={exportCSV}
         onExportJSON={exportJSON}
-        onImportJSON={importJSON}
+        onImportFile={importFile}
+        onOpenSettings={() => setShowSettings(true)}
+        onOpenHistory={() => setShowHistory(true)}
+        unreadCount={notifications.filter(n => !n.read).length}
+        onOpenNotifications={() => { setBudgetAlert(null); setShowNotifications(true); }}
       />
 
-      {undoTransaction && <UndoToast onUndo={handleUndo} />}
+      {undoToast && <UndoToast message={undoToast.message} onUndo={() => undo()} />}
+
+      {budgetAlert && (
+        <BudgetAlertToast
+          alert={budgetAlert}
+          category={getCategoryInfo(budgetAlert.categoryId)}
+          onView={() => { setBudgetAlert(null); setShowNotifications(true); }}
+          onDismiss={() => setBudgetAlert(null)}
+        />
+      )}
+
+      {storageError && (
+        <StorageErrorBanner message={storageError} onDismiss={() => setStorageError(null)} />
+      )}
+
+      <SummaryCards summary={summary} baseCurrency={baseCurrency} rangeLabel={rangeLabel} />
 
-      <SummaryCards summary={summary} />
+      <PendingRecurring
+        pending={pendingRecurring}
+        templates={recurringTemplates}
+        getCategoryInfo={getCategoryInfo}
+        onApprove={handleApprovePending}
+        onSkip={handleSkipPending}
+      />
 
       <WalletBar
         wallets={wallets}
@@ -545,10 +1389,44 @@ function App() {
 
       <BudgetGoals
         categories={categories}
-        budgets={budgets}
+        period={budgetPeriod}
+        budgetStatus={budgetStatus}
         spentByCategory={spentByCategory}
+        foreignSpent={foreignSpent}
+        warnAt={alertSettings.threshold}
+        copySource={Object.keys(budgetStatus).length === 0 ? latestPeriodBefore(budgets, budgetPeriod) : null}
+        history={budgetPeriods}
         onSave={handleSaveBudget}
         onRemove={handleRemoveBudget}
+        onCopy={handleCopyBudgets}
+      />
+
+      <SavingsGoals
+        goals={goals}
+        progress={goalStatus}
+        wallets={wallets}
+        allTags={allTags}
+        today={today}
+        onSave={handleSaveGoal}
+        onRemove={handleRemoveGoal}
+        onContribute={openContributionForm}
+      />
+
+      <CategoryManager
+        categories={categories}
+        categoryUsage={categoryUsage}
+        onAddCategory={handleAddCategory}
+        onEditCategory={handleEditCategory}
+        onDeleteCategory={handleDeleteCategory}
+      />
+
+      <ExchangeRates
+        rates={exchangeRates}
+        baseCurrency={baseCurrency}
+        onChangeBaseCurrency={handleChangeBaseCurrency}
+        onAddRate={handleAddRate}
+        onEditRate={handleEditRate}
+        onDeleteRate={handleDeleteRate}
       />
 
       <RecurringList
@@ -557,43 +1435,117 @@ function App() {
         onPause={handlePauseRecurring}
         onResume={handleResumeRecurring}
         onRemove={handleRemoveRecurring}
+        onEdit={setEditingTemplate}
+        onShowHistory={template => setViewingTemplateId(template.id)}
       />
 
       <ChartSection
         categoryData={categoryData}
         monthlyTrendData={monthlyTrendData}
+        trendLabel={dateRange.preset === 'month' ? 'Last 6 Months' : rangeLabel}
         hasTransactions={transactions.length > 0}
       />
 
       <Insights
-        summary={summary}
+        summary={monthSummary}
         lastMonthSummary={lastMonthSummary}
-        categoryData={categoryData}
+        categoryData={monthCategoryData}
         lastMonthCategoryData={lastMonthCategoryData}
         transactions={transactions}
         currentDate={currentDate}
       />
 
+      <TagReport
+        tagSummary={tagSummary}
+        onShowTag={(tag) => setSelectedTag(tag)}
+      />
+
+      <SavedViews
+        views={savedViews}
+        activeViewId={activeView?.id}
+        canSave={hasActiveFilters || selectedWallet !== 'all'}
+        describe={(view) => describeView(viewFilters(view))}
+        currentSummary={describeView(currentFilters)}
+        onApply={applyView}
+        onSave={handleSaveView}
+        onRemove={handleRemoveView}
+      />
+
       <FilterSection
         searchQuery={searchQuery}
         setSearchQuery={setSearchQuery}
+        searchError={search.error}
         selectedCategory={selectedCategory}
         setSelectedCategory={setSelectedCategory}
         selectedType={selectedType}
         setSelectedType={setSelectedType}
+        selectedTag={selectedTag}
+        setSelectedTag={setSelectedTag}
+        dateRange={dateRange}
+        setDateRange={setDateRange}
+        amountRange={amountRange}
+        setAmountRange={setAmountRange}
+        rangeLabel={rangeLabel}
+        tags={allTags}
         categories={categories}
         hasActiveFilters={hasActiveFilters}
         onClearFilters={clearFilters}
       />
 
-      <TransactionList
-        transactions={filteredTransactions}
-        getCategoryInfo={getCategoryInfo}
-        getWalletInfo={getWalletInfo}
-        onEdit={openEditForm}
-        onDelete={handleDelete}
-        hasActiveFilters={hasActiveFilters}
-      />
+      {transactionView === 'calendar' ? (
+        <CalendarView
+          currentDate={currentDate}
+          transactions={filteredTransactions}
+          occurrences={upcomingOccurrences}
+          today={today}
+          view={transactionView}
+          onViewChange={setTransactionView}
+          getCategoryInfo={getCategoryInfo}
+          getWalletInfo={getWalletInfo}
+          onEdit={openEditForm}
+          onDelete={handleDelete}
+          onAddOnDay={openAddFormOn}
+        />
+      ) : (
+        <TransactionList
+          transactions={filteredTransactions}
+          getCategoryInfo={getCategoryInfo}
+          getWalletInfo={getWalletInfo}
+          onEdit={openEditForm}
+          onDelete={handleDelete}
+          hasActiveFilters={hasActiveFilters}
+          view={transactionView}
+          onViewChange={setTransactionView}
+          categories={categories}
+          wallets={wallets}
+          allTags={allTags}
+          onBatchUpdate={handleBatchUpdate}
+          onBatchDelete={handleBatchDelete}
+        />
+      )}
+
+      {viewingTemplate && (
+        <RecurringHistory
+          template={viewingTemplate}
+          transactions={transactions}
+          category={getCategoryInfo(viewingTemplate.categoryId)}
+          onEditTransaction={t => { setViewingTemplateId(null); openEditForm(t); }}
+          onEditTemplate={() => { setViewingTemplateId(null); setEditingTemplate(viewingTemplate); }}
+          onClose={() => setViewingTemplateId(null)}
+        />
+      )}
+
+      {editingTemplate && (
+        <RecurringEditForm
+          template={editingTemplate}
+          generatedCount={transactions.filter(t => t.recurringId === editingTemplate.id).length}
+          categories={categories}
+          wallets={wallets}
+          allTags={allTags}
+          onSave={(fields, scope) => handleUpdateRecurring(editingTemplate.id, fields, scope)}
+          onClose={() => setEditingTemplate(null)}
+        />
+      )}
 
       {showForm && (
         <TransactionForm
@@ -604,6 +1556,75 @@ function App() {
           onClose={() => setShowForm(false)}
           categories={categories}
           wallets={wallets}
+          allTags={allTags}
+        />
+      )}
+
+      {showSettings && (
+        <SettingsPanel
+          settings={settings}
+          onChange={setSettings}
+          onRollbackUpgrade={rollbackUpgrade}
+          onClose={() => setShowSettings(false)}
+        />
+      )}
+
+      {showHistory && (
+        <HistoryPanel
+          history={history}
+          onUndo={undo}
+          onRedo={redo}
+          onClose={() => setShowHistory(false)}
+        />
+      )}
+
+      {showNotifications && (
+        <NotificationCenter
+          notifications={notifications}
+          alertSettings={alertSettings}
+          categories={categories}
+          getCategoryInfo={getCategoryInfo}
+          onChangeSettings={setAlertSettings}
+          onClear={() => setNotifications([])}
+          onClose={closeNotifications}
+        />
+      )}
+
+      {pendingRestore && (
+        <RestoreDialog
+          fileName={pendingRestore.fileName}
+          backup={pendingRestore.backup}
+          current={backupState()}
+          onRestore={handleRestore}
+          onClose={() => setPendingRestore(null)}
+        />
+      )}
+
+      {pendingCSV && (
+        <CSVImportWizard
+          fileName={pendingCSV.fileName}
+          text={pendingCSV.text}
+          categories={categories}
+          wallets={wallets}
+          transactions={transactions}
+          presets={csvPresets}
+          onSavePreset={handleSaveCSVPreset}
+          onDeletePreset={handleDeleteCSVPreset}
+          onImport={handleImportTransactions}
+          onClose={() => setPendingCSV(null)}
+        />
+      )}
+
+      {pendingStatement && (
+        <StatementImportDialog
+          fileName={pendingStatement.fileName}
+          format={pendingStatement.format}
+          text={pendingStatement.text}
+          categories={categories}
+          wallets={wallets}
+          transactions={transactions}
+          onImport={handleImportTransactions}
+          onClose={() => setPendingStatement(null)}
         />
       )}
     </div>
@@ -0,0 +1,61 @@
+import { useState } from 'react';
+import { ATTACHMENT_ACCEPT, checkAttachmentFile, saveAttachment, isImageAttachment } from '../utils/attachments';
+
+// Picked files are stored right away; the form only keeps their metadata
+const AttachmentInput = ({ attachments, onAdd, onRemove, onBusyChange }) => {
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const handleFiles = async (e) => {
+    const files = [...e.target.files];
+    e.target.value = '';
+    if (files.length === 0) return;
+
+    const problems = files.map(checkAttachmentFile).filter(Boolean);
+    const accepted = files.filter(file => !checkAttachmentFile(file));
+
+    setBusy(true);
+    onBusyChange(true);
+    try {
+      const saved = [];
+      for (const file of accepted) saved.push(await saveAttachment(file));
+      if (saved.length > 0) onAdd(saved);
+    } catch (err) {
+      console.error(err);
+      problems.push('Some files could not be saved. Your browser storage may be full.');
+    } finally {
+      setBusy(false);
+      onBusyChange(false);
+      setError(problems.join(' '));
+    }
+  };
+
+  return (
+    <div className="attachment-input">
+      {attachments.length > 0 && (
+        <div className="attachment-thumbs">
+          {attachments.map(a => (
+            <span key={a.id} className="attachment-thumb" title={a.name}>
+              {isImageAttachment(a) && a.thumbnail
+                ? <img src={a.thumbnail} alt={a.name} />
+                : <i className={`bi ${isImageAttachment(a) ? 'bi-file-earmark-image' : 'bi-file-earmark-pdf'}`}></i>}
+              <button type="button" className="attachment-thumb__remove" title="Remove attachment" onClick={() => onRemove(a.id)}>
+                <i className="bi bi-x"></i>
+              </button>
+            </span>
+          ))}
+        </div>
+      )}
+
+      <label className={`btn-budget-add attachment-input__pick ${busy ? 'busy' : ''}`}>
+        <i className={`bi ${busy ? 'bi-hourglass-split' : 'bi-paperclip'}`}></i>
+        {busy ? ' Saving…' : ' Attach receipt'}
+        <input type="file" accept={ATTACHMENT_ACCEPT} multiple onChange={handleFiles} disabled={busy} hidden />
+      </label>
+
+      {error && <span className="field-error"><i className="bi bi-exclamation-circle"></i> {error}</span>}
+    </div>
+  );
+};
+
+export default AttachmentInput;
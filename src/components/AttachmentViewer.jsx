@@ -0,0 +1,87 @@
+import { useState, useEffect } from 'react';
+import { loadAttachment, isImageAttachment } from '../utils/attachments';
+
+// Full-screen view of a transaction's receipts; arrows step through them
+const AttachmentViewer = ({ attachments, startIndex = 0, onClose }) => {
+  const [index, setIndex] = useState(startIndex);
+  const [file, setFile] = useState({ url: null, missing: false });
+
+  const current = attachments[index];
+  const hasMany = attachments.length > 1;
+  const step = (direction) => setIndex(i => (i + direction + attachments.length) % attachments.length);
+
+  // Files are read from storage one at a time and released when left
+  useEffect(() => {
+    let url = null;
+    let cancelled = false;
+    loadAttachment(current.id)
+      .then(stored => {
+        if (cancelled) return;
+        if (!stored) { setFile({ url: null, missing: true }); return; }
+        url = URL.createObjectURL(stored.blob);
+        setFile({ url, missing: false });
+      })
+      .catch(err => {
+        console.error(err);
+        if (!cancelled) setFile({ url: null, missing: true });
+      });
+    return () => {
+      cancelled = true;
+      setFile({ url: null, missing: false });
+      if (url) URL.revokeObjectURL(url);
+    };
+  }, [current.id]);
+
+  useEffect(() => {
+    const handleKey = (e) => {
+      if (e.key === 'Escape') onClose();
+      else if (e.key === 'ArrowRight' && hasMany) step(1);
+      else if (e.key === 'ArrowLeft' && hasMany) step(-1);
+    };
+    window.addEventListener('keydown', handleKey);
+    return () => window.removeEventListener('keydown', handleKey);
+  });
+
+  return (
+    <div className="attachment-viewer" onClick={onClose}>
+      <div className="attachment-viewer__bar" onClick={(e) => e.stopPropagation()}>
+        <span className="attachment-viewer__name">
+          {current.name}
+          {hasMany && <span> · {index + 1} of {attachments.length}</span>}
+        </span>
+        {file.url && (
+          <a className="attachment-viewer__button" href={file.url} download={current.name} title="Download">
+            <i className="bi bi-download"></i>
+          </a>
+        )}
+        <button type="button" className="attachment-viewer__button" onClick={onClose} title="Close">
+          <i className="bi bi-x-lg"></i>
+        </button>
+      </div>
+
+      <div className="attachment-viewer__stage" onClick={(e) => e.stopPropagation()}>
+        {file.missing && (
+          <p className="attachment-viewer__message">
+            <i className="bi bi-exclamation-triangle"></i> This file is no longer stored in this browser.
+          </p>
+        )}
+        {file.url && (isImageAttachment(current)
+          ? <img src={file.url} alt={current.name} />
+          : <iframe src={file.url} title={current.name} />)}
+      </div>
+
+      {hasMany && (
+        <>
+          <button type="button" className="attachment-viewer__nav prev" onClick={(e) => { e.stopPropagation(); step(-1); }} title="Previous">
+            <i className="bi bi-chevron-left"></i>
+          </button>
+          <button type="button" className="attachment-viewer__nav next" onClick={(e) => { e.stopPropagation(); step(1); }} title="Next">
+            <i className="bi bi-chevron-right"></i>
+          </button>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default AttachmentViewer;
@@ -0,0 +1,106 @@
+import { useState } from 'react';
+import { formatCurrency, baseAmountOf, normalizeTag } from '../utils/helpers';
+import { toDateKey } from '../utils/recurrence';
+
+// ── Toolbar shown while rows are selected ─────────────────────
+const BatchActions = ({ selected, categories, wallets, allTags, onUpdate, onDelete }) => {
+  const [date, setDate] = useState('');
+  const [tag, setTag]   = useState('');
+  const [dateError, setDateError] = useState('');
+
+  const ids      = selected.map(t => t.id);
+  const income   = selected.filter(t => t.type === 'income').reduce((s, t) => s + baseAmountOf(t), 0);
+  const expenses = selected.filter(t => t.type === 'expense').reduce((s, t) => s + baseAmountOf(t), 0);
+  const disabled = selected.length === 0;
+
+  const addTag = () => {
+    if (!normalizeTag(tag)) return;
+    onUpdate(ids, { field: 'tag', value: tag });
+    setTag('');
+  };
+
+  // Same rule as the transaction form: nothing dated after today
+  const applyDate = () => {
+    if (date > toDateKey(new Date())) {
+      setDateError('Date cannot be in the future.');
+      return;
+    }
+    onUpdate(ids, { field: 'date', value: date });
+  };
+
+  return (
+    <div className="batch-actions">
+      <div className="batch-actions__summary">
+        <strong>{selected.length} selected</strong>
+        {income > 0 && <span className="income">+{formatCurrency(income)}</span>}
+        {expenses > 0 && <span className="expense">-{formatCurrency(expenses)}</span>}
+        {(income > 0 || expenses > 0) && <span>Net {formatCurrency(income - expenses)}</span>}
+      </div>
+
+      <div className="batch-actions__controls">
+        <select
+          className="select"
+          value=""
+          disabled={disabled}
+          onChange={e => onUpdate(ids, { field: 'categoryId', value: e.target.value })}
+          aria-label="Change category"
+        >
+          <option value="">Change category…</option>
+          {categories.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+        </select>
+
+        <select
+          className="select"
+          value=""
+          disabled={disabled}
+          onChange={e => onUpdate(ids, { field: 'walletId', value: e.target.value })}
+          aria-label="Change wallet"
+        >
+          <option value="">Move to wallet…</option>
+          {wallets.map(w => <option key={w.id} value={w.id}>{w.name}</option>)}
+        </select>
+
+        <div className="batch-actions__group">
+          <input
+            type="date"
+            className={`input ${dateError ? 'input-error' : ''}`}
+            value={date}
+            max={toDateKey(new Date())}
+            onChange={e => { setDate(e.target.value); setDateError(''); }}
+            aria-label="New date"
+            aria-invalid={Boolean(dateError)}
+          />
+          <button type="button" className="btn-budget-add" disabled={disabled || !date} onClick={applyDate}>
+            Set Date
+          </button>
+        </div>
+        {dateError && <span className="field-error"><i className="bi bi-exclamation-circle"></i> {dateError}</span>}
+
+        <div className="batch-actions__group">
+          <input
+            type="text"
+            className="input"
+            placeholder="tag"
+            value={tag}
+            list="batch-tags"
+            onChange={e => setTag(e.target.value)}
+            onKeyDown={e => { if (e.key === 'Enter') addTag(); }}
+            aria-label="Tag to add"
+          />
+          <datalist id="batch-tags">
+            {allTags.map(t => <option key={t} value={t} />)}
+          </datalist>
+          <button type="button" className="btn-budget-add" disabled={disabled || !normalizeTag(tag)} onClick={addTag}>
+            <i className="bi bi-tag"></i> Add Tag
+          </button>
+        </div>
+
+        <button type="button" className="btn-delete batch-actions__delete" disabled={disabled} onClick={() => onDelete(ids)}>
+          <i className="bi bi-trash"></i> Delete
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default BatchActions;
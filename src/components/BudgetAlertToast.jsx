@@ -0,0 +1,22 @@
+import { describeBudgetAlert } from '../utils/notifications';
+
+// Pops up when a saved transaction pushes a budget past its threshold
+const BudgetAlertToast = ({ alert, category, onView, onDismiss }) => {
+  const { title, body } = describeBudgetAlert(alert, category.name);
+
+  return (
+    <div className={`budget-alert-toast budget-alert-toast--${alert.level}`} role="alert">
+      <i className={`bi ${alert.level === 'over' ? 'bi-exclamation-octagon-fill' : 'bi-exclamation-triangle-fill'}`}></i>
+      <div className="budget-alert-toast__text">
+        <strong>{title}</strong>
+        <span>{body}</span>
+      </div>
+      <button className="undo-btn" onClick={onView}>View</button>
+      <button className="budget-alert-toast__close" onClick={onDismiss} title="Dismiss">
+        <i className="bi bi-x-lg"></i>
+      </button>
+    </div>
+  );
+};
+
+export default BudgetAlertToast;
@@ -1,18 +1,15 @@
 import { useState } from 'react';
-import { formatCurrency } from '../utils/helpers';
-
-// ── How full is the progress bar ──────────────────────────────
-const getProgressStatus = (spent, budget) => {
-  const pct = (spent / budget) * 100;
-  if (pct >= 100) return 'over';
-  if (pct >= 80)  return 'warning';
-  return 'good';
-};
+import { formatCurrency, formatForeignAmounts, formatMonthYear, getCategoriesForType, getBaseCurrency } from '../utils/helpers';
+import { periodToDate, budgetLevel } from '../utils/budgets';
+import BudgetHistory from './BudgetHistory';
 
 // ── Single budget row ─────────────────────────────────────────
-const BudgetRow = ({ category, spent, budget, onEdit, onRemove }) => {
-  const pct    = Math.min((spent / budget) * 100, 100);
-  const status = getProgressStatus(spent, budget);
+// `budget` includes whatever rolled over from last month; `foreign` is the
+// spending entered in other currencies, in those currencies
+const BudgetRow = ({ category, spent, foreign, status: entry, warnAt, onEdit, onRemove }) => {
+  const budget = entry.available;
+  const pct    = budget > 0 ? Math.min((spent / budget) * 100, 100) : 100;
+  const status = budgetLevel(spent, budget, warnAt);
   const remaining = budget - spent;
 
   return (
@@ -27,6 +24,14 @@ const BudgetRow = ({ category, spent, budget, onEdit, onRemove }) => {
           <div className="budget-category-name">{category.name}</div>
           <div className="budget-meta">
             {formatCurrency(spent)} of {formatCurrency(budget)}
+            {formatForeignAmounts(foreign) && (
+              <span className="amount-foreign"> · incl. {formatForeignAmounts(foreign)}</span>
+            )}
+            {entry.carried !== 0 && (
+              <span className="budget-carried">
+                {' '}· {entry.carried > 0 ? '+' : '-'}{formatCurrency(Math.abs(entry.carried))} rolled over
+              </span>
+            )}
           </div>
         </div>
       </div>
@@ -52,10 +57,10 @@ const BudgetRow = ({ category, spent, budget, onEdit, onRemove }) => {
       {/* Right: percent + actions */}
       <div className="budget-row__right">
         <span className={`budget-pct budget-pct--${status}`}>
-          {Math.round((spent / budget) * 100)}%
+          {budget > 0 ? `${Math.round((spent / budget) * 100)}%` : '—'}
         </span>
         <div className="budget-actions">
-          <button className="btn-edit" onClick={() => onEdit(category.id, budget)} title="Edit budget">
+          <button className="btn-edit" onClick={() => onEdit(category.id)} title="Edit budget">
             <i className="bi bi-pen"></i>
           </button>
           <button className="btn-delete" onClick={() => onRemove(category.id)} title="Remove budget">
@@ -69,13 +74,14 @@ const BudgetRow = ({ category, spent, budget, onEdit, onRemove }) => {
 };
 
 // ── Inline edit/add form ──────────────────────────────────────
-const BudgetForm = ({ categories, budgets, editingId, editingAmount, onSave, onCancel }) => {
+const BudgetForm = ({ categories, budgets, period, editingId, onSave, onCancel }) => {
   const [categoryId, setCategoryId] = useState(editingId || '');
-  const [amount, setAmount]         = useState(editingAmount || '');
+  const [amount, setAmount]         = useState(budgets[editingId] ? String(budgets[editingId].amount) : '');
+  const [rollover, setRollover]     = useState(budgets[editingId]?.rollover || false);
   const [error, setError]           = useState('');
 
   // Only show expense categories and only those without a budget yet (unless editing)
-  const expenseCategories = categories.filter(c => !/salary|income/i.test(c.name));
+  const expenseCategories = getCategoriesForType('expense', categories);
   const available = expenseCategories.filter(
     c => !budgets[c.id] || c.id === editingId
   );
@@ -91,7 +97,7 @@ const BudgetForm = ({ categories, budgets, editingId, editingAmount, onSave, onC
       setError('Budget amount seems too large. Please double-check.');
       return;
     }
-    onSave(categoryId, parsed);
+    onSave(categoryId, parsed, rollover);
   };
 
   return (
@@ -121,7 +127,7 @@ const BudgetForm = ({ categories, budgets, editingId, editingAmount, onSave, onC
 
         {/* Monthly budget amount */}
         <div className="budget-form__group">
-          <label className="label">Monthly Budget (₱)</label>
+          <label className="label">Budget for {formatMonthYear(periodToDate(period))} ({getBaseCurrency()})</label>
           <input
             type="number"
             className={`input ${error ? 'input-error' : ''}`}
@@ -136,6 +142,11 @@ const BudgetForm = ({ categories, budgets, editingId, editingAmount, onSave, onC
 
       </div>
 
+      <label className="budget-form__rollover">
+        <input type="checkbox" checked={rollover} onChange={e => setRollover(e.target.checked)} />
+        Carry what&apos;s left (or overspent) into next month
+      </label>
+
       {error && (
         <span className="field-error">
           <i className="bi bi-exclamation-circle"></i> {error}
@@ -153,46 +164,45 @@ const BudgetForm = ({ categories, budgets, editingId, editingAmount, onSave, onC
 };
 
 // ── Main BudgetGoals section ──────────────────────────────────
-const BudgetGoals = ({ categories, budgets, spentByCategory, onSave, onRemove }) => {
+// Shows the budgets of the month picked in the header
+const BudgetGoals = ({ categories, period, budgetStatus, spentByCategory, foreignSpent, warnAt, copySource, history, onSave, onRemove, onCopy }) => {
   const [showForm, setShowForm]       = useState(false);
   const [editingId, setEditingId]     = useState(null);
-  const [editingAmount, setEditingAmount] = useState('');
+  const [showHistory, setShowHistory] = useState(false);
 
-  const expenseCategories = categories.filter(c => !/salary|income/i.test(c.name));
-  const budgetedCategories = expenseCategories.filter(c => budgets[c.id]);
-  const allBudgeted = expenseCategories.every(c => budgets[c.id]);
+  const expenseCategories = getCategoriesForType('expense', categories);
+  const budgetedCategories = expenseCategories.filter(c => budgetStatus[c.id]);
+  const allBudgeted = expenseCategories.every(c => budgetStatus[c.id]);
+  const monthLabel = formatMonthYear(periodToDate(period));
 
-  const handleEdit = (categoryId, currentBudget) => {
+  const handleEdit = (categoryId) => {
     setEditingId(categoryId);
-    setEditingAmount(String(currentBudget));
     setShowForm(true);
   };
 
-  const handleSave = (categoryId, amount) => {
-    onSave(categoryId, amount);
+  const handleSave = (categoryId, amount, rollover) => {
+    onSave(categoryId, amount, rollover);
     setShowForm(false);
     setEditingId(null);
-    setEditingAmount('');
   };
 
   const handleCancel = () => {
     setShowForm(false);
     setEditingId(null);
-    setEditingAmount('');
   };
 
   const handleRemove = (categoryId) => {
     const category = categories.find(c => c.id === categoryId);
-    if (window.confirm(`Remove budget for "${category?.name}"?`)) {
+    if (window.confirm(`Remove the ${monthLabel} budget for "${category?.name}"?`)) {
       onRemove(categoryId);
     }
   };
 
   // Summary numbers across all budgeted categories
-  const totalBudget = budgetedCategories.reduce((s, c) => s + (budgets[c.id] || 0), 0);
+  const totalBudget = budgetedCategories.reduce((s, c) => s + budgetStatus[c.id].available, 0);
   const totalSpent  = budgetedCategories.reduce((s, c) => s + (spentByCategory[c.id] || 0), 0);
   const overCount   = budgetedCategories.filter(
-    c => (spentByCategory[c.id] || 0) >= budgets[c.id]
+    c => (spentByCategory[c.id] || 0) >= budgetStatus[c.id].available
   ).length;
 
   return (
@@ -201,7 +211,7 @@ const BudgetGoals = ({ categories, budgets, spentByCategory, onSave, onRemove })
       {/* Section header */}
       <div className="budget-section__header">
         <div>
-          <h2 className="section-title" style={{ marginBottom: 2 }}>Budget Goals</h2>
+          <h2 className="section-title" style={{ marginBottom: 2 }}>Budget Goals · {monthLabel}</h2>
           {budgetedCategories.length > 0 && (
             <p className="budget-section__sub">
               {formatCurrency(totalSpent)} spent of {formatCurrency(totalBudget)} total budget
@@ -214,23 +224,37 @@ const BudgetGoals = ({ categories, budgets, spentByCategory, onSave, onRemove })
           )}
         </div>
 
-        {/* Add budget button — hidden if form open or all categories budgeted */}
-        {!showForm && !allBudgeted && (
-          <button
-            className="btn-budget-add"
-            onClick={() => { setEditingId(null); setEditingAmount(''); setShowForm(true); }}
-          >
-            <i className="bi bi-plus-lg"></i> Set Budget
-          </button>
-        )}
+        <div className="budget-section__buttons">
+          {history.length > 0 && (
+            <button className="btn-budget-add" onClick={() => setShowHistory(!showHistory)}>
+              <i className="bi bi-clock-history"></i> {showHistory ? 'Hide History' : 'History'}
+            </button>
+          )}
+          {/* Add budget button — hidden if form open or all categories budgeted */}
+          {!showForm && !allBudgeted && (
+            <button
+              className="btn-budget-add"
+              onClick={() => { setEditingId(null); setShowForm(true); }}
+            >
+              <i className="bi bi-plus-lg"></i> Set Budget
+            </button>
+          )}
+        </div>
       </div>
 
+      {showHistory && <BudgetHistory history={history} categories={categories} />}
+
       {/* Empty state */}
       {budgetedCategories.length === 0 && !showForm && (
         <div className="budget-empty">
           <i className="bi bi-bullseye"></i>
-          <p>No budget goals set yet.</p>
+          <p>No budget goals for {monthLabel}.</p>
           <span>Set monthly limits to stay on track with your spending.</span>
+          {copySource && (
+            <button className="btn-budget-add budget-empty__copy" onClick={() => onCopy(copySource)}>
+              <i className="bi bi-files"></i> Copy from {formatMonthYear(periodToDate(copySource))}
+            </button>
+          )}
         </div>
       )}
 
@@ -242,7 +266,9 @@ const BudgetGoals = ({ categories, budgets, spentByCategory, onSave, onRemove })
               key={cat.id}
               category={cat}
               spent={spentByCategory[cat.id] || 0}
-              budget={budgets[cat.id]}
+              foreign={foreignSpent[cat.id]}
+              status={budgetStatus[cat.id]}
+              warnAt={warnAt}
               onEdit={handleEdit}
               onRemove={handleRemove}
             />
@@ -253,10 +279,11 @@ const BudgetGoals = ({ categories, budgets, spentByCategory, onSave, onRemove })
       {/* Add / Edit form */}
       {showForm && (
         <BudgetForm
+          key={`${period}-${editingId || 'new'}`}
           categories={categories}
-          budgets={budgets}
+          budgets={budgetStatus}
+          period={period}
           editingId={editingId}
-          editingAmount={editingAmount}
           onSave={handleSave}
           onCancel={handleCancel}
         />
@@ -267,4 +294,3 @@ const BudgetGoals = ({ categories, budgets, spentByCategory, onSave, onRemove })
 };
 
 export default BudgetGoals;
-
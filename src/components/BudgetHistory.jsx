@@ -0,0 +1,62 @@
+import { useState } from 'react';
+import { formatCurrency, formatMonthYear } from '../utils/helpers';
+import { periodToDate } from '../utils/budgets';
+
+const MAX_MONTHS = 12;
+
+const statusOf = (spent, budget) => (spent > budget ? 'over' : spent >= budget * 0.8 ? 'warning' : 'good');
+
+// ── Budget vs actual, month by month ─────────────────────────
+const BudgetHistory = ({ history, categories }) => {
+  const [openPeriod, setOpenPeriod] = useState(null);
+
+  const categoryName = (id) => categories.find(c => c.id === id)?.name || 'Unknown';
+  const months = history.slice(0, MAX_MONTHS);
+
+  return (
+    <div className="budget-history">
+      {months.map(month => {
+        const status = statusOf(month.spent, month.budget);
+        return (
+          <div key={month.period} className="budget-history__month">
+            <button
+              type="button"
+              className="budget-history__row"
+              onClick={() => setOpenPeriod(openPeriod === month.period ? null : month.period)}
+            >
+              <span className="budget-history__label">{formatMonthYear(periodToDate(month.period))}</span>
+              <div className="budget-bar">
+                <div
+                  className={`budget-bar__fill budget-bar__fill--${status}`}
+                  style={{ width: `${month.budget > 0 ? Math.min((month.spent / month.budget) * 100, 100) : 100}%` }}
+                />
+              </div>
+              <span className={`budget-history__amount budget-remaining--${status}`}>
+                {formatCurrency(month.spent)} / {formatCurrency(month.budget)}
+              </span>
+              <i className={`bi ${openPeriod === month.period ? 'bi-chevron-up' : 'bi-chevron-down'}`}></i>
+            </button>
+
+            {openPeriod === month.period && (
+              <div className="budget-history__categories">
+                {month.rows.map(row => (
+                  <div key={row.categoryId} className="budget-history__category">
+                    <span>{categoryName(row.categoryId)}</span>
+                    <span className={`budget-remaining--${statusOf(row.spent, row.available)}`}>
+                      {formatCurrency(row.spent)} of {formatCurrency(row.available)}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        );
+      })}
+      {history.length > MAX_MONTHS && (
+        <p className="budget-section__sub">Showing the last {MAX_MONTHS} months with budgets.</p>
+      )}
+    </div>
+  );
+};
+
+export default BudgetHistory;
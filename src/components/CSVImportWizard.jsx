@@ -0,0 +1,291 @@
+import { useState, useMemo } from 'react';
+import {
+  parseCSV, detectFormat, guessMapping, mapRows,
+  CSV_FIELDS, DELIMITER_LABELS, DATE_FORMATS, AMOUNT_MODES,
+} from '../utils/csv';
+import { validateTransactions, splitDuplicates, transactionFingerprint } from '../utils/backup';
+import { formatCurrency, formatDate } from '../utils/helpers';
+import ImportSummary from './ImportSummary';
+
+const PREVIEW_ROWS = 5;
+
+// Which mapped fields matter for each amount mode
+const HIDDEN_FIELDS = {
+  signed: ['debit', 'credit', 'type'],
+  split:  ['amount', 'type'],
+  typed:  ['debit', 'credit'],
+};
+
+// Presets remember header names so they still work if a bank reorders columns
+const resolvePresetColumns = (preset, header) =>
+  Object.fromEntries(
+    Object.entries(preset.mapping.columns).map(([key, index]) => {
+      const name = preset.headers?.[index];
+      const found = name ? header.indexOf(name) : -1;
+      return [key, found >= 0 ? found : index];
+    })
+  );
+
+// ── Step 1: preview ───────────────────────────────────────────
+const PreviewStep = ({ rows, format, onFormatChange, hasHeader, onHeaderChange }) => (
+  <>
+    <div className="form-row">
+      <div className="form-group">
+        <label className="label">Delimiter</label>
+        <select
+          className="select"
+          value={format.delimiter}
+          onChange={e => onFormatChange({ ...format, delimiter: e.target.value })}
+        >
+          {Object.entries(DELIMITER_LABELS).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+      </div>
+      <div className="form-group">
+        <label className="label">Quote</label>
+        <select
+          className="select"
+          value={format.quote}
+          onChange={e => onFormatChange({ ...format, quote: e.target.value })}
+        >
+          <option value={'"'}>Double quote (")</option>
+          <option value={"'"}>Single quote (')</option>
+        </select>
+      </div>
+    </div>
+
+    <label className="csv-checkbox">
+      <input type="checkbox" checked={hasHeader} onChange={e => onHeaderChange(e.target.checked)} />
+      First row is a header
+    </label>
+
+    <div className="csv-preview">
+      <table>
+        <tbody>
+          {rows.slice(0, PREVIEW_ROWS + 1).map((row, i) => (
+            <tr key={i} className={i === 0 && hasHeader ? 'csv-preview__header' : ''}>
+              {row.map((cell, j) => <td key={j}>{cell}</td>)}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+    <p className="csv-hint">{rows.length - (hasHeader ? 1 : 0)} data rows found.</p>
+  </>
+);
+
+// ── Step 2: column mapping ────────────────────────────────────
+const MappingStep = ({
+  header, mapping, onMappingChange, wallets, walletId, onWalletChange,
+  presets, onApplyPreset, onSavePreset, onDeletePreset, sample,
+}) => {
+  const [presetName, setPresetName] = useState('');
+  const [presetError, setPresetError] = useState('');
+
+  const setColumn = (key, value) =>
+    onMappingChange({ ...mapping, columns: { ...mapping.columns, [key]: Number(value) } });
+
+  const handleSavePreset = () => {
+    const trimmed = presetName.trim();
+    if (!trimmed) { setPresetError('Give the preset a name, e.g. "BDO".'); return; }
+    onSavePreset(trimmed);
+    setPresetName('');
+  };
+
+  return (
+    <>
+      {/* Presets */}
+      <div className="csv-presets">
+        <label className="label">Presets</label>
+        <div className="csv-presets__row">
+          {presets.length === 0 && <span className="csv-hint">No saved presets yet.</span>}
+          {presets.map(p => (
+            <span key={p.id} className="csv-preset-chip">
+              <button type="button" onClick={() => onApplyPreset(p)}>{p.name}</button>
+              <button type="button" title="Delete preset" onClick={() => onDeletePreset(p.id)}>
+                <i className="bi bi-x"></i>
+              </button>
+            </span>
+          ))}
+        </div>
+        <div className="csv-presets__row">
+          <input
+            className={`input ${presetError ? 'input-error' : ''}`}
+            value={presetName}
+            onChange={e => { setPresetName(e.target.value); setPresetError(''); }}
+            placeholder="Save this mapping as…"
+            maxLength={30}
+          />
+          <button type="button" className="btn-budget-add" onClick={handleSavePreset}>
+            <i className="bi bi-bookmark-plus"></i> Save
+          </button>
+        </div>
+        {presetError && <span className="field-error"><i className="bi bi-exclamation-circle"></i> {presetError}</span>}
+      </div>
+
+      <div className="form-row">
+        <div className="form-group">
+          <label className="label">Amounts</label>
+          <select className="select" value={mapping.amountMode} onChange={e => onMappingChange({ ...mapping, amountMode: e.target.value })}>
+            {AMOUNT_MODES.map(m => <option key={m.value} value={m.value}>{m.label}</option>)}
+          </select>
+        </div>
+        <div className="form-group">
+          <label className="label">Date Format</label>
+          <select className="select" value={mapping.dateFormat} onChange={e => onMappingChange({ ...mapping, dateFormat: e.target.value })}>
+            {DATE_FORMATS.map(f => <option key={f.value} value={f.value}>{f.label}</option>)}
+          </select>
+        </div>
+      </div>
+
+      {/* Column selectors */}
+      <div className="csv-mapping">
+        {CSV_FIELDS.filter(f => !HIDDEN_FIELDS[mapping.amountMode].includes(f.key)).map(field => (
+          <div key={field.key} className="csv-mapping__row">
+            <span>{field.label}</span>
+            <select className="filter-select" value={mapping.columns[field.key]} onChange={e => setColumn(field.key, e.target.value)}>
+              <option value={-1}>— Not in file —</option>
+              {header.map((name, i) => (
+                <option key={i} value={i}>{mapping.hasHeader ? name : `Column ${i + 1}`}</option>
+              ))}
+            </select>
+          </div>
+        ))}
+      </div>
+
+      <div className="form-group">
+        <label className="label">Import Into Wallet</label>
+        <select className="select" value={walletId} onChange={e => onWalletChange(e.target.value)}>
+          {wallets.map(w => <option key={w.id} value={w.id}>{w.name}</option>)}
+        </select>
+        <p className="csv-hint">Used for rows without a wallet column, or whose wallet name isn't recognised.</p>
+      </div>
+
+      {/* Live sample */}
+      {sample.length > 0 && (
+        <div className="csv-sample">
+          {sample.map(d => (
+            <div key={d.id} className="csv-sample__row">
+              <span>{formatDate(d.date)}</span>
+              <span className="csv-sample__note">{d.note || 'No note'}</span>
+              <span className={`transaction-amount ${d.type}`}>
+                {d.type === 'income' ? '+' : '-'}{formatCurrency(d.amount)}
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+    </>
+  );
+};
+
+// ── Wizard ────────────────────────────────────────────────────
+const CSVImportWizard = ({
+  fileName, text, categories, wallets, transactions,
+  presets, onSavePreset, onDeletePreset, onImport, onClose,
+}) => {
+  const [step, setStep]         = useState(1);
+  const [format, setFormat]     = useState(() => detectFormat(text));
+  const rows = useMemo(() => parseCSV(text, format.delimiter, format.quote), [text, format]);
+  const [mapping, setMapping]   = useState(() => guessMapping(rows[0] || []));
+  const [walletId, setWalletId] = useState(wallets[0]?.id || '');
+
+  const header = rows[0] || [];
+  const mapped = useMemo(
+    () => mapRows(rows, mapping, { categories, wallets, walletId }),
+    [rows, mapping, categories, wallets, walletId]
+  );
+
+  // Same validation + duplicate steps as a JSON backup import
+  const review = useMemo(() => {
+    const { validItems, invalidItems } = validateTransactions(mapped.drafts, categories.map(c => c.id));
+    const { duplicates, newItems } = splitDuplicates(validItems, transactions, transactionFingerprint);
+    const invalidLines = invalidItems.map(({ index, problems }) => ({ index: mapped.lines[index - 1], problems }));
+    return { problems: [...mapped.problems, ...invalidLines], duplicates, newItems };
+  }, [mapped, categories, transactions]);
+
+  const canContinue = step !== 2 || mapping.columns.date >= 0;
+
+  // A different delimiter means different columns, so start the mapping over
+  const handleFormatChange = (next) => {
+    setFormat(next);
+    const nextRows = parseCSV(text, next.delimiter, next.quote);
+    setMapping(prev => ({ ...guessMapping(nextRows[0] || []), hasHeader: prev.hasHeader }));
+  };
+
+  const handleApplyPreset = (preset) => {
+    setFormat({ delimiter: preset.delimiter, quote: preset.quote });
+    setMapping({ ...preset.mapping, columns: resolvePresetColumns(preset, header) });
+    if (preset.walletId && wallets.some(w => w.id === preset.walletId)) setWalletId(preset.walletId);
+  };
+
+  const handleSavePreset = (name) => {
+    onSavePreset({ name, delimiter: format.delimiter, quote: format.quote, mapping, headers: mapping.hasHeader ? header : null, walletId });
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal csv-modal" onClick={(e) => e.stopPropagation()}>
+        <h2>Import CSV <span className="csv-step">Step {step} of 3</span></h2>
+        <div className="modal__body">
+          <p className="restore-file"><i className="bi bi-filetype-csv"></i> {fileName}</p>
+
+          {step === 1 && (
+            <PreviewStep
+              rows={rows}
+              format={format}
+              onFormatChange={handleFormatChange}
+              hasHeader={mapping.hasHeader}
+              onHeaderChange={hasHeader => setMapping(prev => ({ ...prev, hasHeader }))}
+            />
+          )}
+
+          {step === 2 && (
+            <MappingStep
+              header={header}
+              mapping={mapping}
+              onMappingChange={setMapping}
+              wallets={wallets}
+              walletId={walletId}
+              onWalletChange={setWalletId}
+              presets={presets}
+              onApplyPreset={handleApplyPreset}
+              onSavePreset={handleSavePreset}
+              onDeletePreset={onDeletePreset}
+              sample={mapped.drafts.slice(0, 3)}
+            />
+          )}
+
+          {step === 3 && (
+            <ImportSummary
+              total={rows.length - (mapping.hasHeader ? 1 : 0)}
+              {...review}
+            />
+          )}
+
+          {!canContinue && (
+            <span className="field-error"><i className="bi bi-exclamation-circle"></i> Pick the column that holds the date.</span>
+          )}
+
+          <div className="form-actions">
+            <button type="button" className="btn-cancel" onClick={step === 1 ? onClose : () => setStep(step - 1)}>
+              {step === 1 ? 'Cancel' : 'Back'}
+            </button>
+            {step < 3 ? (
+              <button type="button" className="btn-submit" disabled={!canContinue} onClick={() => setStep(step + 1)}>
+                Continue
+              </button>
+            ) : (
+              <button type="button" className="btn-submit" disabled={review.newItems.length === 0} onClick={() => onImport(review.newItems)}>
+                Import {review.newItems.length} Transaction{review.newItems.length !== 1 ? 's' : ''}
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CSVImportWizard;
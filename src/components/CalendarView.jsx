@@ -0,0 +1,154 @@
+import { useState } from 'react';
+import { formatCurrency, formatDate, formatNumber, getWeekStart, getWeekdayLabels, baseAmountOf, baseFeeOf } from '../utils/helpers';
+import { toDateKey } from '../utils/recurrence';
+import TransactionItem from './TransactionItem';
+import ViewToggle from './ViewToggle';
+
+const compact = (amount) => formatNumber(amount, { notation: 'compact', maximumFractionDigits: 1 });
+
+// ── One day's transactions and what is due on it ─────────────
+const DayDetail = ({ dateKey, transactions, occurrences, isFuture, getCategoryInfo, getWalletInfo, onEdit, onDelete, onAddOnDay }) => (
+  <div className="calendar-day-detail">
+    <div className="calendar-day-detail__header">
+      <h3>{formatDate(dateKey)}</h3>
+      {!isFuture && (
+        <button type="button" className="btn-budget-add" onClick={() => onAddOnDay(dateKey)}>
+          <i className="bi bi-plus-lg"></i> Add on this day
+        </button>
+      )}
+    </div>
+
+    {occurrences.map(o => {
+      const category = getCategoryInfo(o.template.categoryId);
+      return (
+        <div key={o.id} className="calendar-due">
+          <i className={`bi ${category.icon}`} style={{ color: category.color }}></i>
+          <span className="calendar-due__name">{category.name}{o.template.note ? ` · ${o.template.note}` : ''}</span>
+          <span className={`calendar-due__status ${o.status}`}>{o.status === 'pending' ? 'Waiting for review' : 'Due'}</span>
+          <span className={`transaction-amount ${o.template.type}`}>
+            {o.template.type === 'income' ? '+' : '-'}{formatCurrency(o.amount, o.template.currency)}
+          </span>
+        </div>
+      );
+    })}
+
+    {transactions.length === 0 && occurrences.length === 0 && (
+      <p className="budget-section__sub">Nothing on this day.</p>
+    )}
+
+    {transactions.length > 0 && (
+      <div className="transaction-list">
+        {transactions.map(t => (
+          <TransactionItem
+            key={t.id}
+            transaction={t}
+            category={getCategoryInfo(t.categoryId)}
+            wallet={getWalletInfo(t.walletId)}
+            toWallet={t.toWalletId ? getWalletInfo(t.toWalletId) : null}
+            getCategoryInfo={getCategoryInfo}
+            onEdit={onEdit}
+            onDelete={onDelete}
+          />
+        ))}
+      </div>
+    )}
+  </div>
+);
+
+// ── Month grid: posted totals per day plus upcoming recurring bills ──
+const CalendarView = ({
+  currentDate,
+  transactions,
+  occurrences,
+  today,
+  view,
+  onViewChange,
+  getCategoryInfo,
+  getWalletInfo,
+  onEdit,
+  onDelete,
+  onAddOnDay,
+}) => {
+  const [selectedDay, setSelectedDay] = useState(null);
+
+  const year  = currentDate.getFullYear();
+  const month = currentDate.getMonth();
+  const daysInMonth = new Date(year, month + 1, 0).getDate();
+  const leadingBlanks = (new Date(year, month, 1).getDay() - getWeekStart() + 7) % 7;
+
+  const days = Array.from({ length: daysInMonth }, (_, i) => {
+    const key = toDateKey(new Date(year, month, i + 1));
+    const dayTransactions = transactions.filter(t => t.date === key);
+    const dayOccurrences  = occurrences.filter(o => o.date === key);
+    const sum = (type) => dayTransactions.filter(t => t.type === type).reduce((s, t) => s + baseAmountOf(t), 0);
+    return {
+      key,
+      day: i + 1,
+      transactions: dayTransactions,
+      occurrences: dayOccurrences,
+      income: sum('income'),
+      // Transfer fees are spending, as in the totals and charts
+      expenses: sum('expense') + dayTransactions.reduce((s, t) => s + baseFeeOf(t), 0),
+      due: dayOccurrences.filter(o => o.template.type === 'expense').reduce((s, o) => s + (o.baseAmount ?? 0), 0),
+    };
+  });
+
+  // A day picked in another month doesn't carry over
+  const selected = days.find(d => d.key === selectedDay);
+
+  return (
+    <div className="transactions">
+      <div className="transaction-header transaction-header--with-toggle">
+        <h2 className="section-title">Calendar</h2>
+        <ViewToggle view={view} onChange={onViewChange} />
+      </div>
+
+      <div className="calendar">
+        {getWeekdayLabels().map(label => (
+          <div key={label} className="calendar__weekday">{label}</div>
+        ))}
+        {Array.from({ length: leadingBlanks }, (_, i) => <div key={`blank-${i}`} className="calendar__blank" />)}
+
+        {days.map(d => (
+          <button
+            key={d.key}
+            type="button"
+            className={[
+              'calendar__day',
+              d.occurrences.length > 0 && 'has-due',
+              d.key === today && 'today',
+              d.key === selectedDay && 'selected',
+              d.key > today && 'future',
+            ].filter(Boolean).join(' ')}
+            onClick={() => setSelectedDay(d.key === selectedDay ? null : d.key)}
+          >
+            <span className="calendar__date">{d.day}</span>
+            {d.income > 0 && <span className="calendar__total income">+{compact(d.income)}</span>}
+            {d.expenses > 0 && <span className="calendar__total expense">-{compact(d.expenses)}</span>}
+            {d.occurrences.length > 0 && (
+              <span className="calendar__due" title={`${d.occurrences.length} recurring due`}>
+                <i className="bi bi-bell-fill"></i>{d.due > 0 && ` ${compact(d.due)}`}
+              </span>
+            )}
+          </button>
+        ))}
+      </div>
+
+      {selected && (
+        <DayDetail
+          dateKey={selected.key}
+          transactions={selected.transactions}
+          occurrences={selected.occurrences}
+          isFuture={selected.key > today}
+          getCategoryInfo={getCategoryInfo}
+          getWalletInfo={getWalletInfo}
+          onEdit={onEdit}
+          onDelete={onDelete}
+          onAddOnDay={onAddOnDay}
+        />
+      )}
+    </div>
+  );
+};
+
+export default CalendarView;
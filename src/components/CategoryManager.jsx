@@ -0,0 +1,256 @@
+import { useState } from 'react';
+import { CATEGORY_KINDS } from '../constants/categories';
+
+// ── Icons available for custom categories ────────────────────
+const CATEGORY_ICONS = [
+  'bi-basket-fill', 'bi-car-front-fill', 'bi-bag-fill', 'bi-film',
+  'bi-lightbulb', 'bi-wallet2', 'bi-cash-stack', 'bi-house-door',
+  'bi-heart-pulse', 'bi-mortarboard', 'bi-airplane', 'bi-gift',
+  'bi-cup-hot', 'bi-phone', 'bi-briefcase', 'bi-tag',
+];
+
+const CATEGORY_COLORS = [
+  '#EF4444', '#2D7FF9', '#F59E0B', '#8B5CF6',
+  '#10B981', '#06B6D4', '#84CC16', '#F43F5E',
+  '#0F172A', '#6B7C99',
+];
+
+const kindLabel = (kind) =>
+  CATEGORY_KINDS.find(k => k.value === kind)?.label || 'Expense';
+
+// ── Add / Edit category form ──────────────────────────────────
+const CategoryForm = ({ categories, editingCategory, onSave, onCancel }) => {
+  const [name,  setName]  = useState(editingCategory?.name  || '');
+  const [kind,  setKind]  = useState(editingCategory?.kind  || 'expense');
+  const [color, setColor] = useState(editingCategory?.color || CATEGORY_COLORS[0]);
+  const [icon,  setIcon]  = useState(editingCategory?.icon  || CATEGORY_ICONS[0]);
+  const [error, setError] = useState('');
+
+  const handleSave = () => {
+    const trimmed = name.trim();
+    if (!trimmed) { setError('Category name is required.'); return; }
+    if (trimmed.length > 24) { setError('Name must be 24 characters or less.'); return; }
+    const taken = categories.some(
+      c => c.id !== editingCategory?.id && c.name.toLowerCase() === trimmed.toLowerCase()
+    );
+    if (taken) { setError('A category with this name already exists.'); return; }
+    onSave({ name: trimmed, kind, color, icon });
+  };
+
+  return (
+    <div className="wallet-form">
+      <div className="wallet-form__row">
+        {/* Preview */}
+        <div className="wallet-form__preview" style={{ backgroundColor: color }}>
+          <i className={`bi ${icon}`}></i>
+        </div>
+
+        {/* Name */}
+        <div style={{ flex: 1 }}>
+          <label className="label">Category Name</label>
+          <input
+            className={`input ${error ? 'input-error' : ''}`}
+            value={name}
+            onChange={e => { setName(e.target.value); setError(''); }}
+            placeholder="e.g. Freelance, Groceries"
+            maxLength={24}
+            autoFocus
+          />
+          {error && (
+            <span className="field-error">
+              <i className="bi bi-exclamation-circle"></i> {error}
+            </span>
+          )}
+        </div>
+      </div>
+
+      {/* Kind */}
+      <div className="wallet-form__section">
+        <label className="label">Used For</label>
+        <div className="type-toggle">
+          {CATEGORY_KINDS.map(k => (
+            <button
+              key={k.value}
+              type="button"
+              className={`type-button ${kind === k.value ? 'active' : ''}`}
+              onClick={() => setKind(k.value)}
+            >
+              {k.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {/* Color picker */}
+      <div className="wallet-form__section">
+        <label className="label">Color</label>
+        <div className="wallet-color-picker">
+          {CATEGORY_COLORS.map(c => (
+            <button
+              key={c}
+              type="button"
+              className={`wallet-color-swatch ${color === c ? 'active' : ''}`}
+              style={{ backgroundColor: c }}
+              onClick={() => setColor(c)}
+            />
+          ))}
+        </div>
+      </div>
+
+      {/* Icon picker */}
+      <div className="wallet-form__section">
+        <label className="label">Icon</label>
+        <div className="wallet-icon-picker">
+          {CATEGORY_ICONS.map(ic => (
+            <button
+              key={ic}
+              type="button"
+              className={`wallet-icon-btn ${icon === ic ? 'active' : ''}`}
+              onClick={() => setIcon(ic)}
+            >
+              <i className={`bi ${ic}`}></i>
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="budget-form__actions">
+        <button className="btn-cancel" onClick={onCancel}>Cancel</button>
+        <button className="btn-submit" onClick={handleSave}>
+          {editingCategory ? 'Update Category' : 'Add Category'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+// ── Main CategoryManager section ──────────────────────────────
+const CategoryManager = ({ categories, categoryUsage, onAddCategory, onEditCategory, onDeleteCategory }) => {
+  const [showManage, setShowManage]           = useState(false);
+  const [showForm, setShowForm]               = useState(false);
+  const [editingCategory, setEditingCategory] = useState(null);
+
+  const handleSave = (data) => {
+    if (editingCategory) {
+      onEditCategory({ ...editingCategory, ...data });
+    } else {
+      onAddCategory(data);
+    }
+    setShowForm(false);
+    setEditingCategory(null);
+  };
+
+  const handleEdit = (category) => {
+    setEditingCategory(category);
+    setShowForm(true);
+  };
+
+  const handleDelete = (category) => {
+    const txCount = categoryUsage[category.id] || 0;
+    const msg = txCount > 0
+      ? `Delete "${category.name}"? It is used by ${txCount} transaction(s). They will remain but will show as "Unknown". Its budget will be removed.`
+      : `Delete "${category.name}"?`;
+    if (window.confirm(msg)) onDeleteCategory(category.id);
+  };
+
+  return (
+    <div className="category-section">
+
+      {/* Section header */}
+      <div className="category-section__header">
+        <div>
+          <h2 className="section-title" style={{ marginBottom: 2 }}>Categories</h2>
+          <p className="budget-section__sub">
+            {categories.filter(c => c.kind !== 'income').length} expense
+            · {categories.filter(c => c.kind !== 'expense').length} income
+          </p>
+        </div>
+
+        <button
+          className="btn-budget-add"
+          onClick={() => { setShowManage(!showManage); setShowForm(false); setEditingCategory(null); }}
+        >
+          <i className={`bi ${showManage ? 'bi-chevron-up' : 'bi-pencil-square'}`}></i>
+          {showManage ? 'Done' : 'Manage'}
+        </button>
+      </div>
+
+      {/* Compact chip view */}
+      {!showManage && (
+        <div className="category-chips">
+          {categories.map(cat => (
+            <span key={cat.id} className="category-chip" style={{ borderColor: cat.color, color: cat.color }}>
+              <i className={`bi ${cat.icon}`}></i> {cat.name}
+            </span>
+          ))}
+        </div>
+      )}
+
+      {/* Manage panel */}
+      {showManage && (
+        <div className="wallet-manage category-manage">
+
+          {/* Category list */}
+          {!showForm && (
+            <>
+              <div className="wallet-manage__list">
+                {categories.map(cat => (
+                  <div key={cat.id} className="wallet-manage__item">
+                    <div className="wallet-manage__icon" style={{ backgroundColor: cat.color }}>
+                      <i className={`bi ${cat.icon}`}></i>
+                    </div>
+                    <div className="wallet-manage__info">
+                      <span className="wallet-manage__name">
+                        {cat.name}
+                        <span className={`category-kind-badge category-kind-badge--${cat.kind || 'expense'}`}>
+                          {kindLabel(cat.kind)}
+                        </span>
+                      </span>
+                      <span className="wallet-manage__stats">
+                        {categoryUsage[cat.id] || 0} transactions
+                      </span>
+                    </div>
+                    <div className="wallet-manage__actions">
+                      <button className="btn-edit" onClick={() => handleEdit(cat)} title="Edit">
+                        <i className="bi bi-pen"></i>
+                      </button>
+                      <button
+                        className="btn-delete"
+                        onClick={() => handleDelete(cat)}
+                        title="Delete"
+                        disabled={categories.length <= 1}
+                      >
+                        <i className="bi bi-trash"></i>
+                      </button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+
+              <button
+                className="btn-budget-add"
+                style={{ marginTop: 12 }}
+                onClick={() => { setEditingCategory(null); setShowForm(true); }}
+              >
+                <i className="bi bi-plus-lg"></i> Add Category
+              </button>
+            </>
+          )}
+
+          {/* Add / Edit form */}
+          {showForm && (
+            <CategoryForm
+              categories={categories}
+              editingCategory={editingCategory}
+              onSave={handleSave}
+              onCancel={() => { setShowForm(false); setEditingCategory(null); }}
+            />
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+
+export default CategoryManager;
@@ -2,7 +2,19 @@ import {
   PieChart, Pie, Cell, ResponsiveContainer, Tooltip,
   BarChart, Bar, XAxis, YAxis, CartesianGrid,
 } from 'recharts';
-import { formatCurrency } from '../utils/helpers';
+import { formatCurrency, formatForeignAmounts, formatNumber, formatMonthShort, formatMonthYear } from '../utils/helpers';
+
+// A converted amount with what it includes in other currencies
+const withForeign = (value, foreign) => {
+  const original = formatForeignAmounts(foreign);
+  return original ? `${formatCurrency(value)} (incl. ${original})` : formatCurrency(value);
+};
+
+// Trend rows are keyed "YYYY-MM"
+const monthFromKey = (key) => {
+  const [year, month] = key.split('-').map(Number);
+  return new Date(year, month - 1, 1);
+};
 
 const PieLabel = ({ cx, cy, midAngle, outerRadius, percent, name }) => {
   const RADIAN = Math.PI / 180;
@@ -40,7 +52,7 @@ const SpendingPieChart = ({ categoryData }) => (
             <Cell key={`cell-${index}`} fill={entry.color} />
           ))}
         </Pie>
-        <Tooltip formatter={(value) => formatCurrency(value)} />
+        <Tooltip formatter={(value, name, item) => withForeign(value, item.payload.foreign)} />
       </PieChart>
     </ResponsiveContainer>
 
@@ -51,6 +63,9 @@ const SpendingPieChart = ({ categoryData }) => (
           <span className="legend-text">
             <i className={`bi ${cat.icon}`} aria-hidden="true" />
             {cat.name}: {formatCurrency(cat.value)}
+            {formatForeignAmounts(cat.foreign) && (
+              <span className="amount-foreign">incl. {formatForeignAmounts(cat.foreign)}</span>
+            )}
           </span>
         </div>
       ))}
@@ -58,16 +73,26 @@ const SpendingPieChart = ({ categoryData }) => (
   </div>
 );
 
-const MonthlyTrendChart = ({ monthlyTrendData }) => (
+const MonthlyTrendChart = ({ monthlyTrendData, label }) => (
   <div className="chart-section">
-    <h2 className="section-title">Monthly Trend (Last 6 Months)</h2>
+    <h2 className="section-title">Monthly Trend ({label})</h2>
     <ResponsiveContainer width="100%" height={300}>
       <BarChart data={monthlyTrendData}>
         <CartesianGrid strokeDasharray="3 3" stroke="#f0f0f0" />
-        <XAxis dataKey="month" stroke="#6b7280" style={{ fontSize: '13px' }} />
-        <YAxis stroke="#6b7280" style={{ fontSize: '13px' }} />
+        <XAxis
+          dataKey="month"
+          stroke="#6b7280"
+          style={{ fontSize: '13px' }}
+          tickFormatter={(key) => formatMonthShort(monthFromKey(key))}
+        />
+        <YAxis
+          stroke="#6b7280"
+          style={{ fontSize: '13px' }}
+          tickFormatter={(value) => formatNumber(value, { notation: 'compact' })}
+        />
         <Tooltip
-          formatter={(value) => formatCurrency(value)}
+          formatter={(value, name, item) => withForeign(value, item.payload.foreign?.[item.dataKey])}
+          labelFormatter={(key) => formatMonthYear(monthFromKey(key))}
           contentStyle={{
             background: 'white',
             border: '1px solid #e5e7eb',
@@ -93,10 +118,10 @@ const MonthlyTrendChart = ({ monthlyTrendData }) => (
   </div>
 );
 
-const ChartSection = ({ categoryData, monthlyTrendData, hasTransactions }) => (
+const ChartSection = ({ categoryData, monthlyTrendData, trendLabel, hasTransactions }) => (
   <>
     {categoryData.length > 0 && <SpendingPieChart categoryData={categoryData} />}
-    {hasTransactions && <MonthlyTrendChart monthlyTrendData={monthlyTrendData} />}
+    {hasTransactions && <MonthlyTrendChart monthlyTrendData={monthlyTrendData} label={trendLabel} />}
   </>
 );
 
@@ -0,0 +1,202 @@
+import { useState } from 'react';
+import { CURRENCIES } from '../constants/currencies';
+import { formatDate } from '../utils/helpers';
+
+// ── Add / Edit rate form ──────────────────────────────────────
+const RateForm = ({ baseCurrency, editingRate, onSave, onCancel }) => {
+  const [from, setFrom] = useState(editingRate?.from || (baseCurrency === 'USD' ? 'EUR' : 'USD'));
+  const [to,   setTo]   = useState(editingRate?.to   || baseCurrency);
+  const [rate, setRate] = useState(editingRate?.rate ?? '');
+  const [effectiveDate, setEffectiveDate] = useState(
+    editingRate?.effectiveDate || new Date().toISOString().split('T')[0]
+  );
+  const [error, setError] = useState('');
+
+  const handleSave = () => {
+    const value = parseFloat(rate);
+    if (from === to) { setError('Pick two different currencies.'); return; }
+    if (isNaN(value) || value <= 0) { setError('Rate must be a number greater than 0.'); return; }
+    if (!effectiveDate) { setError('Effective date is required.'); return; }
+    onSave({ from, to, rate: value, effectiveDate });
+  };
+
+  return (
+    <div className="wallet-form">
+      <div className="form-row">
+        <div className="form-group">
+          <label className="label">From</label>
+          <select className="select" value={from} onChange={e => { setFrom(e.target.value); setError(''); }}>
+            {CURRENCIES.map(c => <option key={c.code} value={c.code}>{c.code} — {c.name}</option>)}
+          </select>
+        </div>
+        <div className="form-group">
+          <label className="label">To</label>
+          <select className="select" value={to} onChange={e => { setTo(e.target.value); setError(''); }}>
+            {CURRENCIES.map(c => <option key={c.code} value={c.code}>{c.code} — {c.name}</option>)}
+          </select>
+        </div>
+      </div>
+
+      <div className="form-row">
+        <div className="form-group">
+          <label className="label">1 {from} =</label>
+          <input
+            type="number"
+            step="any"
+            min="0"
+            className={`input ${error ? 'input-error' : ''}`}
+            value={rate}
+            onChange={e => { setRate(e.target.value); setError(''); }}
+            placeholder={`Amount in ${to}`}
+            autoFocus
+          />
+        </div>
+        <div className="form-group">
+          <label className="label">Effective From</label>
+          <input
+            type="date"
+            className="input"
+            value={effectiveDate}
+            onChange={e => setEffectiveDate(e.target.value)}
+          />
+        </div>
+      </div>
+
+      {error && (
+        <span className="field-error">
+          <i className="bi bi-exclamation-circle"></i> {error}
+        </span>
+      )}
+
+      <div className="budget-form__actions">
+        <button className="btn-cancel" onClick={onCancel}>Cancel</button>
+        <button className="btn-submit" onClick={handleSave}>
+          {editingRate ? 'Update Rate' : 'Add Rate'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+// ── Main ExchangeRates section ────────────────────────────────
+const ExchangeRates = ({ rates, baseCurrency, onChangeBaseCurrency, onAddRate, onEditRate, onDeleteRate }) => {
+  const [showManage, setShowManage]   = useState(false);
+  const [showForm, setShowForm]       = useState(false);
+  const [editingRate, setEditingRate] = useState(null);
+
+  // Newest first, grouped by pair
+  const sortedRates = [...rates].sort((a, b) =>
+    `${a.from}${a.to}`.localeCompare(`${b.from}${b.to}`) ||
+    b.effectiveDate.localeCompare(a.effectiveDate)
+  );
+
+  const handleSave = (data) => {
+    if (editingRate) {
+      onEditRate({ ...editingRate, ...data });
+    } else {
+      onAddRate(data);
+    }
+    setShowForm(false);
+    setEditingRate(null);
+  };
+
+  const handleEdit = (rate) => {
+    setEditingRate(rate);
+    setShowForm(true);
+  };
+
+  const handleDelete = (rate) => {
+    if (window.confirm(`Delete the ${rate.from} → ${rate.to} rate from ${formatDate(rate.effectiveDate)}?`)) {
+      onDeleteRate(rate.id);
+    }
+  };
+
+  return (
+    <div className="category-section">
+
+      {/* Section header */}
+      <div className="category-section__header">
+        <div>
+          <h2 className="section-title" style={{ marginBottom: 2 }}>Currencies</h2>
+          <p className="budget-section__sub">
+            Totals in {baseCurrency} · {rates.length} exchange rate{rates.length !== 1 ? 's' : ''}
+          </p>
+        </div>
+
+        <button
+          className="btn-budget-add"
+          onClick={() => { setShowManage(!showManage); setShowForm(false); setEditingRate(null); }}
+        >
+          <i className={`bi ${showManage ? 'bi-chevron-up' : 'bi-currency-exchange'}`}></i>
+          {showManage ? 'Done' : 'Manage'}
+        </button>
+      </div>
+
+      {/* Manage panel */}
+      {showManage && (
+        <div className="wallet-manage category-manage">
+
+          {!showForm && (
+            <>
+              <div className="form-group">
+                <label className="label">Base Currency</label>
+                <select className="select" value={baseCurrency} onChange={e => onChangeBaseCurrency(e.target.value)}>
+                  {CURRENCIES.map(c => <option key={c.code} value={c.code}>{c.code} — {c.name}</option>)}
+                </select>
+              </div>
+
+              {/* Rate list */}
+              <div className="wallet-manage__list">
+                {sortedRates.length === 0 && (
+                  <p className="budget-section__sub">
+                    No exchange rates yet. Add one for each currency you use besides {baseCurrency}.
+                  </p>
+                )}
+                {sortedRates.map(rate => (
+                  <div key={rate.id} className="wallet-manage__item">
+                    <div className="wallet-manage__icon rate-icon">
+                      <i className="bi bi-arrow-left-right"></i>
+                    </div>
+                    <div className="wallet-manage__info">
+                      <span className="wallet-manage__name">1 {rate.from} = {rate.rate} {rate.to}</span>
+                      <span className="wallet-manage__stats">From {formatDate(rate.effectiveDate)}</span>
+                    </div>
+                    <div className="wallet-manage__actions">
+                      <button className="btn-edit" onClick={() => handleEdit(rate)} title="Edit">
+                        <i className="bi bi-pen"></i>
+                      </button>
+                      <button className="btn-delete" onClick={() => handleDelete(rate)} title="Delete">
+                        <i className="bi bi-trash"></i>
+                      </button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+
+              <button
+                className="btn-budget-add"
+                style={{ marginTop: 12 }}
+                onClick={() => { setEditingRate(null); setShowForm(true); }}
+              >
+                <i className="bi bi-plus-lg"></i> Add Rate
+              </button>
+            </>
+          )}
+
+          {/* Add / Edit form */}
+          {showForm && (
+            <RateForm
+              baseCurrency={baseCurrency}
+              editingRate={editingRate}
+              onSave={handleSave}
+              onCancel={() => { setShowForm(false); setEditingRate(null); }}
+            />
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+
+export default ExchangeRates;
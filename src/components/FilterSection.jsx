@@ -1,25 +1,51 @@
 import { useState } from 'react';
+import { DATE_RANGE_PRESETS } from '../constants/filters';
+import { getBaseCurrency } from '../utils/helpers';
+import { SEARCH_HINTS } from '../utils/search';
 
 const FilterSection = ({
-  searchQuery, setSearchQuery,
+  searchQuery, setSearchQuery, searchError,
   selectedCategory, setSelectedCategory,
   selectedType, setSelectedType,
+  selectedTag, setSelectedTag,
+  dateRange, setDateRange,
+  amountRange, setAmountRange,
+  rangeLabel,
   categories,
+  tags,
   hasActiveFilters,
   onClearFilters,
 }) => {
   const [showFilters, setShowFilters] = useState(false);
+  const [showHints, setShowHints]     = useState(false);
+
+  const addToSearch = (example) =>
+    setSearchQuery(searchQuery.trim() ? `${searchQuery.trim()} ${example}` : example);
+
+  const rangeIsReversed = dateRange.from && dateRange.to && dateRange.from > dateRange.to;
+  const amountIsReversed = amountRange.min !== '' && amountRange.max !== '' &&
+    parseFloat(amountRange.min) > parseFloat(amountRange.max);
 
   return (
     <div className="filter-section">
       <div className="search-bar">
         <input
           type="text"
-          placeholder="Search transactions..."
+          placeholder="Search transactions... e.g. cat:food amount>500 -coffee"
           value={searchQuery}
           onChange={(e) => setSearchQuery(e.target.value)}
-          className="search-input"
+          className={`search-input ${searchError ? 'input-error' : ''}`}
+          aria-invalid={Boolean(searchError)}
         />
+        <button
+          type="button"
+          onClick={() => setShowHints(!showHints)}
+          className={`filter-btn search-help-btn ${showHints ? 'active' : ''}`}
+          title="Search syntax"
+          aria-label="Search syntax"
+        >
+          <i className="bi bi-question-circle"></i>
+        </button>
         <button
           onClick={() => setShowFilters(!showFilters)}
           className={`filter-btn ${hasActiveFilters ? 'active' : ''}`}
@@ -28,14 +54,108 @@ const FilterSection = ({
         </button>
       </div>
 
+      {searchError && (
+        <span className="field-error search-error">
+          <i className="bi bi-exclamation-circle"></i> {searchError} Showing everything until it&apos;s fixed.
+        </span>
+      )}
+
+      {showHints && (
+        <div className="search-hints">
+          {SEARCH_HINTS.map(hint => (
+            <button key={hint.example} type="button" className="search-hint" onClick={() => addToSearch(hint.example)}>
+              <code>{hint.example}</code>
+              <span>{hint.description}</span>
+            </button>
+          ))}
+        </div>
+      )}
+
+      {rangeLabel && !showFilters && (
+        <div className="filter-range">
+          <i className="bi bi-calendar-range"></i> {rangeLabel}
+          <button type="button" onClick={() => setDateRange({ preset: 'month', from: '', to: '' })} title="Back to the selected month">
+            <i className="bi bi-x"></i>
+          </button>
+        </div>
+      )}
+
       {showFilters && (
         <div className="filter-panel">
+          <div className="filter-group">
+            <label className="filter-label">Date Range</label>
+            <select
+              value={dateRange.preset}
+              onChange={(e) => setDateRange({ ...dateRange, preset: e.target.value })}
+              className="filter-select"
+            >
+              {DATE_RANGE_PRESETS.map(p => (
+                <option key={p.value} value={p.value}>{p.label}</option>
+              ))}
+            </select>
+          </div>
+
+          {dateRange.preset === 'custom' && (
+            <div className="filter-group">
+              <label className="filter-label">From – To</label>
+              <div className="filter-range-inputs">
+                <input
+                  type="date"
+                  value={dateRange.from}
+                  onChange={(e) => setDateRange({ ...dateRange, from: e.target.value })}
+                  className={`filter-select ${rangeIsReversed ? 'input-error' : ''}`}
+                  aria-label="From date"
+                />
+                <input
+                  type="date"
+                  value={dateRange.to}
+                  onChange={(e) => setDateRange({ ...dateRange, to: e.target.value })}
+                  className={`filter-select ${rangeIsReversed ? 'input-error' : ''}`}
+                  aria-label="To date"
+                />
+              </div>
+              {rangeIsReversed && (
+                <span className="field-error"><i className="bi bi-exclamation-circle"></i> The start date is after the end date.</span>
+              )}
+            </div>
+          )}
+
+          <div className="filter-group">
+            <label className="filter-label">Amount ({getBaseCurrency()})</label>
+            <div className="filter-range-inputs">
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                placeholder="Min"
+                value={amountRange.min}
+                onChange={(e) => setAmountRange({ ...amountRange, min: e.target.value })}
+                className={`filter-select ${amountIsReversed ? 'input-error' : ''}`}
+                aria-label="Minimum amount"
+              />
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                placeholder="Max"
+                value={amountRange.max}
+                onChange={(e) => setAmountRange({ ...amountRange, max: e.target.value })}
+                className={`filter-select ${amountIsReversed ? 'input-error' : ''}`}
+                aria-label="Maximum amount"
+              />
+            </div>
+            {amountIsReversed && (
+              <span className="field-error"><i className="bi bi-exclamation-circle"></i> The minimum is above the maximum.</span>
+            )}
+          </div>
+
           <div className="filter-group">
             <label className="filter-label">Type</label>
             <select value={selectedType} onChange={(e) => setSelectedType(e.target.value)} className="filter-select">
               <option value="all">All Types</option>
               <option value="expense">Expenses Only</option>
               <option value="income">Income Only</option>
+              <option value="transfer">Transfers Only</option>
             </select>
           </div>
 
@@ -49,6 +169,18 @@ const FilterSection = ({
             </select>
           </div>
 
+          {tags.length > 0 && (
+            <div className="filter-group">
+              <label className="filter-label">Tag</label>
+              <select value={selectedTag} onChange={(e) => setSelectedTag(e.target.value)} className="filter-select">
+                <option value="all">All Tags</option>
+                {tags.map(tag => (
+                  <option key={tag} value={tag}>#{tag}</option>
+                ))}
+              </select>
+            </div>
+          )}
+
           {hasActiveFilters && (
             <button onClick={onClearFilters} className="clear-btn">Clear Filters</button>
           )}
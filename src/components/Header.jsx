@@ -7,7 +7,11 @@ const Header = ({
   onAddTransaction,
   onExportCSV,
   onExportJSON,
-  onImportJSON,
+  onImportFile,
+  onOpenSettings,
+  onOpenHistory,
+  unreadCount,
+  onOpenNotifications,
 }) => {
   const today = new Date();
   const isCurrentMonth =
@@ -45,16 +49,29 @@ const Header = ({
             <i className="bi bi-floppy"></i> Backup
           </button>
 
-          <label className="btn-export" style={{ cursor: 'pointer' }} title="Import JSON">
+          <label className="btn-export" style={{ cursor: 'pointer' }} title="Restore a JSON backup or import a bank CSV, OFX, QFX or QIF file">
             <i className="bi bi-folder2-open"></i> Import
             <input
               type="file"
-              accept=".json"
-              onChange={onImportJSON}
+              accept=".json,.csv,.ofx,.qfx,.qif"
+              onChange={onImportFile}
               style={{ display: 'none' }}
             />
           </label>
 
+          <button className="btn-export" onClick={onOpenHistory} title="History (Ctrl+Z to undo)">
+            <i className="bi bi-clock-history"></i>
+          </button>
+
+          <button className="btn-export btn-notifications" onClick={onOpenNotifications} title="Notifications">
+            <i className="bi bi-bell"></i>
+            {unreadCount > 0 && <span className="notification-badge">{unreadCount > 9 ? '9+' : unreadCount}</span>}
+          </button>
+
+          <button className="btn-export" onClick={onOpenSettings} title="Settings">
+            <i className="bi bi-gear"></i>
+          </button>
+
           {/* Desktop only — FAB replaces this on mobile */}
           <button className="btn-add btn-add-desktop" onClick={onAddTransaction}>
             + Add Transaction
@@ -0,0 +1,75 @@
+import { formatDate, formatTime } from '../utils/helpers';
+
+// Everything that can be undone (newest first) and redone; picking an
+// entry steps back or forward to just before or after it
+const HistoryPanel = ({ history, onUndo, onRedo, onClose }) => {
+  const undone = [...history.future];
+  const done   = [...history.past].reverse();
+  const isEmpty = done.length === 0 && undone.length === 0;
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal" onClick={(e) => e.stopPropagation()}>
+        <h2>History</h2>
+        <div className="modal__body">
+          <div className="history-actions">
+            <button type="button" className="btn-budget-add" disabled={history.past.length === 0} onClick={() => onUndo(1)}>
+              <i className="bi bi-arrow-counterclockwise"></i> Undo
+            </button>
+            <button type="button" className="btn-budget-add" disabled={history.future.length === 0} onClick={() => onRedo(1)}>
+              <i className="bi bi-arrow-clockwise"></i> Redo
+            </button>
+            <span className="budget-section__sub">Ctrl+Z / Ctrl+Shift+Z</span>
+          </div>
+
+          {isEmpty ? (
+            <div className="budget-empty">
+              <i className="bi bi-clock-history"></i>
+              <p>Nothing to undo yet.</p>
+              <span>Changes you make in this session will be listed here.</span>
+            </div>
+          ) : (
+            <div className="history-list">
+              {/* Undone changes, the next one to redo at the bottom */}
+              {undone.map((entry, i) => (
+                <button
+                  key={entry.id}
+                  type="button"
+                  className="history-item undone"
+                  onClick={() => onRedo(undone.length - i)}
+                  title="Redo up to here"
+                >
+                  <i className="bi bi-arrow-clockwise"></i>
+                  <span className="history-item__label">{entry.label}</span>
+                  <span className="history-item__time">{formatDate(entry.at)} {formatTime(entry.at)}</span>
+                </button>
+              ))}
+
+              <div className="history-current">Now</div>
+
+              {done.map((entry, i) => (
+                <button
+                  key={entry.id}
+                  type="button"
+                  className="history-item"
+                  onClick={() => onUndo(i + 1)}
+                  title="Undo back to before this"
+                >
+                  <i className="bi bi-arrow-counterclockwise"></i>
+                  <span className="history-item__label">{entry.label}</span>
+                  <span className="history-item__time">{formatDate(entry.at)} {formatTime(entry.at)}</span>
+                </button>
+              ))}
+            </div>
+          )}
+
+          <div className="form-actions">
+            <button type="button" className="btn-submit" onClick={onClose}>Done</button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default HistoryPanel;
@@ -0,0 +1,22 @@
+// Row counts shown before any file import is committed
+const ImportSummary = ({ total, problems, duplicates, newItems }) => (
+  <div className="csv-review">
+    <p>📋 Rows in file: <strong>{total}</strong></p>
+    {problems.length > 0 && (
+      <div className="restore-warning">
+        <i className="bi bi-exclamation-triangle"></i>
+        <div>
+          <strong>Skipped (invalid data): {problems.length}</strong>
+          {problems.slice(0, 3).map(({ index, problems: p }) => (
+            <div key={index}>Row {index}: {p.join(', ')}</div>
+          ))}
+          {problems.length > 3 && <div>…and {problems.length - 3} more</div>}
+        </div>
+      </div>
+    )}
+    {duplicates.length > 0 && <p>🔁 Duplicates (already exist, will skip): <strong>{duplicates.length}</strong></p>}
+    <p>✅ New transactions to import: <strong>{newItems.length}</strong></p>
+  </div>
+);
+
+export default ImportSummary;
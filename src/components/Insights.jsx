@@ -1,4 +1,10 @@
-import { formatCurrency } from '../utils/helpers';
+import { formatCurrency, formatForeignAmounts, foreignField } from '../utils/helpers';
+
+// " (incl. $120.00)" when part of a total was entered in other currencies
+const inclForeign = (amounts) => {
+  const original = formatForeignAmounts(amounts);
+  return original ? ` (incl. ${original})` : '';
+};
 
 const SavingsRing = ({ rate }) => {
   const clamped = Math.max(0, Math.min(100, rate));
@@ -88,7 +94,7 @@ const buildInsights = ({ summary, lastMonthSummary, categoryData, lastMonthCateg
       color: top.color,
       title: 'Top Spending Category',
       value: top.name,
-      sub: `${formatCurrency(top.value)} — ${pct}% of total expenses this month.`,
+      sub: `${formatCurrency(top.value)}${inclForeign(top.foreign)} — ${pct}% of total expenses this month.`,
       badge: null,
       badgeType: null,
     });
@@ -259,11 +265,17 @@ const Insights = ({
           <div className="savings-strip__item">
             <span>Income</span>
             <strong>{formatCurrency(summary.income)}</strong>
+            {formatForeignAmounts(foreignField(summary.foreign, 'income')) && (
+              <span className="amount-foreign">incl. {formatForeignAmounts(foreignField(summary.foreign, 'income'))}</span>
+            )}
           </div>
           <div className="savings-strip__divider" />
           <div className="savings-strip__item">
             <span>Expenses</span>
             <strong>{formatCurrency(summary.expenses)}</strong>
+            {formatForeignAmounts(foreignField(summary.foreign, 'expenses')) && (
+              <span className="amount-foreign">incl. {formatForeignAmounts(foreignField(summary.foreign, 'expenses'))}</span>
+            )}
           </div>
         </div>
       )}
@@ -0,0 +1,137 @@
+import { ALERT_THRESHOLDS } from '../constants/settings';
+import { formatDate, getCategoriesForType } from '../utils/helpers';
+import { describeBudgetAlert, canNotify, requestNotificationPermission } from '../utils/notifications';
+
+// ── One past alert ────────────────────────────────────────────
+const AlertItem = ({ alert, category, isMuted, onToggleMute }) => {
+  const { title, body } = describeBudgetAlert(alert, category.name);
+  return (
+    <div className={`notification-item ${alert.read ? '' : 'unread'}`}>
+      <i className={`bi ${alert.level === 'over' ? 'bi-exclamation-octagon-fill' : 'bi-exclamation-triangle-fill'} notification-item__icon--${alert.level}`}></i>
+      <div className="notification-item__text">
+        <div className="notification-item__title">{title}</div>
+        <div className="notification-item__body">{body} · {formatDate(alert.createdAt)}</div>
+      </div>
+      <button
+        className="btn-edit"
+        onClick={() => onToggleMute(alert.categoryId)}
+        title={isMuted ? `Turn ${category.name} alerts back on` : `Mute ${category.name} alerts`}
+      >
+        <i className={`bi ${isMuted ? 'bi-bell' : 'bi-bell-slash'}`}></i>
+      </button>
+    </div>
+  );
+};
+
+// Past budget alerts plus when and how to be alerted
+const NotificationCenter = ({ notifications, alertSettings, categories, getCategoryInfo, onChangeSettings, onClear, onClose }) => {
+  const update = (field, value) => onChangeSettings({ ...alertSettings, [field]: value });
+
+  const toggleMute = (categoryId) =>
+    update('muted', alertSettings.muted.includes(categoryId)
+      ? alertSettings.muted.filter(id => id !== categoryId)
+      : [...alertSettings.muted, categoryId]);
+
+  // Any expense category can be muted, whether or not it has alerted yet
+  const unmuted = getCategoriesForType('expense', categories).filter(c => !alertSettings.muted.includes(c.id));
+
+  const toggleBrowser = async () => {
+    if (alertSettings.browser) { update('browser', false); return; }
+    if (await requestNotificationPermission()) {
+      update('browser', true);
+    } else {
+      alert('Notifications are blocked for this site. Allow them in your browser settings, then try again.');
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal" onClick={(e) => e.stopPropagation()}>
+        <h2>Notifications</h2>
+        <div className="modal__body">
+
+          <div className="form-row">
+            <div className="form-group">
+              <label className="label">Warn Me At</label>
+              <select
+                className="select"
+                value={alertSettings.threshold}
+                onChange={e => update('threshold', Number(e.target.value))}
+              >
+                {ALERT_THRESHOLDS.map(pct => <option key={pct} value={pct}>{pct}% of a budget</option>)}
+              </select>
+            </div>
+
+            <div className="form-group">
+              <label className="label">Browser Notifications</label>
+              <div className="type-toggle">
+                <button
+                  type="button"
+                  className={`type-button ${alertSettings.browser ? 'active' : ''}`}
+                  disabled={!canNotify()}
+                  onClick={toggleBrowser}
+                >
+                  {alertSettings.browser ? 'On' : 'Off'}
+                </button>
+              </div>
+            </div>
+          </div>
+
+          <div className="form-group">
+            <label className="label">Muted Categories</label>
+            {alertSettings.muted.length > 0 && (
+              <div className="notification-muted">
+                {alertSettings.muted.map(id => (
+                  <span key={id} className="tag-chip">
+                    {getCategoryInfo(id).name}
+                    <button type="button" onClick={() => toggleMute(id)} title="Turn alerts back on">
+                      <i className="bi bi-x"></i>
+                    </button>
+                  </span>
+                ))}
+              </div>
+            )}
+            <select
+              className="select"
+              value=""
+              disabled={unmuted.length === 0}
+              onChange={e => e.target.value && toggleMute(e.target.value)}
+            >
+              <option value="">{unmuted.length === 0 ? 'Every category is muted' : 'Mute a category…'}</option>
+              {unmuted.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+            </select>
+          </div>
+
+          <div className="notification-list">
+            {notifications.length === 0 ? (
+              <div className="budget-empty">
+                <i className="bi bi-bell"></i>
+                <p>No alerts yet.</p>
+                <span>You&apos;ll be told here when a transaction pushes a budget past {alertSettings.threshold}% or over.</span>
+              </div>
+            ) : (
+              notifications.map(n => (
+                <AlertItem
+                  key={n.id}
+                  alert={n}
+                  category={getCategoryInfo(n.categoryId)}
+                  isMuted={alertSettings.muted.includes(n.categoryId)}
+                  onToggleMute={toggleMute}
+                />
+              ))
+            )}
+          </div>
+
+          <div className="form-actions">
+            <button type="button" className="btn-cancel" disabled={notifications.length === 0} onClick={onClear}>
+              Clear All
+            </button>
+            <button type="button" className="btn-submit" onClick={onClose}>Done</button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default NotificationCenter;
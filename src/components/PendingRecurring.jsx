@@ -0,0 +1,88 @@
+import { useState } from 'react';
+import { formatCurrency, formatDate } from '../utils/helpers';
+
+// Occurrences of "ask me first" templates that are due and waiting for review
+const PendingRecurring = ({ pending, templates, getCategoryInfo, onApprove, onSkip }) => {
+  // Amounts typed in but not approved yet, by pending id
+  const [drafts, setDrafts] = useState({});
+
+  const entries = pending
+    .map(entry => ({ entry, template: templates.find(t => t.id === entry.templateId) }))
+    .filter(({ template }) => template)
+    .sort((a, b) => a.entry.date.localeCompare(b.entry.date));
+
+  if (entries.length === 0) return null;
+
+  const amountOf = (entry) => drafts[entry.id] ?? String(entry.amount);
+  const isValid = (entry) => parseFloat(amountOf(entry)) > 0;
+
+  const approve = (entry) => {
+    onApprove(entry, parseFloat(amountOf(entry)));
+    setDrafts(prev => {
+      const next = { ...prev };
+      delete next[entry.id];
+      return next;
+    });
+  };
+
+  return (
+    <div className="category-section pending-recurring">
+      <div className="category-section__header">
+        <div>
+          <h2 className="section-title" style={{ marginBottom: 2 }}>Waiting for Review</h2>
+          <p className="budget-section__sub">
+            {entries.length} recurring transaction{entries.length !== 1 ? 's are' : ' is'} due. Check the amount, then add or skip.
+          </p>
+        </div>
+        {entries.length > 1 && (
+          <button
+            type="button"
+            className="btn-budget-add"
+            disabled={!entries.every(({ entry }) => isValid(entry))}
+            onClick={() => entries.forEach(({ entry }) => approve(entry))}
+          >
+            <i className="bi bi-check2-all"></i> Add All
+          </button>
+        )}
+      </div>
+
+      <div className="pending-recurring__list">
+        {entries.map(({ entry, template }) => {
+          const category = getCategoryInfo(template.categoryId);
+          return (
+            <div key={entry.id} className="pending-recurring__item">
+              <div className="transaction-icon" style={{ backgroundColor: category.color }}>
+                <i className={`bi ${category.icon}`}></i>
+              </div>
+              <div className="transaction-details">
+                <div className="transaction-category">{category.name}</div>
+                <div className="transaction-note">{template.note || 'No note'}</div>
+                <div className="transaction-date">
+                  {formatDate(entry.date)} · usually {formatCurrency(template.amount, template.currency)}
+                </div>
+              </div>
+              <input
+                type="number"
+                step="0.01"
+                className={`input pending-recurring__amount ${isValid(entry) ? '' : 'input-error'}`}
+                value={amountOf(entry)}
+                onChange={e => setDrafts(prev => ({ ...prev, [entry.id]: e.target.value }))}
+                aria-label={`Amount (${template.currency})`}
+              />
+              <div className="pending-recurring__actions">
+                <button type="button" className="btn-submit" disabled={!isValid(entry)} onClick={() => approve(entry)}>
+                  Add
+                </button>
+                <button type="button" className="btn-cancel" onClick={() => onSkip(entry)}>
+                  Skip
+                </button>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default PendingRecurring;
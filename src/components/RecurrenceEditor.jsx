@@ -0,0 +1,119 @@
+import { useState } from 'react';
+import { RECURRENCE_PRESETS, RECURRENCE_UNITS, RECURRENCE_ENDS } from '../constants/recurrence';
+import { presetOf } from '../utils/recurrence';
+
+// Picks how often a template repeats, when it stops and whether it needs review
+const RecurrenceEditor = ({ rule, onChange, requiresConfirmation, onConfirmationChange, errors = {} }) => {
+  // "Custom" and the end mode are remembered even when the values alone would match something else
+  const [custom, setCustom] = useState(() => presetOf(rule) === 'custom');
+  const [ends, setEnds] = useState(() => rule.endDate ? 'date' : rule.count ? 'count' : 'never');
+
+  const preset = custom ? 'custom' : presetOf(rule);
+
+  const handlePresetChange = (value) => {
+    const picked = RECURRENCE_PRESETS.find(p => p.value === value);
+    setCustom(value === 'custom');
+    if (value === 'custom') {
+      // Semi-monthly has no "every N" form; start custom from monthly
+      if (rule.frequency === 'semimonthly') onChange({ ...rule, frequency: 'monthly', interval: 1 });
+      return;
+    }
+    onChange({ ...rule, frequency: picked.frequency, interval: picked.interval });
+  };
+
+  const handleEndsChange = (value) => {
+    setEnds(value);
+    // Blank (not null) until filled in, so a missing value can be flagged
+    onChange({ ...rule, endDate: value === 'date' ? '' : null, count: value === 'count' ? '' : null });
+  };
+
+  return (
+    <div className="recurrence-editor">
+      <div className="form-row">
+        <div className="form-group">
+          <label className="label">Repeats</label>
+          <select className="select" value={preset} onChange={e => handlePresetChange(e.target.value)}>
+            {RECURRENCE_PRESETS.map(p => <option key={p.value} value={p.value}>{p.label}</option>)}
+          </select>
+        </div>
+
+        {preset === 'custom' && (
+          <div className="form-group">
+            <label className="label">Every</label>
+            <div className="recurrence-editor__every">
+              <input
+                type="number"
+                name="interval"
+                className={`input ${errors.interval ? 'input-error' : ''}`}
+                value={rule.interval}
+                min="1"
+                step="1"
+                onChange={e => onChange({ ...rule, interval: e.target.value })}
+              />
+              <select className="select" value={rule.frequency} onChange={e => onChange({ ...rule, frequency: e.target.value })}>
+                {RECURRENCE_UNITS.map(u => (
+                  <option key={u.value} value={u.value}>{Number(rule.interval) === 1 ? u.singular : u.plural}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+        )}
+      </div>
+      {errors.interval && <span className="field-error"><i className="bi bi-exclamation-circle"></i> {errors.interval}</span>}
+
+      <div className="form-row">
+        <div className="form-group">
+          <label className="label">Ends</label>
+          <select className="select" value={ends} onChange={e => handleEndsChange(e.target.value)}>
+            {RECURRENCE_ENDS.map(end => <option key={end.value} value={end.value}>{end.label}</option>)}
+          </select>
+        </div>
+
+        {ends === 'date' && (
+          <div className="form-group">
+            <label className="label">Last Date</label>
+            <input
+              type="date"
+              name="endDate"
+              className={`input ${errors.endDate ? 'input-error' : ''}`}
+              value={rule.endDate || ''}
+              onChange={e => onChange({ ...rule, endDate: e.target.value })}
+            />
+          </div>
+        )}
+
+        {ends === 'count' && (
+          <div className="form-group">
+            <label className="label">Times in Total</label>
+            <input
+              type="number"
+              name="count"
+              className={`input ${errors.count ? 'input-error' : ''}`}
+              value={rule.count || ''}
+              min="1"
+              step="1"
+              placeholder="e.g. 12"
+              onChange={e => onChange({ ...rule, count: e.target.value })}
+            />
+          </div>
+        )}
+      </div>
+      {errors.endDate && <span className="field-error"><i className="bi bi-exclamation-circle"></i> {errors.endDate}</span>}
+      {errors.count && <span className="field-error"><i className="bi bi-exclamation-circle"></i> {errors.count}</span>}
+
+      <div className="form-group">
+        <label className="label">When Due</label>
+        <div className="type-toggle">
+          <button type="button" className={`type-button ${!requiresConfirmation ? 'active' : ''}`} onClick={() => onConfirmationChange(false)}>
+            Add automatically
+          </button>
+          <button type="button" className={`type-button ${requiresConfirmation ? 'active' : ''}`} onClick={() => onConfirmationChange(true)}>
+            Ask me first
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RecurrenceEditor;
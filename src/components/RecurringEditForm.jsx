@@ -0,0 +1,199 @@
+import { useState } from 'react';
+import { CURRENCIES } from '../constants/currencies';
+import { getCategoriesForType, isSplit, splitsMatchTotal, describeRecurrence } from '../utils/helpers';
+import { ruleOf, normalizeRule } from '../utils/recurrence';
+import SplitEditor from './SplitEditor';
+import TagInput from './TagInput';
+import RecurrenceEditor from './RecurrenceEditor';
+
+// Edits a template; the change can also be written into what it already generated
+const RecurringEditForm = ({ template, generatedCount, categories, wallets, allTags, onSave, onClose }) => {
+  const [form, setForm] = useState(() => ({
+    amount:     template.amount,
+    categoryId: template.categoryId,
+    splits:     isSplit(template) ? template.splits.map(line => ({ ...line })) : [],
+    walletId:   template.walletId,
+    currency:   template.currency,
+    note:       template.note || '',
+    tags:       template.tags || [],
+    rule:       ruleOf(template),
+    requiresConfirmation: Boolean(template.requiresConfirmation),
+  }));
+  const [scope, setScope] = useState('future');
+  const [errors, setErrors] = useState({});
+
+  const filteredCategories = getCategoriesForType(template.type, categories);
+  const isSplitting = form.splits.length > 0;
+
+  const update = (field, value) => {
+    setForm(prev => ({ ...prev, [field]: value }));
+    if (errors[field]) setErrors(prev => ({ ...prev, [field]: '' }));
+  };
+
+  const handleWalletChange = (walletId) => {
+    const wallet = wallets.find(w => w.id === walletId);
+    setForm(prev => ({ ...prev, walletId, currency: wallet?.currency || prev.currency }));
+  };
+
+  const validate = () => {
+    const newErrors = {};
+    const amount = parseFloat(form.amount);
+    if (!(amount > 0)) newErrors.amount = 'Amount must be greater than zero.';
+    if (!form.walletId) newErrors.walletId = 'Please select a wallet.';
+    if (isSplitting) {
+      if (form.splits.length < 2) {
+        newErrors.splits = 'A split needs at least two lines.';
+      } else if (form.splits.some(line => !(parseFloat(line.amount) > 0))) {
+        newErrors.splits = 'Every line needs an amount greater than zero.';
+      } else if (!splitsMatchTotal(form.splits, amount || 0)) {
+        newErrors.splits = 'Lines must add up to the total amount.';
+      }
+    }
+    if (!(parseInt(form.rule.interval, 10) >= 1)) newErrors.interval = 'Repeat at least every 1.';
+    if (form.rule.endDate === '') {
+      newErrors.endDate = 'Please pick the last date.';
+    } else if (form.rule.endDate && form.rule.endDate < template.startDate) {
+      newErrors.endDate = 'The last date cannot be before the first one.';
+    }
+    if (form.rule.count !== null && !(parseInt(form.rule.count, 10) >= 1)) {
+      newErrors.count = 'Enter how many times it should happen.';
+    }
+    if (form.note.length > 100) newErrors.note = `Note is too long (${form.note.length}/100 characters).`;
+    return newErrors;
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const newErrors = validate();
+    if (Object.keys(newErrors).length > 0) { setErrors(newErrors); return; }
+
+    const splits = form.splits.map(line => ({
+      id: line.id,
+      categoryId: line.categoryId,
+      amount: parseFloat(line.amount),
+      note: line.note || '',
+    }));
+    onSave({
+      amount:     parseFloat(form.amount),
+      categoryId: isSplitting ? splits[0].categoryId : form.categoryId,
+      ...(isSplitting && { splits }),
+      ...(form.tags.length > 0 && { tags: form.tags }),
+      walletId:   form.walletId,
+      currency:   form.currency,
+      note:       form.note,
+      rule:       normalizeRule(form.rule),
+      requiresConfirmation: form.requiresConfirmation,
+    }, scope);
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal" onClick={(e) => e.stopPropagation()}>
+        <h2>Edit Recurring {template.type === 'income' ? 'Income' : 'Expense'}</h2>
+
+        <form onSubmit={handleSubmit} noValidate>
+          <div className="form-row">
+            <div className="form-group">
+              <label className="label">Amount</label>
+              <input type="number" value={form.amount} onChange={e => update('amount', e.target.value)} step="0.01" className={`input ${errors.amount ? 'input-error' : ''}`} autoFocus />
+              {errors.amount && <span className="field-error"><i className="bi bi-exclamation-circle"></i> {errors.amount}</span>}
+            </div>
+            <div className="form-group">
+              <label className="label">Currency</label>
+              <select value={form.currency} onChange={e => update('currency', e.target.value)} className="select">
+                {CURRENCIES.map(c => <option key={c.code} value={c.code}>{c.code} — {c.name}</option>)}
+              </select>
+            </div>
+          </div>
+
+          <div className="form-row">
+            <div className="form-group">
+              <label className="label">Wallet</label>
+              <select value={form.walletId} onChange={e => handleWalletChange(e.target.value)} className={`select ${errors.walletId ? 'input-error' : ''}`}>
+                <option value="">Select wallet…</option>
+                {wallets.map(w => <option key={w.id} value={w.id}>{w.name}</option>)}
+              </select>
+              {errors.walletId && <span className="field-error"><i className="bi bi-exclamation-circle"></i> {errors.walletId}</span>}
+            </div>
+            <div className="form-group">
+              <label className="label">Category</label>
+              {isSplitting ? (
+                <div className="input split-summary">{form.splits.length} categories</div>
+              ) : (
+                <select value={form.categoryId} onChange={e => update('categoryId', e.target.value)} className="select">
+                  {filteredCategories.map(cat => <option key={cat.id} value={cat.id}>{cat.name}</option>)}
+                </select>
+              )}
+            </div>
+          </div>
+
+          {isSplitting && (
+            <div className="form-group">
+              <SplitEditor
+                lines={form.splits}
+                categories={filteredCategories}
+                total={form.amount}
+                currency={form.currency}
+                onChange={splits => update('splits', splits)}
+                onCancel={() => update('splits', [])}
+                error={errors.splits}
+              />
+            </div>
+          )}
+
+          <div className="form-group">
+            <label className="label">Note (optional)</label>
+            <input type="text" value={form.note} onChange={e => update('note', e.target.value)} className={`input ${errors.note ? 'input-error' : ''}`} />
+            {errors.note && <span className="field-error"><i className="bi bi-exclamation-circle"></i> {errors.note}</span>}
+          </div>
+
+          <div className="form-group">
+            <label className="label">Tags (optional)</label>
+            <TagInput tags={form.tags} allTags={allTags} onChange={tags => update('tags', tags)} />
+          </div>
+
+          <div className="form-group">
+            <label className="label">Schedule</label>
+            <p className="recurring-edit__schedule">
+              <i className="bi bi-arrow-repeat"></i> {describeRecurrence({ ...template, rule: form.rule })}
+            </p>
+            <RecurrenceEditor
+              rule={form.rule}
+              onChange={rule => { setForm(prev => ({ ...prev, rule })); setErrors(prev => ({ ...prev, interval: '', endDate: '', count: '' })); }}
+              requiresConfirmation={form.requiresConfirmation}
+              onConfirmationChange={value => update('requiresConfirmation', value)}
+              errors={errors}
+            />
+          </div>
+
+          {/* Only offered when there is something to rewrite */}
+          {generatedCount > 0 && (
+            <div className="form-group">
+              <label className="label">Apply Changes To</label>
+              <div className="type-toggle">
+                <button type="button" className={`type-button ${scope === 'future' ? 'active' : ''}`} onClick={() => setScope('future')}>
+                  Future only
+                </button>
+                <button type="button" className={`type-button ${scope === 'all' ? 'active' : ''}`} onClick={() => setScope('all')}>
+                  Future and past ({generatedCount})
+                </button>
+              </div>
+              {scope === 'all' && (
+                <p className="budget-section__sub recurring-edit__hint">
+                  Amount, category, wallet, note and tags of {generatedCount} past transaction{generatedCount !== 1 ? 's' : ''} will be rewritten. Their dates are kept.
+                </p>
+              )}
+            </div>
+          )}
+
+          <div className="form-actions">
+            <button type="button" onClick={onClose} className="btn-cancel">Cancel</button>
+            <button type="submit" className="btn-submit">Save Changes</button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default RecurringEditForm;
@@ -0,0 +1,50 @@
+import { formatCurrency, formatDate, describeRecurrence } from '../utils/helpers';
+
+// Every transaction a template generated, newest first
+const RecurringHistory = ({ template, transactions, category, onEditTransaction, onEditTemplate, onClose }) => {
+  const generated = transactions
+    .filter(t => t.recurringId === template.id)
+    .sort((a, b) => b.date.localeCompare(a.date));
+  const sameCurrency = generated.every(t => t.currency === template.currency);
+  const total = generated.reduce((sum, t) => sum + t.amount, 0);
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal" onClick={(e) => e.stopPropagation()}>
+        <h2>{category.name}{template.note ? ` · ${template.note}` : ''}</h2>
+        <div className="modal__body">
+          <div className="recurring-history__summary">
+            <span><i className="bi bi-arrow-repeat"></i> {describeRecurrence(template)}</span>
+            <span>
+              {generated.length} transaction{generated.length !== 1 ? 's' : ''}
+              {sameCurrency && generated.length > 0 && ` · ${formatCurrency(total, template.currency)} in total`}
+            </span>
+          </div>
+
+          {generated.length === 0 ? (
+            <p className="budget-section__sub">Nothing has been generated from this template yet.</p>
+          ) : (
+            <div className="recurring-history">
+              {generated.map(t => (
+                <button key={t.id} type="button" className="recurring-history__row" onClick={() => onEditTransaction(t)} title="Edit transaction">
+                  <span className="recurring-history__date">{formatDate(t.date)}</span>
+                  <span className="recurring-history__note">{t.note || 'No note'}</span>
+                  <span className={`transaction-amount ${t.type}`}>
+                    {t.type === 'income' ? '+' : '-'}{formatCurrency(t.amount, t.currency)}
+                  </span>
+                </button>
+              ))}
+            </div>
+          )}
+
+          <div className="form-actions">
+            <button type="button" className="btn-cancel" onClick={onEditTemplate}>Edit Template</button>
+            <button type="button" className="btn-submit" onClick={onClose}>Done</button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RecurringHistory;
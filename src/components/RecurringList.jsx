@@ -1,6 +1,7 @@
-import { formatCurrency } from '../utils/helpers';
+import { formatCurrency, formatDate, describeRecurrence } from '../utils/helpers';
+import { nextScheduledDate } from '../utils/recurrence';
 
-const RecurringList = ({ templates, categories, onPause, onResume, onRemove }) => {
+const RecurringList = ({ templates, categories, onPause, onResume, onRemove, onEdit, onShowHistory }) => {
   if (templates.length === 0) return null;
 
   const getCategoryInfo = (categoryId) =>
@@ -20,7 +21,7 @@ const RecurringList = ({ templates, categories, onPause, onResume, onRemove }) =
       <div className="recurring-list">
         {templates.map(template => {
           const category = getCategoryInfo(template.categoryId);
-          const day = new Date(template.startDate).getDate();
+          const next = nextScheduledDate(template, template.lastGeneratedDate || template.startDate);
 
           return (
             <div key={template.id} className={`recurring-item ${!template.active ? 'recurring-item--paused' : ''}`}>
@@ -35,21 +36,31 @@ const RecurringList = ({ templates, categories, onPause, onResume, onRemove }) =
                 <div className="transaction-category">
                   {category.name}
                   {!template.active && <span className="recurring-paused-badge">Paused</span>}
+                  {template.requiresConfirmation && <span className="recurring-paused-badge">Needs review</span>}
                 </div>
                 <div className="transaction-note">{template.note || 'No note'}</div>
                 <div className="transaction-date">
                   <i className="bi bi-arrow-repeat" style={{ marginRight: 4 }}></i>
-                  Every month on day {day}
-                  {template.lastGeneratedDate && ` · Last: ${new Date(template.lastGeneratedDate).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}`}
+                  {describeRecurrence(template)}
+                  {template.lastGeneratedDate && ` · Last: ${formatDate(template.lastGeneratedDate)}`}
+                  {template.active && (next ? ` · Next: ${formatDate(next)}` : ' · Schedule ended')}
                 </div>
               </div>
 
               {/* Amount + actions */}
               <div className="transaction-right">
                 <div className={`transaction-amount ${template.type}`}>
-                  {template.type === 'income' ? '+' : '-'}{formatCurrency(template.amount)}
+                  {template.type === 'income' ? '+' : '-'}{formatCurrency(template.amount, template.currency)}
                 </div>
                 <div className="transaction-actions" style={{ opacity: 1 }}>
+                  {/* History */}
+                  <button className="btn-edit" title="Generated transactions" onClick={() => onShowHistory(template)}>
+                    <i className="bi bi-clock-history"></i>
+                  </button>
+                  {/* Edit */}
+                  <button className="btn-edit" title="Edit" onClick={() => onEdit(template)}>
+                    <i className="bi bi-pen"></i>
+                  </button>
                   {/* Pause / Resume */}
                   <button
                     className="btn-edit"
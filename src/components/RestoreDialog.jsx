@@ -0,0 +1,158 @@
+import { useState } from 'react';
+import { BACKUP_COLLECTIONS, CONFLICT_POLICIES, analyzeBackup } from '../utils/backup';
+import { formatCurrency, formatDate } from '../utils/helpers';
+
+// ── How a conflicting record is shown ─────────────────────────
+const describeRecord = (key, record) => {
+  if (key === 'budgets') return formatCurrency(record.amount);
+  if (key === 'baseCurrency') return record;
+  if (key === 'settings') return `${record.locale}, ${record.dateFormat} dates`;
+  if (key === 'alertSettings') return `warn at ${record.threshold}%, ${record.muted.length} muted`;
+  if (key === 'notifications') return `${record.level === 'over' ? 'Over budget' : 'Warning'} on ${formatDate(record.createdAt)}`;
+  if (key === 'transactions') return `${formatCurrency(record.amount)} on ${formatDate(record.date)}`;
+  if (key === 'goals') return `"${record.name}" · ${formatCurrency(record.target)}`;
+  if (key === 'pendingRecurring') return `${formatCurrency(record.amount)} due ${formatDate(record.date)}`;
+  if (key === 'recurringTemplates') return `${formatCurrency(record.amount)} ${record.note || ''}`.trim();
+  return `"${record.name}"`;
+};
+
+// ── One collection row ────────────────────────────────────────
+const CollectionRow = ({ collection, stats, mode, policy, onPolicyChange }) => {
+  const { key, label, isValue } = collection;
+  const policies = key === 'budgets' || isValue
+    ? CONFLICT_POLICIES.filter(p => p.value !== 'both')
+    : CONFLICT_POLICIES;
+
+  if (!stats.present) {
+    return (
+      <div className="restore-row restore-row--missing">
+        <span className="restore-row__label">{label}</span>
+        <span className="restore-row__stats">Not in this backup — yours are kept</span>
+      </div>
+    );
+  }
+
+  return (
+    <div className="restore-row">
+      <div className="restore-row__main">
+        <span className="restore-row__label">{label}</span>
+        <span className="restore-row__stats">
+          {isValue
+            ? (stats.identical ? 'Same as yours' : mode === 'replace' ? 'Will replace yours' : 'Differs from yours')
+            : mode === 'replace'
+            ? `${stats.count} will replace yours`
+            : `${stats.added} new · ${stats.identical} unchanged · ${stats.conflicts.length} conflicting`}
+        </span>
+      </div>
+
+      {/* Conflict handling — merge mode only */}
+      {mode === 'merge' && stats.conflicts.length > 0 && (
+        <div className="restore-conflicts">
+          <ul className="restore-conflicts__list">
+            {stats.conflicts.slice(0, 3).map(c => (
+              <li key={c.id}>
+                {describeRecord(key, c.mine)} here, {describeRecord(key, c.theirs)} in backup
+              </li>
+            ))}
+            {stats.conflicts.length > 3 && <li>…and {stats.conflicts.length - 3} more</li>}
+          </ul>
+          <select
+            className="filter-select"
+            value={policy}
+            onChange={e => onPolicyChange(key, e.target.value)}
+          >
+            {policies.map(p => (
+              <option key={p.value} value={p.value}>{p.label}</option>
+            ))}
+          </select>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// ── Restore dialog ────────────────────────────────────────────
+const RestoreDialog = ({ fileName, backup, current, onRestore, onClose }) => {
+  const [mode, setMode]         = useState('merge');
+  const [policies, setPolicies] = useState(() =>
+    Object.fromEntries(BACKUP_COLLECTIONS.map(({ key }) => [key, 'keep']))
+  );
+
+  const analysis = analyzeBackup(current, backup, mode);
+  const { collections, invalidTransactions } = analysis;
+  const hasChanges = BACKUP_COLLECTIONS.some(({ key }) => {
+    const stats = collections[key];
+    return stats.present && (mode === 'replace' || stats.added > 0 || stats.conflicts.length > 0);
+  });
+
+  const handlePolicyChange = (key, value) => {
+    setPolicies(prev => ({ ...prev, [key]: value }));
+  };
+
+  const handleRestore = () => {
+    if (mode === 'replace' && !window.confirm('Replace all your current data with this backup? This cannot be undone.')) return;
+    onRestore(analysis, mode, policies);
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal restore-modal" onClick={(e) => e.stopPropagation()}>
+        <h2>Restore Backup</h2>
+        <div className="modal__body">
+          <p className="restore-file">
+            <i className="bi bi-file-earmark-text"></i> {fileName}
+            {backup.exportDate && <span> · saved {formatDate(backup.exportDate)}</span>}
+            {backup.attachments?.length > 0 && (
+              <span> · {backup.attachments.length} receipt file{backup.attachments.length !== 1 ? 's' : ''}</span>
+            )}
+          </p>
+
+          {/* Mode */}
+          <div className="form-group">
+            <label className="label">Restore Mode</label>
+            <div className="type-toggle">
+              <button type="button" className={`type-button ${mode === 'merge' ? 'active' : ''}`} onClick={() => setMode('merge')}>Merge</button>
+              <button type="button" className={`type-button ${mode === 'replace' ? 'active' : ''}`} onClick={() => setMode('replace')}>Replace everything</button>
+            </div>
+          </div>
+
+          {/* Per-collection summary */}
+          <div className="restore-rows">
+            {BACKUP_COLLECTIONS.map(collection => (
+              <CollectionRow
+                key={collection.key}
+                collection={collection}
+                stats={collections[collection.key]}
+                mode={mode}
+                policy={policies[collection.key]}
+                onPolicyChange={handlePolicyChange}
+              />
+            ))}
+          </div>
+
+          {invalidTransactions.length > 0 && (
+            <div className="restore-warning">
+              <i className="bi bi-exclamation-triangle"></i>
+              <div>
+                <strong>{invalidTransactions.length} invalid transaction(s) will be skipped</strong>
+                {invalidTransactions.slice(0, 3).map(({ index, problems }) => (
+                  <div key={index}>Row {index}: {problems.join(', ')}</div>
+                ))}
+                {invalidTransactions.length > 3 && <div>…and {invalidTransactions.length - 3} more</div>}
+              </div>
+            </div>
+          )}
+
+          <div className="form-actions">
+            <button type="button" onClick={onClose} className="btn-cancel">Cancel</button>
+            <button type="button" onClick={handleRestore} className="btn-submit" disabled={!hasChanges}>
+              {hasChanges ? 'Restore' : 'Already up to date'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RestoreDialog;
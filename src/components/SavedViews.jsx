@@ -0,0 +1,119 @@
+import { useState } from 'react';
+
+// ── Inline name form, for saving a new view or editing one ────
+const ViewForm = ({ view, views, currentSummary, onSave, onRemove, onCancel }) => {
+  const [name, setName] = useState(view?.name || '');
+  const [useCurrent, setUseCurrent] = useState(!view);
+  const [error, setError] = useState('');
+
+  const handleSave = () => {
+    const trimmed = name.trim();
+    if (!trimmed) { setError('Please give the view a name.'); return; }
+    if (trimmed.length > 30) { setError('Name is too long (max 30 characters).'); return; }
+    if (views.some(v => v.id !== view?.id && v.name.toLowerCase() === trimmed.toLowerCase())) {
+      setError(`There is already a view called "${trimmed}".`);
+      return;
+    }
+    onSave(trimmed, useCurrent);
+  };
+
+  return (
+    <div className="saved-views__form">
+      <div className="saved-views__form-row">
+        <input
+          type="text"
+          className={`input ${error ? 'input-error' : ''}`}
+          placeholder="e.g. GCash food expenses"
+          value={name}
+          onChange={e => { setName(e.target.value); setError(''); }}
+          onKeyDown={e => {
+            if (e.key === 'Enter') handleSave();
+            if (e.key === 'Escape') onCancel();
+          }}
+          aria-label="View name"
+          autoFocus
+        />
+        <button type="button" className="btn-budget-add" onClick={handleSave}>Save</button>
+        {view && (
+          <button type="button" className="btn-delete" onClick={() => onRemove(view.id)} title="Delete this view">
+            <i className="bi bi-trash"></i>
+          </button>
+        )}
+        <button type="button" className="btn-cancel" onClick={onCancel}>Cancel</button>
+      </div>
+      {error && <span className="field-error"><i className="bi bi-exclamation-circle"></i> {error}</span>}
+      {view ? (
+        <label className="saved-views__replace">
+          <input type="checkbox" checked={useCurrent} onChange={e => setUseCurrent(e.target.checked)} />
+          Replace its filters with the current ones ({currentSummary})
+        </label>
+      ) : (
+        <span className="budget-section__sub">Saves {currentSummary}</span>
+      )}
+    </div>
+  );
+};
+
+// Named filter combinations as chips above the filters; picking one puts
+// every filter back the way it was saved
+const SavedViews = ({ views, activeViewId, canSave, describe, currentSummary, onApply, onSave, onRemove }) => {
+  const [editingId, setEditingId] = useState(null); // a view id, 'new' or null
+
+  const editingView = views.find(v => v.id === editingId);
+
+  const save = (name, useCurrent) => {
+    onSave(name, editingView?.id, useCurrent);
+    setEditingId(null);
+  };
+
+  const remove = (id) => {
+    onRemove(id);
+    setEditingId(null);
+  };
+
+  return (
+    <div className="saved-views">
+      <div className="saved-views__chips">
+        <span className="saved-views__label"><i className="bi bi-bookmark"></i> Views</span>
+        {views.map(view => (
+          <span key={view.id} className={`saved-view ${view.id === activeViewId ? 'active' : ''}`}>
+            <button type="button" className="saved-view__name" onClick={() => onApply(view)} title={describe(view)}>
+              {view.name}
+            </button>
+            <button
+              type="button"
+              className="saved-view__edit"
+              onClick={() => setEditingId(editingId === view.id ? null : view.id)}
+              title={`Edit "${view.name}"`}
+            >
+              <i className="bi bi-pencil"></i>
+            </button>
+          </span>
+        ))}
+        <button
+          type="button"
+          className="saved-view saved-view--add"
+          disabled={!canSave}
+          onClick={() => setEditingId('new')}
+          title={canSave ? 'Save the current filters as a view' : 'Set some filters first'}
+        >
+          <i className="bi bi-bookmark-plus"></i> Save view
+        </button>
+      </div>
+
+      {editingId && (
+        <ViewForm
+          key={editingId}
+          view={editingView}
+          views={views}
+          currentSummary={currentSummary}
+          onSave={save}
+          onRemove={remove}
+          onCancel={() => setEditingId(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default SavedViews;
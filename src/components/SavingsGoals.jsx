@@ -0,0 +1,366 @@
+import { useState } from 'react';
+import { formatCurrency, formatDate, formatMonthYear, getBaseCurrency, normalizeTag } from '../utils/helpers';
+import { parseDateKey } from '../utils/recurrence';
+
+// How many contributions a goal lists before "show all"
+const CONTRIBUTIONS_SHOWN = 5;
+
+// ── Progress bar colour, borrowed from the budget rows ────────
+const STATUS_TONES = {
+  reached:    'good',
+  'on-track': 'good',
+  open:       'good',
+  behind:     'warning',
+  overdue:    'over',
+};
+
+const describePace = (goal, progress) => {
+  if (progress.status === 'reached')  return 'Goal reached!';
+  if (progress.status === 'overdue')  return `${formatCurrency(progress.remaining)} short — the target date has passed`;
+  if (progress.monthlyNeeded !== null) {
+    return `${formatCurrency(progress.monthlyNeeded)}/month needed until ${formatDate(goal.targetDate)}`;
+  }
+  return `${formatCurrency(progress.remaining)} to go`;
+};
+
+const describeProjection = (progress) => {
+  if (progress.status === 'reached') return null;
+  if (!progress.projectedDate) return 'Nothing saved yet — add a contribution to see when you’ll get there';
+  return `Saving about ${formatCurrency(progress.monthlyPace)}/month · on pace for ${formatMonthYear(parseDateKey(progress.projectedDate))}`;
+};
+
+// ── Single goal row ───────────────────────────────────────────
+const GoalRow = ({ goal, progress, wallet, onContribute, onEdit, onRemove }) => {
+  const [showContributions, setShowContributions] = useState(false);
+  const [showAll, setShowAll] = useState(false);
+  const tone = STATUS_TONES[progress.status];
+  const projection = describeProjection(progress);
+  const contributions = showAll ? progress.contributions : progress.contributions.slice(0, CONTRIBUTIONS_SHOWN);
+
+  return (
+    <div className="goal">
+      <div className={`budget-row budget-row--${tone}`}>
+
+        {/* Left: icon + name */}
+        <div className="budget-row__left">
+          <div className="budget-icon goal-icon">
+            <i className={`bi ${progress.status === 'reached' ? 'bi-trophy' : 'bi-piggy-bank'}`}></i>
+          </div>
+          <div className="budget-info">
+            <div className="budget-category-name">{goal.name}</div>
+            <div className="budget-meta">
+              {formatCurrency(progress.saved)} of {formatCurrency(goal.target)}
+            </div>
+            <div className="goal-sources">
+              {wallet && <span><i className="bi bi-wallet2"></i> {wallet.name}</span>}
+              {goal.tag && <span className="tag-chip">#{goal.tag}</span>}
+            </div>
+          </div>
+        </div>
+
+        {/* Center: progress bar */}
+        <div className="budget-bar-wrap">
+          <div className="budget-bar">
+            <div className={`budget-bar__fill budget-bar__fill--${tone}`} style={{ width: `${progress.pct}%` }} />
+          </div>
+          <div className={`budget-remaining budget-remaining--${tone}`}>{describePace(goal, progress)}</div>
+          {projection && <div className="budget-remaining goal-projection">{projection}</div>}
+        </div>
+
+        {/* Right: percent + actions */}
+        <div className="budget-row__right">
+          <span className={`budget-pct budget-pct--${tone}`}>{Math.round(progress.pct)}%</span>
+          <div className="budget-actions">
+            <button className="btn-edit" onClick={() => onContribute(goal)} title="Add a contribution">
+              <i className="bi bi-plus-circle"></i>
+            </button>
+            <button
+              className="btn-edit"
+              onClick={() => setShowContributions(!showContributions)}
+              title={showContributions ? 'Hide contributions' : 'Show contributions'}
+            >
+              <i className="bi bi-list-ul"></i>
+            </button>
+            <button className="btn-edit" onClick={() => onEdit(goal.id)} title="Edit goal">
+              <i className="bi bi-pen"></i>
+            </button>
+            <button className="btn-delete" onClick={() => onRemove(goal)} title="Remove goal">
+              <i className="bi bi-trash"></i>
+            </button>
+          </div>
+        </div>
+      </div>
+
+      {showContributions && (
+        <div className="goal-contributions">
+          {progress.contributions.length === 0 && (
+            <p className="budget-section__sub">
+              No contributions since {formatDate(goal.startDate)}. Transfer money into the linked wallet or tag a transaction to add one.
+            </p>
+          )}
+          {contributions.map(({ transaction, amount }) => (
+            <div key={transaction.id} className="goal-contributions__item">
+              <span>{formatDate(transaction.date)}</span>
+              <span className="goal-contributions__note">{transaction.note || (amount < 0 ? 'Withdrawal' : 'Contribution')}</span>
+              <span className={`transaction-amount ${amount < 0 ? 'expense' : 'income'}`}>
+                {amount < 0 ? '-' : '+'}{formatCurrency(Math.abs(amount))}
+              </span>
+            </div>
+          ))}
+          {progress.contributions.length > CONTRIBUTIONS_SHOWN && (
+            <button type="button" className="btn-budget-add goal-contributions__more" onClick={() => setShowAll(!showAll)}>
+              {showAll ? 'Show fewer' : `Show all ${progress.contributions.length}`}
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// ── Inline edit/add form ──────────────────────────────────────
+const GoalForm = ({ goal, wallets, allTags, today, onSave, onCancel }) => {
+  const [form, setForm] = useState(() => ({
+    name:       goal?.name || '',
+    target:     goal ? String(goal.target) : '',
+    targetDate: goal?.targetDate || '',
+    walletId:   goal?.walletId || '',
+    tag:        goal?.tag || '',
+    startDate:  goal?.startDate || today,
+  }));
+  const [errors, setErrors] = useState({});
+
+  const update = (field, value) => {
+    setForm(prev => ({ ...prev, [field]: value }));
+    if (errors[field]) setErrors(prev => ({ ...prev, [field]: '' }));
+  };
+
+  const validate = () => {
+    const newErrors = {};
+    const target = parseFloat(form.target);
+    if (!form.name.trim()) newErrors.name = 'Please give the goal a name.';
+    else if (form.name.trim().length > 40) newErrors.name = 'Name is too long (max 40 characters).';
+    if (!(target > 0)) newErrors.target = 'Please enter a target greater than zero.';
+    else if (target > 100000000) newErrors.target = 'Target seems too large. Please double-check.';
+    if (!form.startDate) newErrors.startDate = 'Please pick a date to count from.';
+    if (form.targetDate && form.startDate && form.targetDate <= form.startDate) {
+      newErrors.targetDate = 'The target date must be after the start date.';
+    }
+    if (!form.walletId && !normalizeTag(form.tag)) {
+      newErrors.source = 'Link a wallet, a tag or both so contributions can be counted.';
+    }
+    return newErrors;
+  };
+
+  const handleSave = () => {
+    const newErrors = validate();
+    if (Object.keys(newErrors).length > 0) { setErrors(newErrors); return; }
+    onSave({
+      name:       form.name.trim(),
+      target:     parseFloat(form.target),
+      targetDate: form.targetDate || null,
+      walletId:   form.walletId,
+      tag:        normalizeTag(form.tag),
+      startDate:  form.startDate,
+    });
+  };
+
+  const fieldError = (field) => errors[field] && (
+    <span className="field-error"><i className="bi bi-exclamation-circle"></i> {errors[field]}</span>
+  );
+
+  return (
+    <div className="budget-form">
+      <div className="budget-form__fields">
+        <div className="budget-form__group">
+          <label className="label">Goal</label>
+          <input
+            type="text"
+            className={`input ${errors.name ? 'input-error' : ''}`}
+            placeholder="e.g. Emergency fund"
+            value={form.name}
+            onChange={e => update('name', e.target.value)}
+            autoFocus
+          />
+          {fieldError('name')}
+        </div>
+        <div className="budget-form__group">
+          <label className="label">Target ({getBaseCurrency()})</label>
+          <input
+            type="number"
+            className={`input ${errors.target ? 'input-error' : ''}`}
+            placeholder="e.g. 50000"
+            value={form.target}
+            min="1"
+            step="1"
+            onChange={e => update('target', e.target.value)}
+          />
+          {fieldError('target')}
+        </div>
+      </div>
+
+      <div className="budget-form__fields">
+        <div className="budget-form__group">
+          <label className="label">Count From</label>
+          <input
+            type="date"
+            className={`input ${errors.startDate ? 'input-error' : ''}`}
+            value={form.startDate}
+            onChange={e => update('startDate', e.target.value)}
+          />
+          {fieldError('startDate')}
+        </div>
+        <div className="budget-form__group">
+          <label className="label">Target Date (optional)</label>
+          <input
+            type="date"
+            className={`input ${errors.targetDate ? 'input-error' : ''}`}
+            value={form.targetDate}
+            onChange={e => update('targetDate', e.target.value)}
+          />
+          {fieldError('targetDate')}
+        </div>
+      </div>
+
+      <div className="budget-form__fields">
+        <div className="budget-form__group">
+          <label className="label">Savings Wallet</label>
+          <select
+            className="select"
+            value={form.walletId}
+            onChange={e => { update('walletId', e.target.value); setErrors(prev => ({ ...prev, source: '' })); }}
+          >
+            <option value="">No wallet</option>
+            {wallets.map(w => <option key={w.id} value={w.id}>{w.name}</option>)}
+          </select>
+        </div>
+        <div className="budget-form__group">
+          <label className="label">Tag</label>
+          <input
+            type="text"
+            className="input"
+            placeholder="e.g. new-laptop"
+            value={form.tag}
+            list="goal-tags"
+            onChange={e => { update('tag', e.target.value); setErrors(prev => ({ ...prev, source: '' })); }}
+          />
+          <datalist id="goal-tags">
+            {allTags.map(tag => <option key={tag} value={tag} />)}
+          </datalist>
+        </div>
+      </div>
+
+      <p className="budget-section__sub">
+        Transfers into the wallet count as contributions and transfers out as withdrawals. Any transaction with the tag counts too.
+      </p>
+      {fieldError('source')}
+
+      <div className="budget-form__actions">
+        <button className="btn-cancel" onClick={onCancel}>Cancel</button>
+        <button className="btn-submit" onClick={handleSave}>
+          {goal ? 'Update Goal' : 'Add Goal'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+// ── Main SavingsGoals section ─────────────────────────────────
+const SavingsGoals = ({ goals, progress, wallets, allTags, today, onSave, onRemove, onContribute }) => {
+  const [showForm, setShowForm]   = useState(false);
+  const [editingId, setEditingId] = useState(null);
+
+  const handleEdit = (id) => {
+    setEditingId(id);
+    setShowForm(true);
+  };
+
+  const handleSave = (fields) => {
+    onSave(fields, editingId);
+    setShowForm(false);
+    setEditingId(null);
+  };
+
+  const handleCancel = () => {
+    setShowForm(false);
+    setEditingId(null);
+  };
+
+  const handleRemove = (goal) => {
+    if (window.confirm(`Remove the goal "${goal.name}"? Its contributions stay as they are.`)) {
+      onRemove(goal.id);
+    }
+  };
+
+  const totalSaved  = goals.reduce((s, g) => s + Math.max(progress[g.id].saved, 0), 0);
+  const totalTarget = goals.reduce((s, g) => s + g.target, 0);
+  const behindCount = goals.filter(g => ['behind', 'overdue'].includes(progress[g.id].status)).length;
+
+  return (
+    <div className="budget-section">
+
+      {/* Section header */}
+      <div className="budget-section__header">
+        <div>
+          <h2 className="section-title" style={{ marginBottom: 2 }}>Savings Goals</h2>
+          {goals.length > 0 && (
+            <p className="budget-section__sub">
+              {formatCurrency(totalSaved)} saved of {formatCurrency(totalTarget)}
+              {behindCount > 0 && (
+                <span className="budget-over-badge">
+                  {behindCount} behind schedule
+                </span>
+              )}
+            </p>
+          )}
+        </div>
+
+        {!showForm && (
+          <button className="btn-budget-add" onClick={() => { setEditingId(null); setShowForm(true); }}>
+            <i className="bi bi-plus-lg"></i> New Goal
+          </button>
+        )}
+      </div>
+
+      {/* Empty state */}
+      {goals.length === 0 && !showForm && (
+        <div className="budget-empty">
+          <i className="bi bi-piggy-bank"></i>
+          <p>No savings goals yet.</p>
+          <span>Save toward something specific and see when you&apos;ll get there.</span>
+        </div>
+      )}
+
+      {goals.length > 0 && (
+        <div className="budget-list">
+          {goals.map(goal => (
+            <GoalRow
+              key={goal.id}
+              goal={goal}
+              progress={progress[goal.id]}
+              wallet={wallets.find(w => w.id === goal.walletId)}
+              onContribute={onContribute}
+              onEdit={handleEdit}
+              onRemove={handleRemove}
+            />
+          ))}
+        </div>
+      )}
+
+      {showForm && (
+        <GoalForm
+          key={editingId || 'new'}
+          goal={goals.find(g => g.id === editingId)}
+          wallets={wallets}
+          allTags={allTags}
+          today={today}
+          onSave={handleSave}
+          onCancel={handleCancel}
+        />
+      )}
+
+    </div>
+  );
+};
+
+export default SavingsGoals;
@@ -0,0 +1,114 @@
+import {
+  DEFAULT_SETTINGS, LOCALES, CURRENCY_DISPLAYS, DATE_STYLES, WEEK_STARTS,
+} from '../constants/settings';
+import { formatCurrency, formatDate, formatMonthYear, getWeekdayLabels } from '../utils/helpers';
+
+// Changes apply as soon as they're picked; the preview shows the result
+const SettingsPanel = ({ settings, onChange, onRollbackUpgrade, onClose }) => {
+  const update = (field, value) => onChange({ ...settings, [field]: value });
+
+  const today = new Date();
+  const isDefault = Object.keys(DEFAULT_SETTINGS).every(k => settings[k] === DEFAULT_SETTINGS[k]);
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal" onClick={(e) => e.stopPropagation()}>
+        <h2>Settings</h2>
+        <div className="modal__body">
+
+          {/* Preview */}
+          <div className="settings-preview">
+            <span>{formatCurrency(1234567.5)}</span>
+            <span>{formatDate(today.toISOString())}</span>
+            <span>{formatMonthYear(today)}</span>
+            <span>{getWeekdayLabels().join(' ')}</span>
+          </div>
+
+          <div className="form-group">
+            <label className="label">Language & Region</label>
+            <select className="select" value={settings.locale} onChange={e => update('locale', e.target.value)}>
+              {LOCALES.map(l => <option key={l.value} value={l.value}>{l.label}</option>)}
+            </select>
+          </div>
+
+          <div className="form-row">
+            <div className="form-group">
+              <label className="label">Currency Display</label>
+              <select className="select" value={settings.currencyDisplay} onChange={e => update('currencyDisplay', e.target.value)}>
+                {CURRENCY_DISPLAYS.map(d => <option key={d.value} value={d.value}>{d.label}</option>)}
+              </select>
+            </div>
+
+            <div className="form-group">
+              <label className="label">Date Format</label>
+              <select className="select" value={settings.dateFormat} onChange={e => update('dateFormat', e.target.value)}>
+                {DATE_STYLES.map(d => <option key={d.value} value={d.value}>{d.label}</option>)}
+              </select>
+            </div>
+          </div>
+
+          <div className="form-group">
+            <label className="label">Number Grouping</label>
+            <div className="type-toggle">
+              <button
+                type="button"
+                className={`type-button ${settings.useGrouping ? 'active' : ''}`}
+                onClick={() => update('useGrouping', true)}
+              >
+                1,234,567
+              </button>
+              <button
+                type="button"
+                className={`type-button ${!settings.useGrouping ? 'active' : ''}`}
+                onClick={() => update('useGrouping', false)}
+              >
+                1234567
+              </button>
+            </div>
+          </div>
+
+          <div className="form-group">
+            <label className="label">First Day of Week</label>
+            <div className="type-toggle">
+              {WEEK_STARTS.map(w => (
+                <button
+                  key={w.value}
+                  type="button"
+                  className={`type-button ${settings.weekStart === w.value ? 'active' : ''}`}
+                  onClick={() => update('weekStart', w.value)}
+                >
+                  {w.label}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div className="form-group">
+            <label className="label">Data Upgrades</label>
+            <p className="budget-section__sub">
+              Your data is copied before each upgrade. If something looks wrong afterwards, put that copy back;
+              it is upgraded again when the page reloads, and anything changed since is lost.
+            </p>
+            <button type="button" className="btn-budget-add" onClick={onRollbackUpgrade}>
+              <i className="bi bi-arrow-counterclockwise"></i> Roll Back Last Upgrade
+            </button>
+          </div>
+
+          <div className="form-actions">
+            <button
+              type="button"
+              className="btn-cancel"
+              disabled={isDefault}
+              onClick={() => onChange(DEFAULT_SETTINGS)}
+            >
+              Reset to Defaults
+            </button>
+            <button type="button" className="btn-submit" onClick={onClose}>Done</button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SettingsPanel;
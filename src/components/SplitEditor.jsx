@@ -0,0 +1,78 @@
+import { formatCurrency } from '../utils/helpers';
+
+// Lines of a split transaction: each has a category, an amount and an optional note
+const SplitEditor = ({ lines, categories, total, currency, onChange, onCancel, error }) => {
+  const allocated = lines.reduce((s, line) => s + (parseFloat(line.amount) || 0), 0);
+  const remaining = Math.round(((parseFloat(total) || 0) - allocated) * 100) / 100;
+
+  const updateLine = (id, field, value) =>
+    onChange(lines.map(line => line.id === id ? { ...line, [field]: value } : line));
+
+  const addLine = () =>
+    onChange([
+      ...lines,
+      {
+        id: crypto.randomUUID(),
+        categoryId: categories.find(c => !lines.some(line => line.categoryId === c.id))?.id || categories[0]?.id || '',
+        amount: remaining > 0 ? String(remaining) : '',
+        note: '',
+      },
+    ]);
+
+  return (
+    <div className="split-editor">
+      {lines.map(line => (
+        <div key={line.id} className="split-line">
+          <select
+            className="select"
+            value={line.categoryId}
+            onChange={e => updateLine(line.id, 'categoryId', e.target.value)}
+          >
+            {categories.map(cat => <option key={cat.id} value={cat.id}>{cat.name}</option>)}
+          </select>
+          <input
+            type="number"
+            className="input split-line__amount"
+            value={line.amount}
+            onChange={e => updateLine(line.id, 'amount', e.target.value)}
+            placeholder="0.00"
+            step="0.01"
+          />
+          <input
+            type="text"
+            className="input"
+            value={line.note}
+            onChange={e => updateLine(line.id, 'note', e.target.value)}
+            placeholder="Note"
+            maxLength={100}
+          />
+          <button
+            type="button"
+            className="btn-delete"
+            title="Remove line"
+            onClick={() => onChange(lines.filter(l => l.id !== line.id))}
+            disabled={lines.length <= 2}
+          >
+            <i className="bi bi-x-lg"></i>
+          </button>
+        </div>
+      ))}
+
+      <div className="split-editor__footer">
+        <button type="button" className="btn-budget-add" onClick={addLine}>
+          <i className="bi bi-plus-lg"></i> Add Line
+        </button>
+        <span className={`split-editor__remaining ${remaining === 0 ? 'done' : ''}`}>
+          {remaining === 0
+            ? 'Lines add up to the total'
+            : `${formatCurrency(Math.abs(remaining), currency)} ${remaining > 0 ? 'left to assign' : 'over the total'}`}
+        </span>
+        <button type="button" className="split-editor__cancel" onClick={onCancel}>Don&apos;t split</button>
+      </div>
+
+      {error && <span className="field-error"><i className="bi bi-exclamation-circle"></i> {error}</span>}
+    </div>
+  );
+};
+
+export default SplitEditor;
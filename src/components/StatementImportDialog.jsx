@@ -0,0 +1,81 @@
+import { useState, useMemo } from 'react';
+import { parseOFX, parseQIF, statementToDrafts, STATEMENT_FORMATS } from '../utils/statements';
+import { DATE_FORMATS } from '../utils/csv';
+import { validateTransactions, splitDuplicates } from '../utils/backup';
+import ImportSummary from './ImportSummary';
+
+const StatementImportDialog = ({
+  fileName, format, text, categories, wallets, transactions, onImport, onClose,
+}) => {
+  const [walletId, setWalletId]     = useState(wallets[0]?.id || '');
+  const [dateFormat, setDateFormat] = useState('auto');
+
+  const parsed = useMemo(
+    () => (format === 'qif' ? parseQIF(text, dateFormat) : parseOFX(text)),
+    [format, text, dateFormat]
+  );
+
+  // Same validation + duplicate steps as a JSON backup import, keyed on FITID/hash
+  const review = useMemo(() => {
+    const drafts = statementToDrafts(parsed, { categories, walletId });
+    const { validItems, invalidItems } = validateTransactions(drafts, categories.map(c => c.id));
+    const { duplicates, newItems } = splitDuplicates(
+      validItems,
+      transactions.filter(t => t.importKey),
+      t => t.importKey
+    );
+    return { problems: [...parsed.problems, ...invalidItems], duplicates, newItems };
+  }, [parsed, categories, walletId, transactions]);
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal" onClick={(e) => e.stopPropagation()}>
+        <h2>Import {STATEMENT_FORMATS[format]} Statement</h2>
+        <div className="modal__body">
+          <p className="restore-file">
+            <i className="bi bi-bank"></i> {fileName}
+            {parsed.accountId && <span> · account …{parsed.accountId.slice(-4)}</span>}
+          </p>
+
+          <div className="form-group">
+            <label className="label">Import Into Wallet</label>
+            <select className="select" value={walletId} onChange={e => setWalletId(e.target.value)}>
+              {wallets.map(w => <option key={w.id} value={w.id}>{w.name}</option>)}
+            </select>
+          </div>
+
+          {/* QIF has no standard date order */}
+          {format === 'qif' && (
+            <div className="form-group">
+              <label className="label">Date Format</label>
+              <select className="select" value={dateFormat} onChange={e => setDateFormat(e.target.value)}>
+                {DATE_FORMATS.filter(f => f.value !== 'YYYY-MM-DD').map(f => (
+                  <option key={f.value} value={f.value}>{f.label}</option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          <ImportSummary
+            total={parsed.entries.length + parsed.problems.length}
+            {...review}
+          />
+
+          <div className="form-actions">
+            <button type="button" className="btn-cancel" onClick={onClose}>Cancel</button>
+            <button
+              type="button"
+              className="btn-submit"
+              disabled={review.newItems.length === 0 || !walletId}
+              onClick={() => onImport(review.newItems)}
+            >
+              Import {review.newItems.length} Transaction{review.newItems.length !== 1 ? 's' : ''}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default StatementImportDialog;
@@ -0,0 +1,13 @@
+const StorageErrorBanner = ({ message, onDismiss }) => (
+  <div className="storage-error" role="alert">
+    <i className="bi bi-exclamation-triangle-fill"></i>
+    <span className="storage-error__text">{message}</span>
+    {onDismiss && (
+      <button onClick={onDismiss} className="storage-error__close" title="Dismiss">
+        <i className="bi bi-x-lg"></i>
+      </button>
+    )}
+  </div>
+);
+
+export default StorageErrorBanner;
@@ -1,28 +1,56 @@
-import { formatCurrency } from '../utils/helpers';
+import { formatCurrency, formatForeignAmounts, foreignField } from '../utils/helpers';
 
-const SummaryCards = ({ summary }) => (
-  <div className="summary">
-    <div className="summary-card income">
-      <div className="summary-label">Income</div>
-      <div className="summary-amount">{formatCurrency(summary.income)}</div>
-    </div>
+// Original amounts behind a converted total, e.g. "incl. $120.00"
+const ForeignAmounts = ({ foreign, field }) => {
+  const original = formatForeignAmounts(foreignField(foreign, field));
+  if (!original) return null;
+  return <div className="summary-foreign">incl. {original}</div>;
+};
 
-    <div className="summary-card expense">
-      <div className="summary-label">Expenses</div>
-      <div className="summary-amount">{formatCurrency(summary.expenses)}</div>
-    </div>
+const SummaryCards = ({ summary, baseCurrency, rangeLabel }) => (
+  <>
+    {rangeLabel && (
+      <div className="summary-range">
+        <i className="bi bi-calendar-range"></i> {rangeLabel}
+      </div>
+    )}
+
+    <div className="summary">
+      <div className="summary-card income">
+        <div className="summary-label">Income</div>
+        <div className="summary-amount">{formatCurrency(summary.income)}</div>
+        <ForeignAmounts foreign={summary.foreign} field="income" />
+      </div>
 
-    <div className="summary-card balance">
-      <div className="summary-label">Balance</div>
-      <div
-        className="summary-amount"
-        style={{ color: summary.balance < 0 ? '#f43f5e' : undefined }}
-      >
-        {formatCurrency(summary.balance)}
+      <div className="summary-card expense">
+        <div className="summary-label">Expenses</div>
+        <div className="summary-amount">{formatCurrency(summary.expenses)}</div>
+        <ForeignAmounts foreign={summary.foreign} field="expenses" />
+      </div>
+
+      <div className="summary-card balance">
+        <div className="summary-label">Balance</div>
+        <div
+          className="summary-amount"
+          style={{ color: summary.balance < 0 ? '#f43f5e' : undefined }}
+        >
+          {formatCurrency(summary.balance)}
+        </div>
+        {Object.keys(summary.foreign).length > 0 && (
+          <div className="summary-foreign">Converted to {baseCurrency}</div>
+        )}
       </div>
     </div>
-  </div>
+
+    {summary.missingRates > 0 && (
+      <div className="summary-warning">
+        <i className="bi bi-exclamation-triangle"></i>
+        {summary.missingRates} transaction{summary.missingRates !== 1 ? 's have' : ' has'} no
+        exchange rate to {baseCurrency} and {summary.missingRates !== 1 ? 'are' : 'is'} left out of these totals.
+        Add a rate under Currencies.
+      </div>
+    )}
+  </>
 );
 
 export default SummaryCards;
-
@@ -0,0 +1,65 @@
+import { useState } from 'react';
+import { normalizeTag } from '../utils/helpers';
+
+const MAX_SUGGESTIONS = 6;
+
+// Chips plus a text box; Enter, comma or picking a suggestion adds a tag
+const TagInput = ({ tags, allTags, onChange }) => {
+  const [draft, setDraft] = useState('');
+
+  const query = normalizeTag(draft);
+  const suggestions = allTags
+    .filter(tag => !tags.includes(tag) && (!query || tag.includes(query)))
+    .slice(0, MAX_SUGGESTIONS);
+
+  const addTag = (raw) => {
+    const tag = normalizeTag(raw);
+    if (tag && !tags.includes(tag)) onChange([...tags, tag]);
+    setDraft('');
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' || e.key === ',') {
+      e.preventDefault();
+      if (draft.trim()) addTag(draft);
+    } else if (e.key === 'Backspace' && !draft && tags.length > 0) {
+      onChange(tags.slice(0, -1));
+    }
+  };
+
+  return (
+    <div className="tag-input">
+      <div className="tag-input__box">
+        {tags.map(tag => (
+          <span key={tag} className="tag-chip">
+            #{tag}
+            <button type="button" title="Remove tag" onClick={() => onChange(tags.filter(t => t !== tag))}>
+              <i className="bi bi-x"></i>
+            </button>
+          </span>
+        ))}
+        <input
+          type="text"
+          value={draft}
+          onChange={e => setDraft(e.target.value)}
+          onKeyDown={handleKeyDown}
+          onBlur={() => draft.trim() && addTag(draft)}
+          placeholder={tags.length === 0 ? 'e.g. vacation-boracay-2026' : ''}
+        />
+      </div>
+
+      {draft && suggestions.length > 0 && (
+        <div className="tag-input__suggestions">
+          {suggestions.map(tag => (
+            // mousedown fires before the input's blur, so the click isn't lost
+            <button key={tag} type="button" onMouseDown={e => { e.preventDefault(); addTag(tag); }}>
+              #{tag}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TagInput;
@@ -0,0 +1,75 @@
+import { useState } from 'react';
+import { formatCurrency, formatMonthYear } from '../utils/helpers';
+
+const monthFromKey = (key) => {
+  const [year, month] = key.split('-').map(Number);
+  return new Date(year, month - 1, 1);
+};
+
+// ── Month-by-month breakdown for one tag ─────────────────────
+const TagMonths = ({ months }) => {
+  const largest = Math.max(...months.map(m => m.expenses), 1);
+  return (
+    <div className="tag-report__months">
+      {months.map(m => (
+        <div key={m.month} className="tag-report__month">
+          <span className="tag-report__month-label">{formatMonthYear(monthFromKey(m.month))}</span>
+          <div className="tag-report__bar">
+            <div className="tag-report__bar-fill" style={{ width: `${(m.expenses / largest) * 100}%` }} />
+          </div>
+          <span className="tag-report__month-amount">{formatCurrency(m.expenses)}</span>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+// ── Spending per tag across every month ──────────────────────
+const TagReport = ({ tagSummary, onShowTag }) => {
+  const [openTag, setOpenTag] = useState(null);
+
+  if (tagSummary.length === 0) return null;
+
+  return (
+    <div className="category-section">
+      <div className="category-section__header">
+        <div>
+          <h2 className="section-title" style={{ marginBottom: 2 }}>Tags</h2>
+          <p className="budget-section__sub">Spending per tag across all months</p>
+        </div>
+      </div>
+
+      <div className="tag-report">
+        {tagSummary.map(entry => (
+          <div key={entry.tag} className="tag-report__item">
+            <button
+              type="button"
+              className="tag-report__row"
+              onClick={() => setOpenTag(openTag === entry.tag ? null : entry.tag)}
+            >
+              <span className="tag-chip">#{entry.tag}</span>
+              <span className="tag-report__meta">
+                {entry.count} transaction{entry.count !== 1 ? 's' : ''}
+                · {entry.months.length} month{entry.months.length !== 1 ? 's' : ''}
+                {entry.income > 0 && ` · ${formatCurrency(entry.income)} in`}
+              </span>
+              <strong className="tag-report__total">{formatCurrency(entry.expenses)}</strong>
+              <i className={`bi ${openTag === entry.tag ? 'bi-chevron-up' : 'bi-chevron-down'}`}></i>
+            </button>
+
+            {openTag === entry.tag && (
+              <>
+                <TagMonths months={entry.months} />
+                <button type="button" className="btn-budget-add" onClick={() => onShowTag(entry.tag)}>
+                  <i className="bi bi-funnel"></i> Filter transactions by #{entry.tag}
+                </button>
+              </>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default TagReport;
@@ -1,5 +1,10 @@
 import { useState } from 'react';
-import { getDefaultCategory } from '../utils/helpers';
+import { getDefaultCategory, getCategoriesForType, splitsMatchTotal, describeRecurrence } from '../utils/helpers';
+import { CURRENCIES } from '../constants/currencies';
+import SplitEditor from './SplitEditor';
+import TagInput from './TagInput';
+import AttachmentInput from './AttachmentInput';
+import RecurrenceEditor from './RecurrenceEditor';
 
 const TransactionForm = ({
   formData,
@@ -9,8 +14,16 @@ const TransactionForm = ({
   onClose,
   categories,
   wallets,
+  allTags,
 }) => {
   const [errors, setErrors] = useState({});
+  const [attaching, setAttaching] = useState(false);
+
+  const isTransfer    = formData.type === 'transfer';
+  const fromWallet    = wallets.find(w => w.id === formData.walletId);
+  const toWallet      = wallets.find(w => w.id === formData.toWalletId);
+  const crossCurrency = isTransfer && fromWallet && toWallet && fromWallet.currency !== toWallet.currency;
+  const isSplitting   = !isTransfer && formData.splits.length > 0;
 
   const handleChange = (e) => {
     const { name, value } = e.target;
@@ -18,18 +31,60 @@ const TransactionForm = ({
     if (errors[name]) setErrors(prev => ({ ...prev, [name]: '' }));
   };
 
+  // Switching wallets switches to that wallet's currency
+  const handleWalletChange = (e) => {
+    const wallet = wallets.find(w => w.id === e.target.value);
+    setFormData(prev => ({ ...prev, walletId: e.target.value, currency: wallet?.currency || prev.currency }));
+    if (errors.walletId) setErrors(prev => ({ ...prev, walletId: '' }));
+  };
+
   const handleTypeChange = (type) => {
+    setFormData(prev => {
+      // Split lines use categories of the old type, so start them over
+      if (type !== 'transfer') return { ...prev, type, categoryId: getDefaultCategory(type, categories), splits: [] };
+      // Transfers are in the source wallet's currency; default to the next wallet as destination
+      const source = wallets.find(w => w.id === prev.walletId);
+      return {
+        ...prev,
+        type,
+        currency: source?.currency || prev.currency,
+        toWalletId: prev.toWalletId || wallets.find(w => w.id !== prev.walletId)?.id || '',
+        splits: [],
+        recurring: false,
+      };
+    });
+  };
+
+  // Start a split with the current category holding the whole amount
+  const handleStartSplit = () => {
     setFormData(prev => ({
       ...prev,
-      type,
-      categoryId: getDefaultCategory(type, categories),
+      splits: [
+        { id: crypto.randomUUID(), categoryId: prev.categoryId, amount: prev.amount, note: '' },
+        {
+          id: crypto.randomUUID(),
+          categoryId: getCategoriesForType(prev.type, categories).find(c => c.id !== prev.categoryId)?.id || prev.categoryId,
+          amount: '',
+          note: '',
+        },
+      ],
     }));
   };
 
+  const handleSplitsChange = (splits) => {
+    setFormData(prev => ({ ...prev, splits }));
+    if (errors.splits) setErrors(prev => ({ ...prev, splits: '' }));
+  };
+
   const handleRecurringToggle = () => {
     setFormData(prev => ({ ...prev, recurring: !prev.recurring }));
   };
 
+  const handleRecurrenceChange = (recurrence) => {
+    setFormData(prev => ({ ...prev, recurrence }));
+    setErrors(prev => ({ ...prev, interval: '', endDate: '', count: '' }));
+  };
+
   const validate = () => {
     const newErrors = {};
 
@@ -45,6 +100,30 @@ const TransactionForm = ({
       newErrors.walletId = 'Please select a wallet.';
     }
 
+    if (isSplitting) {
+      if (formData.splits.length < 2) {
+        newErrors.splits = 'A split needs at least two lines.';
+      } else if (formData.splits.some(line => !(parseFloat(line.amount) > 0))) {
+        newErrors.splits = 'Every line needs an amount greater than zero.';
+      } else if (!splitsMatchTotal(formData.splits, parseFloat(formData.amount) || 0)) {
+        newErrors.splits = 'Lines must add up to the total amount.';
+      }
+    }
+
+    if (isTransfer) {
+      if (!formData.toWalletId) {
+        newErrors.toWalletId = 'Please select where the money goes.';
+      } else if (formData.toWalletId === formData.walletId) {
+        newErrors.toWalletId = 'Pick a different wallet to transfer to.';
+      }
+      if (formData.fee !== '' && !(parseFloat(formData.fee) >= 0)) {
+        newErrors.fee = 'Fee cannot be negative.';
+      }
+      if (crossCurrency && formData.toAmount !== '' && !(parseFloat(formData.toAmount) > 0)) {
+        newErrors.toAmount = 'Amount received must be greater than zero.';
+      }
+    }
+
     if (!formData.date) {
       newErrors.date = 'Please select a date.';
     } else {
@@ -54,6 +133,21 @@ const TransactionForm = ({
       if (selected > today) newErrors.date = 'Date cannot be in the future.';
     }
 
+    if (formData.recurring && !isTransfer) {
+      const { interval, endDate, count } = formData.recurrence;
+      if (!(parseInt(interval, 10) >= 1)) {
+        newErrors.interval = 'Repeat at least every 1.';
+      }
+      if (endDate === '') {
+        newErrors.endDate = 'Please pick the last date.';
+      } else if (endDate && formData.date && endDate < formData.date) {
+        newErrors.endDate = 'The last date cannot be before the first one.';
+      }
+      if (count !== null && !(parseInt(count, 10) >= 1)) {
+        newErrors.count = 'Enter how many times it should happen.';
+      }
+    }
+
     if (formData.note && formData.note.length > 100) {
       newErrors.note = `Note is too long (${formData.note.length}/100 characters).`;
     }
@@ -72,13 +166,11 @@ const TransactionForm = ({
     onSubmit(e);
   };
 
-  const filteredCategories = categories.filter(c =>
-    formData.type === 'income'
-      ? /salary|income/i.test(c.name)
-      : !/salary|income/i.test(c.name)
-  );
+  const filteredCategories = getCategoriesForType(formData.type, categories);
 
-  const selectedDay = formData.date ? new Date(formData.date).getDate() : null;
+  const scheduleText = formData.recurring && formData.date
+    ? describeRecurrence({ startDate: formData.date, rule: formData.recurrence })
+    : null;
 
   return (
     <div className="modal-overlay" onClick={onClose}>
@@ -93,21 +185,41 @@ const TransactionForm = ({
             <div className="type-toggle">
               <button type="button" className={`type-button ${formData.type === 'expense' ? 'active' : ''}`} onClick={() => handleTypeChange('expense')}>Expense</button>
               <button type="button" className={`type-button ${formData.type === 'income' ? 'active' : ''}`} onClick={() => handleTypeChange('income')}>Income</button>
+              <button type="button" className={`type-button ${isTransfer ? 'active' : ''}`} onClick={() => handleTypeChange('transfer')}>Transfer</button>
             </div>
           </div>
 
-          {/* Amount */}
-          <div className="form-group">
-            <label className="label">Amount (₱)</label>
-            <input type="number" name="amount" value={formData.amount} onChange={handleChange} placeholder="0.00" step="0.01" className={`input ${errors.amount ? 'input-error' : ''}`} autoFocus />
-            {errors.amount && <span className="field-error"><i className="bi bi-exclamation-circle"></i> {errors.amount}</span>}
+          {/* Amount + Currency side by side */}
+          <div className="form-row">
+            <div className="form-group">
+              <label className="label">Amount{isTransfer && fromWallet ? ` (${fromWallet.currency})` : ''}</label>
+              <input type="number" name="amount" value={formData.amount} onChange={handleChange} placeholder="0.00" step="0.01" className={`input ${errors.amount ? 'input-error' : ''}`} autoFocus />
+              {errors.amount && <span className="field-error"><i className="bi bi-exclamation-circle"></i> {errors.amount}</span>}
+            </div>
+
+            {isTransfer ? (
+              <div className="form-group">
+                <label className="label">Fee (optional, counted as an expense)</label>
+                <input type="number" name="fee" value={formData.fee} onChange={handleChange} placeholder="0.00" step="0.01" min="0" className={`input ${errors.fee ? 'input-error' : ''}`} />
+                {errors.fee && <span className="field-error"><i className="bi bi-exclamation-circle"></i> {errors.fee}</span>}
+              </div>
+            ) : (
+              <div className="form-group">
+                <label className="label">Currency</label>
+                <select name="currency" value={formData.currency} onChange={handleChange} className="select">
+                  {CURRENCIES.map(c => (
+                    <option key={c.code} value={c.code}>{c.code} — {c.name}</option>
+                  ))}
+                </select>
+              </div>
+            )}
           </div>
 
-          {/* Wallet + Category side by side */}
+          {/* Wallet + Category (or destination wallet) side by side */}
           <div className="form-row">
             <div className="form-group">
-              <label className="label">Wallet</label>
-              <select name="walletId" value={formData.walletId} onChange={handleChange} className={`select ${errors.walletId ? 'input-error' : ''}`}>
+              <label className="label">{isTransfer ? 'From Wallet' : 'Wallet'}</label>
+              <select name="walletId" value={formData.walletId} onChange={handleWalletChange} className={`select ${errors.walletId ? 'input-error' : ''}`}>
                 <option value="">Select wallet…</option>
                 {wallets.map(w => (
                   <option key={w.id} value={w.id}>{w.name}</option>
@@ -116,15 +228,63 @@ const TransactionForm = ({
               {errors.walletId && <span className="field-error"><i className="bi bi-exclamation-circle"></i> {errors.walletId}</span>}
             </div>
 
+            {isTransfer ? (
+              <div className="form-group">
+                <label className="label">To Wallet</label>
+                <select name="toWalletId" value={formData.toWalletId} onChange={handleChange} className={`select ${errors.toWalletId ? 'input-error' : ''}`}>
+                  <option value="">Select wallet…</option>
+                  {wallets.map(w => (
+                    <option key={w.id} value={w.id}>{w.name}</option>
+                  ))}
+                </select>
+                {errors.toWalletId && <span className="field-error"><i className="bi bi-exclamation-circle"></i> {errors.toWalletId}</span>}
+              </div>
+            ) : (
+              <div className="form-group">
+                <label className="label">
+                  Category
+                  {!isSplitting && (
+                    <button type="button" className="split-toggle" onClick={handleStartSplit}>
+                      <i className="bi bi-diagram-3"></i> Split
+                    </button>
+                  )}
+                </label>
+                {isSplitting ? (
+                  <div className="input split-summary">{formData.splits.length} categories</div>
+                ) : (
+                  <select name="categoryId" value={formData.categoryId} onChange={handleChange} className="select">
+                    {filteredCategories.map(cat => (
+                      <option key={cat.id} value={cat.id}>{cat.name}</option>
+                    ))}
+                  </select>
+                )}
+              </div>
+            )}
+          </div>
+
+          {/* Split lines */}
+          {isSplitting && (
             <div className="form-group">
-              <label className="label">Category</label>
-              <select name="categoryId" value={formData.categoryId} onChange={handleChange} className="select">
-                {filteredCategories.map(cat => (
-                  <option key={cat.id} value={cat.id}>{cat.name}</option>
-                ))}
-              </select>
+              <SplitEditor
+                lines={formData.splits}
+                categories={filteredCategories}
+                total={formData.amount}
+                currency={formData.currency}
+                onChange={handleSplitsChange}
+                onCancel={() => handleSplitsChange([])}
+                error={errors.splits}
+              />
             </div>
-          </div>
+          )}
+
+          {/* Different currencies on each side: what actually arrived */}
+          {crossCurrency && (
+            <div className="form-group">
+              <label className="label">Amount Received ({toWallet.currency}, optional)</label>
+              <input type="number" name="toAmount" value={formData.toAmount} onChange={handleChange} placeholder="Leave blank to use the exchange rate" step="0.01" className={`input ${errors.toAmount ? 'input-error' : ''}`} />
+              {errors.toAmount && <span className="field-error"><i className="bi bi-exclamation-circle"></i> {errors.toAmount}</span>}
+            </div>
+          )}
 
           {/* Date */}
           <div className="form-group">
@@ -145,31 +305,61 @@ const TransactionForm = ({
             {errors.note && <span className="field-error"><i className="bi bi-exclamation-circle"></i> {errors.note}</span>}
           </div>
 
-          {/* Recurring toggle — hidden when editing */}
-          {!editingTransaction && (
+          {/* Tags */}
+          <div className="form-group">
+            <label className="label">Tags (optional)</label>
+            <TagInput
+              tags={formData.tags}
+              allTags={allTags}
+              onChange={tags => setFormData(prev => ({ ...prev, tags }))}
+            />
+          </div>
+
+          {/* Receipts */}
+          <div className="form-group">
+            <label className="label">Receipts (optional)</label>
+            <AttachmentInput
+              attachments={formData.attachments}
+              onAdd={added => setFormData(prev => ({ ...prev, attachments: [...prev.attachments, ...added] }))}
+              onRemove={id => setFormData(prev => ({ ...prev, attachments: prev.attachments.filter(a => a.id !== id) }))}
+              onBusyChange={setAttaching}
+            />
+          </div>
+
+          {/* Recurring toggle — hidden when editing and for transfers */}
+          {!editingTransaction && !isTransfer && (
             <div className="form-group">
               <button type="button" className={`recurring-toggle ${formData.recurring ? 'active' : ''}`} onClick={handleRecurringToggle}>
                 <span className="recurring-toggle__icon">
                   <i className={`bi ${formData.recurring ? 'bi-check-circle-fill' : 'bi-arrow-repeat'}`}></i>
                 </span>
                 <span className="recurring-toggle__text">
-                  <strong>Repeat monthly</strong>
+                  <strong>Repeat</strong>
                   <span>
-                    {formData.recurring && selectedDay
-                      ? `Will auto-generate on day ${selectedDay} of every month`
-                      : 'Automatically add this transaction every month'}
+                    {scheduleText
+                      ? `Will auto-generate: ${scheduleText}`
+                      : 'Automatically add this transaction on a schedule'}
                   </span>
                 </span>
                 <span className={`recurring-toggle__badge ${formData.recurring ? 'on' : 'off'}`}>
                   {formData.recurring ? 'ON' : 'OFF'}
                 </span>
               </button>
+              {formData.recurring && (
+                <RecurrenceEditor
+                  rule={formData.recurrence}
+                  onChange={handleRecurrenceChange}
+                  requiresConfirmation={formData.requiresConfirmation}
+                  onConfirmationChange={value => setFormData(prev => ({ ...prev, requiresConfirmation: value }))}
+                  errors={errors}
+                />
+              )}
             </div>
           )}
 
           <div className="form-actions">
             <button type="button" onClick={onClose} className="btn-cancel">Cancel</button>
-            <button type="submit" className="btn-submit">{editingTransaction ? 'Update' : 'Add'} Transaction</button>
+            <button type="submit" className="btn-submit" disabled={attaching}>{editingTransaction ? 'Update' : 'Add'} Transaction</button>
           </div>
 
         </form>
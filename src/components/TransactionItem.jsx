@@ -1,39 +1,139 @@
-import { formatCurrency, formatDate } from '../utils/helpers';
-
-const TransactionItem = ({ transaction, category, wallet, onEdit, onDelete }) => (
-  <div className="transaction-item">
-    <div className="transaction-icon" style={{ backgroundColor: category.color }}>
-      <i className={`bi ${category.icon}`} aria-hidden="true"></i>
-    </div>
-
-    <div className="transaction-details">
-      <div className="transaction-category">{category.name}</div>
-      <div className="transaction-note">{transaction.note || 'No note'}</div>
-      <div className="transaction-date">
-        {formatDate(transaction.date)}
-        {wallet && (
-          <span className="transaction-wallet-tag" style={{ borderColor: wallet.color, color: wallet.color }}>
-            <i className={`bi ${wallet.icon}`}></i> {wallet.name}
-          </span>
+import { useState } from 'react';
+import { formatCurrency, formatDate, getBaseCurrency, isSplit } from '../utils/helpers';
+import { DEFAULT_CURRENCY } from '../constants/currencies';
+import { TRANSFER_CATEGORY } from '../constants/categories';
+import { isImageAttachment } from '../utils/attachments';
+import AttachmentViewer from './AttachmentViewer';
+
+const WalletTag = ({ wallet }) => (
+  <span className="transaction-wallet-tag" style={{ borderColor: wallet.color, color: wallet.color }}>
+    <i className={`bi ${wallet.icon}`}></i> {wallet.name}
+  </span>
+);
+
+const TransactionItem = ({ transaction, category, wallet, toWallet, getCategoryInfo, onEdit, onDelete, selectable, selected, onSelect }) => {
+  const [expanded, setExpanded] = useState(false);
+  const [viewing, setViewing] = useState(null);
+  const split = isSplit(transaction);
+  const currency = transaction.currency || DEFAULT_CURRENCY;
+  const isTransfer = transaction.type === 'transfer';
+  const isForeign = !isTransfer && currency !== getBaseCurrency();
+  const shown = isTransfer ? TRANSFER_CATEGORY : category;
+
+  return (
+    <>
+      <div
+        className={`transaction-item ${selectable ? 'selectable' : ''} ${selected ? 'selected' : ''}`}
+        onClick={selectable ? (e) => onSelect(transaction, e) : undefined}
+      >
+        {selectable && (
+          <input
+            type="checkbox"
+            className="transaction-select"
+            checked={selected}
+            onChange={() => {}}
+            aria-label="Select transaction"
+          />
         )}
-      </div>
-    </div>
+        <div className="transaction-icon" style={{ backgroundColor: shown.color }}>
+          <i className={`bi ${shown.icon}`} aria-hidden="true"></i>
+        </div>
 
-    <div className="transaction-right">
-      <div className={`transaction-amount ${transaction.type}`}>
-        {transaction.type === 'income' ? '+' : '-'}
-        {formatCurrency(transaction.amount)}
-      </div>
-      <div className="transaction-actions">
-        <button className="btn-edit" onClick={() => onEdit(transaction)} title="Edit">
-          <i className="bi bi-pen"></i>
-        </button>
-        <button className="btn-delete" onClick={() => onDelete(transaction)} title="Delete">
-          <i className="bi bi-trash"></i>
-        </button>
+        <div className="transaction-details">
+          <div className="transaction-category">
+            {split ? `Split · ${transaction.splits.length} categories` : shown.name}
+            {split && (
+              <button type="button" className="transaction-split-toggle" onClick={(e) => { e.stopPropagation(); setExpanded(!expanded); }}>
+                {expanded ? 'Hide' : 'Show'} <i className={`bi ${expanded ? 'bi-chevron-up' : 'bi-chevron-down'}`}></i>
+              </button>
+            )}
+          </div>
+          <div className="transaction-note">{transaction.note || 'No note'}</div>
+          {transaction.tags?.length > 0 && (
+            <div className="transaction-tags">
+              {transaction.tags.map(tag => <span key={tag} className="tag-chip">#{tag}</span>)}
+            </div>
+          )}
+          {transaction.attachments?.length > 0 && (
+            <div className="attachment-thumbs" onClick={e => e.stopPropagation()}>
+              {transaction.attachments.map((a, i) => (
+                <button key={a.id} type="button" className="attachment-thumb" title={a.name} onClick={() => setViewing(i)}>
+                  {isImageAttachment(a) && a.thumbnail
+                    ? <img src={a.thumbnail} alt={a.name} />
+                    : <i className={`bi ${isImageAttachment(a) ? 'bi-file-earmark-image' : 'bi-file-earmark-pdf'}`}></i>}
+                </button>
+              ))}
+            </div>
+          )}
+          <div className="transaction-date">
+            {formatDate(transaction.date)}
+            {wallet && <WalletTag wallet={wallet} />}
+            {isTransfer && (
+              <>
+                <i className="bi bi-arrow-right transaction-transfer-arrow"></i>
+                {toWallet ? <WalletTag wallet={toWallet} /> : <span className="transaction-wallet-tag">Unknown Wallet</span>}
+              </>
+            )}
+          </div>
+        </div>
+
+        <div className="transaction-right">
+          <div className={`transaction-amount ${transaction.type}`}>
+            {isTransfer ? '' : transaction.type === 'income' ? '+' : '-'}
+            {formatCurrency(transaction.amount, currency)}
+          </div>
+          {isTransfer && transaction.toAmount !== undefined && (
+            <div className="transaction-converted">
+              → {formatCurrency(transaction.toAmount, toWallet?.currency || currency)}
+            </div>
+          )}
+          {isTransfer && transaction.fee > 0 && (
+            <div className="transaction-converted">+ {formatCurrency(transaction.fee, currency)} fee</div>
+          )}
+          {isForeign && (
+            <div className="transaction-converted">
+              {transaction.baseAmount === null || transaction.baseAmount === undefined
+                ? 'No exchange rate'
+                : `≈ ${formatCurrency(transaction.baseAmount)}`}
+            </div>
+          )}
+          <div className="transaction-actions" onClick={e => e.stopPropagation()}>
+            <button className="btn-edit" onClick={() => onEdit(transaction)} title="Edit">
+              <i className="bi bi-pen"></i>
+            </button>
+            <button className="btn-delete" onClick={() => onDelete(transaction)} title="Delete">
+              <i className="bi bi-trash"></i>
+            </button>
+          </div>
+        </div>
       </div>
-    </div>
-  </div>
-);
 
-export default TransactionItem;
\ No newline at end of file
+      {/* One row per split line */}
+      {split && expanded && (
+        <div className="transaction-split-lines">
+          {transaction.splits.map(line => {
+            const lineCategory = getCategoryInfo(line.categoryId);
+            return (
+              <div key={line.id} className="transaction-split-line">
+                <i className={`bi ${lineCategory.icon}`} style={{ color: lineCategory.color }}></i>
+                <span>{lineCategory.name}</span>
+                <span className="transaction-split-line__note">{line.note}</span>
+                <span className={`transaction-amount ${transaction.type}`}>{formatCurrency(line.amount, currency)}</span>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {viewing !== null && (
+        <AttachmentViewer
+          attachments={transaction.attachments}
+          startIndex={viewing}
+          onClose={() => setViewing(null)}
+        />
+      )}
+    </>
+  );
+};
+
+export default TransactionItem;
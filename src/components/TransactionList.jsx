@@ -1,4 +1,7 @@
+import { useState } from 'react';
 import TransactionItem from './TransactionItem';
+import ViewToggle from './ViewToggle';
+import BatchActions from './BatchActions';
 
 const EmptyState = ({ hasActiveFilters }) => (
   <div className="empty-state">
@@ -16,6 +19,7 @@ const EmptyState = ({ hasActiveFilters }) => (
   </div>
 );
 
+// Selection mode: click or tick rows, shift-click to select a range
 const TransactionList = ({
   transactions,
   getCategoryInfo,
@@ -23,29 +27,108 @@ const TransactionList = ({
   onEdit,
   onDelete,
   hasActiveFilters,
-}) => (
-  <div className="transactions">
-    <div className="transaction-header">
-      <h2 className="section-title">Transactions ({transactions.length})</h2>
-    </div>
+  view,
+  onViewChange,
+  categories,
+  wallets,
+  allTags,
+  onBatchUpdate,
+  onBatchDelete,
+}) => {
+  const [selecting, setSelecting]     = useState(false);
+  const [selectedIds, setSelectedIds] = useState(() => new Set());
+  const [anchorId, setAnchorId]       = useState(null);
+
+  // Rows hidden by a filter or month change drop out of the selection
+  const selected = transactions.filter(t => selectedIds.has(t.id));
+  const allSelected = transactions.length > 0 && selected.length === transactions.length;
+
+  const handleSelect = (transaction, event) => {
+    const anchorIndex = transactions.findIndex(t => t.id === anchorId);
+    const next = new Set(selectedIds);
+    if (event.shiftKey && anchorIndex !== -1) {
+      const index = transactions.findIndex(t => t.id === transaction.id);
+      const [from, to] = anchorIndex < index ? [anchorIndex, index] : [index, anchorIndex];
+      transactions.slice(from, to + 1).forEach(t => next.add(t.id));
+    } else if (next.has(transaction.id)) {
+      next.delete(transaction.id);
+    } else {
+      next.add(transaction.id);
+    }
+    setSelectedIds(next);
+    setAnchorId(transaction.id);
+  };
+
+  const selectAll = () => setSelectedIds(allSelected ? new Set() : new Set(transactions.map(t => t.id)));
+
+  const stopSelecting = () => {
+    setSelecting(false);
+    setSelectedIds(new Set());
+    setAnchorId(null);
+  };
+
+  const handleBatchDelete = (ids) => {
+    if (!window.confirm(`Delete ${ids.length} transaction${ids.length !== 1 ? 's' : ''}? You can undo this.`)) return;
+    onBatchDelete(ids);
+    setSelectedIds(new Set());
+  };
 
-    {transactions.length === 0 ? (
-      <EmptyState hasActiveFilters={hasActiveFilters} />
-    ) : (
-      <div className="transaction-list">
-        {transactions.map(transaction => (
-          <TransactionItem
-            key={transaction.id}
-            transaction={transaction}
-            category={getCategoryInfo(transaction.categoryId)}
-            wallet={getWalletInfo(transaction.walletId)}
-            onEdit={onEdit}
-            onDelete={onDelete}
-          />
-        ))}
+  return (
+    <div className="transactions">
+      <div className="transaction-header transaction-header--with-toggle">
+        <h2 className="section-title">Transactions ({transactions.length})</h2>
+        <div className="transaction-header__actions">
+          {selecting ? (
+            <>
+              <button type="button" className="btn-budget-add" onClick={selectAll} disabled={transactions.length === 0}>
+                <i className={`bi ${allSelected ? 'bi-dash-square' : 'bi-check2-square'}`}></i>
+                {allSelected ? ' Select None' : ` Select All (${transactions.length})`}
+              </button>
+              <button type="button" className="btn-budget-add" onClick={stopSelecting}>Done</button>
+            </>
+          ) : (
+            <button type="button" className="btn-budget-add" onClick={() => setSelecting(true)} disabled={transactions.length === 0}>
+              <i className="bi bi-check2-square"></i> Select
+            </button>
+          )}
+          <ViewToggle view={view} onChange={onViewChange} />
+        </div>
       </div>
-    )}
-  </div>
-);
 
-export default TransactionList;
\ No newline at end of file
+      {selecting && (
+        <BatchActions
+          selected={selected}
+          categories={categories}
+          wallets={wallets}
+          allTags={allTags}
+          onUpdate={onBatchUpdate}
+          onDelete={handleBatchDelete}
+        />
+      )}
+
+      {transactions.length === 0 ? (
+        <EmptyState hasActiveFilters={hasActiveFilters} />
+      ) : (
+        <div className="transaction-list">
+          {transactions.map(transaction => (
+            <TransactionItem
+              key={transaction.id}
+              transaction={transaction}
+              category={getCategoryInfo(transaction.categoryId)}
+              wallet={getWalletInfo(transaction.walletId)}
+              toWallet={transaction.toWalletId ? getWalletInfo(transaction.toWalletId) : null}
+              getCategoryInfo={getCategoryInfo}
+              onEdit={onEdit}
+              onDelete={onDelete}
+              selectable={selecting}
+              selected={selectedIds.has(transaction.id)}
+              onSelect={handleSelect}
+            />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TransactionList;
@@ -1,8 +1,8 @@
-const UndoToast = ({ onUndo }) => (
+const UndoToast = ({ message, onUndo }) => (
   <div className="undo-toast">
-    <span>Transaction deleted</span>
+    <span>{message}</span>
     <button onClick={onUndo} className="undo-btn">Undo</button>
   </div>
 );
 
-export default UndoToast;
\ No newline at end of file
+export default UndoToast;
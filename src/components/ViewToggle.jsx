@@ -0,0 +1,13 @@
+// Switches the transactions panel between the list and the month calendar
+const ViewToggle = ({ view, onChange }) => (
+  <div className="view-toggle">
+    <button type="button" className={view === 'list' ? 'active' : ''} onClick={() => onChange('list')} title="List">
+      <i className="bi bi-list-ul"></i>
+    </button>
+    <button type="button" className={view === 'calendar' ? 'active' : ''} onClick={() => onChange('calendar')} title="Calendar">
+      <i className="bi bi-calendar3"></i>
+    </button>
+  </div>
+);
+
+export default ViewToggle;
@@ -1,5 +1,6 @@
 import { useState } from 'react';
-import { formatCurrency } from '../utils/helpers';
+import { formatCurrency, formatDate } from '../utils/helpers';
+import { CURRENCIES, DEFAULT_CURRENCY } from '../constants/currencies';
 
 // ── Icons available for custom wallets ───────────────────────
 const WALLET_ICONS = [
@@ -19,13 +20,20 @@ const WalletForm = ({ editingWallet, onSave, onCancel }) => {
   const [name,  setName]  = useState(editingWallet?.name  || '');
   const [color, setColor] = useState(editingWallet?.color || WALLET_COLORS[0]);
   const [icon,  setIcon]  = useState(editingWallet?.icon  || WALLET_ICONS[0]);
+  const [currency, setCurrency] = useState(editingWallet?.currency || DEFAULT_CURRENCY);
+  const [openingBalance, setOpeningBalance] = useState(editingWallet?.openingBalance || '');
+  const [openingDate, setOpeningDate]       = useState(editingWallet?.openingDate || '');
   const [error, setError] = useState('');
+  const [openingError, setOpeningError] = useState('');
 
   const handleSave = () => {
     const trimmed = name.trim();
     if (!trimmed) { setError('Wallet name is required.'); return; }
     if (trimmed.length > 20) { setError('Name must be 20 characters or less.'); return; }
-    onSave({ name: trimmed, color, icon });
+    const opening = openingBalance === '' ? 0 : parseFloat(openingBalance);
+    if (isNaN(opening)) { setOpeningError('Opening balance must be a number.'); return; }
+    if (opening !== 0 && !openingDate) { setOpeningError('Pick the date this balance was correct on.'); return; }
+    onSave({ name: trimmed, color, icon, currency, openingBalance: opening, openingDate });
   };
 
   return (
@@ -55,6 +63,45 @@ const WalletForm = ({ editingWallet, onSave, onCancel }) => {
         </div>
       </div>
 
+      {/* Currency */}
+      <div className="wallet-form__section">
+        <label className="label">Currency</label>
+        <select className="select" value={currency} onChange={e => setCurrency(e.target.value)}>
+          {CURRENCIES.map(c => <option key={c.code} value={c.code}>{c.code} — {c.name}</option>)}
+        </select>
+      </div>
+
+      {/* Opening balance */}
+      <div className="wallet-form__section">
+        <div className="form-row">
+          <div className="form-group">
+            <label className="label">Opening Balance ({currency})</label>
+            <input
+              type="number"
+              step="0.01"
+              className={`input ${openingError ? 'input-error' : ''}`}
+              value={openingBalance}
+              onChange={e => { setOpeningBalance(e.target.value); setOpeningError(''); }}
+              placeholder="0.00"
+            />
+          </div>
+          <div className="form-group">
+            <label className="label">As Of</label>
+            <input
+              type="date"
+              className="input"
+              value={openingDate}
+              onChange={e => { setOpeningDate(e.target.value); setOpeningError(''); }}
+            />
+          </div>
+        </div>
+        {openingError && (
+          <span className="field-error">
+            <i className="bi bi-exclamation-circle"></i> {openingError}
+          </span>
+        )}
+      </div>
+
       {/* Color picker */}
       <div className="wallet-form__section">
         <label className="label">Color</label>
@@ -153,7 +200,7 @@ const WalletBar = ({
           {selectedWallet === 'all' && (
             <span className="wallet-pill__balance">
               {formatCurrency(
-                Object.values(walletBalances).reduce((s, b) => s + b.balance, 0)
+                Object.values(walletBalances).reduce((s, b) => s + b.baseBalance, 0)
               )}
             </span>
           )}
@@ -171,7 +218,7 @@ const WalletBar = ({
             <span>{wallet.name}</span>
             {selectedWallet === wallet.id && (
               <span className="wallet-pill__balance">
-                {formatCurrency(walletBalances[wallet.id]?.balance || 0)}
+                {formatCurrency(walletBalances[wallet.id]?.balance || 0, wallet.currency)}
               </span>
             )}
           </button>
@@ -204,8 +251,14 @@ const WalletBar = ({
                       <span className="wallet-manage__name">{wallet.name}</span>
                       <span className="wallet-manage__stats">
                         {walletBalances[wallet.id]?.txCount || 0} transactions
-                        · {formatCurrency(walletBalances[wallet.id]?.balance || 0)}
+                        · All-time {formatCurrency(walletBalances[wallet.id]?.allTimeBalance || 0, wallet.currency)}
+                        · {wallet.currency || DEFAULT_CURRENCY}
                       </span>
+                      {wallet.openingDate && (
+                        <span className="wallet-manage__stats">
+                          Opened with {formatCurrency(wallet.openingBalance || 0, wallet.currency)} on {formatDate(wallet.openingDate)}
+                        </span>
+                      )}
                     </div>
                     <div className="wallet-manage__actions">
                       <button className="btn-edit" onClick={() => handleEdit(wallet)} title="Edit">
@@ -1,9 +1,21 @@
 export const DEFAULT_CATEGORIES = [
-  { id: '1', name: 'Food & Dining', color: '#EF4444', icon: 'bi-basket-fill' },
-  { id: '2', name: 'Transportation', color: '#2D7FF9', icon: 'bi-car-front-fill' },
-  { id: '3', name: 'Shopping', color: '#F59E0B', icon: 'bi-bag-fill' },
-  { id: '4', name: 'Entertainment', color: '#8B5CF6', icon: 'bi-film' },
-  { id: '5', name: 'Bills & Utilities', color: '#10B981', icon: 'bi-lightbulb' },
-  { id: '6', name: 'Salary', color: '#06B6D4', icon: 'bi-wallet2' },
-  { id: '7', name: 'Other Income', color: '#84CC16', icon: 'bi-cash-stack' },
+  { id: '1', name: 'Food & Dining', color: '#EF4444', icon: 'bi-basket-fill', kind: 'expense' },
+  { id: '2', name: 'Transportation', color: '#2D7FF9', icon: 'bi-car-front-fill', kind: 'expense' },
+  { id: '3', name: 'Shopping', color: '#F59E0B', icon: 'bi-bag-fill', kind: 'expense' },
+  { id: '4', name: 'Entertainment', color: '#8B5CF6', icon: 'bi-film', kind: 'expense' },
+  { id: '5', name: 'Bills & Utilities', color: '#10B981', icon: 'bi-lightbulb', kind: 'expense' },
+  { id: '6', name: 'Salary', color: '#06B6D4', icon: 'bi-wallet2', kind: 'income' },
+  { id: '7', name: 'Other Income', color: '#84CC16', icon: 'bi-cash-stack', kind: 'income' },
 ];
+
+export const CATEGORY_KINDS = [
+  { value: 'expense', label: 'Expense' },
+  { value: 'income',  label: 'Income' },
+  { value: 'both',    label: 'Both' },
+];
+
+// Transfers have no category; this is how they are shown in lists
+export const TRANSFER_CATEGORY = { name: 'Transfer', color: '#6B7C99', icon: 'bi-arrow-left-right' };
+
+// Transfer fees are spending without a category; charts show them as this
+export const TRANSFER_FEES_CATEGORY = { name: 'Transfer Fees', color: '#94A3B8', icon: 'bi-receipt' };
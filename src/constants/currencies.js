@@ -0,0 +1,17 @@
+export const DEFAULT_CURRENCY = 'PHP';
+
+export const CURRENCIES = [
+  { code: 'PHP', name: 'Philippine Peso' },
+  { code: 'USD', name: 'US Dollar' },
+  { code: 'EUR', name: 'Euro' },
+  { code: 'GBP', name: 'British Pound' },
+  { code: 'JPY', name: 'Japanese Yen' },
+  { code: 'SGD', name: 'Singapore Dollar' },
+  { code: 'HKD', name: 'Hong Kong Dollar' },
+  { code: 'AUD', name: 'Australian Dollar' },
+  { code: 'CAD', name: 'Canadian Dollar' },
+  { code: 'KRW', name: 'South Korean Won' },
+  { code: 'CNY', name: 'Chinese Yuan' },
+  { code: 'AED', name: 'UAE Dirham' },
+  { code: 'SAR', name: 'Saudi Riyal' },
+];
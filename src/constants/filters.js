@@ -0,0 +1,19 @@
+// The transaction list, summaries and charts cover one date range:
+//   { preset, from, to }
+// "month" follows the month picked in the header; "custom" uses from/to
+// ('YYYY-MM-DD', either may be left empty); the rest count back from today.
+
+export const DATE_RANGE_PRESETS = [
+  { value: 'month',   label: 'Selected month' },
+  { value: 'week',    label: 'This week' },
+  { value: 'last30',  label: 'Last 30 days' },
+  { value: 'quarter', label: 'This quarter' },
+  { value: 'ytd',     label: 'Year to date' },
+  { value: 'all',     label: 'All time' },
+  { value: 'custom',  label: 'Custom range…' },
+];
+
+export const DEFAULT_DATE_RANGE = { preset: 'month', from: '', to: '' };
+
+// Amounts are compared in the base currency; empty means no limit
+export const DEFAULT_AMOUNT_RANGE = { min: '', max: '' };
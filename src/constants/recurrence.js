@@ -0,0 +1,41 @@
+// A recurring template's schedule:
+//   rule: { frequency, interval, endDate, count }
+// frequency is daily | weekly | semimonthly | monthly | yearly, interval is
+// "every N" of it (ignored for semimonthly), and the optional endDate
+// (inclusive) or count (total occurrences, the first included) stop it.
+
+export const DEFAULT_RULE = {
+  frequency: 'monthly',
+  interval: 1,
+  endDate: null,
+  count: null,
+};
+
+export const RECURRENCE_FREQUENCIES = ['daily', 'weekly', 'semimonthly', 'monthly', 'yearly'];
+
+// Semi-monthly pay days; the second one falls back to the month's last day
+export const SEMIMONTHLY_DAYS = [15, 30];
+
+export const RECURRENCE_PRESETS = [
+  { value: 'weekly',      label: 'Weekly',          frequency: 'weekly',      interval: 1 },
+  { value: 'biweekly',    label: 'Every two weeks', frequency: 'weekly',      interval: 2 },
+  { value: 'semimonthly', label: '15th and 30th',   frequency: 'semimonthly', interval: 1 },
+  { value: 'monthly',     label: 'Monthly',         frequency: 'monthly',     interval: 1 },
+  { value: 'quarterly',   label: 'Quarterly',       frequency: 'monthly',     interval: 3 },
+  { value: 'yearly',      label: 'Yearly',          frequency: 'yearly',      interval: 1 },
+  { value: 'custom',      label: 'Custom…' },
+];
+
+// Units offered for a custom "every N" schedule
+export const RECURRENCE_UNITS = [
+  { value: 'daily',   singular: 'day',   plural: 'days' },
+  { value: 'weekly',  singular: 'week',  plural: 'weeks' },
+  { value: 'monthly', singular: 'month', plural: 'months' },
+  { value: 'yearly',  singular: 'year',  plural: 'years' },
+];
+
+export const RECURRENCE_ENDS = [
+  { value: 'never', label: 'Never' },
+  { value: 'date',  label: 'On a date' },
+  { value: 'count', label: 'After a number of times' },
+];
@@ -0,0 +1,52 @@
+export const DEFAULT_SETTINGS = {
+  locale: 'en-PH',
+  currencyDisplay: 'symbol',
+  useGrouping: true,
+  dateFormat: 'medium',
+  weekStart: 0,
+};
+
+// Budget alerts: the warning threshold in percent, whether to also show a
+// browser notification, and categories that never alert
+export const DEFAULT_ALERT_SETTINGS = {
+  threshold: 80,
+  browser: false,
+  muted: [],
+};
+
+export const ALERT_THRESHOLDS = [50, 60, 70, 75, 80, 85, 90, 95];
+
+export const LOCALES = [
+  { value: 'en-PH', label: 'English (Philippines)' },
+  { value: 'en-US', label: 'English (United States)' },
+  { value: 'en-GB', label: 'English (United Kingdom)' },
+  { value: 'fil-PH', label: 'Filipino' },
+  { value: 'es-ES', label: 'Español' },
+  { value: 'fr-FR', label: 'Français' },
+  { value: 'de-DE', label: 'Deutsch' },
+  { value: 'ja-JP', label: '日本語' },
+  { value: 'ko-KR', label: '한국어' },
+  { value: 'zh-CN', label: '中文 (简体)' },
+];
+
+export const CURRENCY_DISPLAYS = [
+  { value: 'symbol',       label: 'Symbol' },
+  { value: 'narrowSymbol', label: 'Narrow symbol' },
+  { value: 'code',         label: 'Currency code' },
+  { value: 'name',         label: 'Currency name' },
+];
+
+export const DATE_STYLES = [
+  { value: 'medium',     label: 'Short month' },
+  { value: 'long',       label: 'Full month' },
+  { value: 'numeric',    label: 'Numeric' },
+  { value: 'YYYY-MM-DD', label: 'YYYY-MM-DD' },
+  { value: 'DD/MM/YYYY', label: 'DD/MM/YYYY' },
+  { value: 'MM/DD/YYYY', label: 'MM/DD/YYYY' },
+];
+
+export const WEEK_STARTS = [
+  { value: 0, label: 'Sunday' },
+  { value: 1, label: 'Monday' },
+  { value: 6, label: 'Saturday' },
+];
@@ -1,8 +1,7 @@
 export const DEFAULT_WALLETS = [
-  { id: 'w1', name: 'Cash', color: '#10B981', icon: 'bi-cash' },
-  { id: 'w2', name: 'GCash', color: '#2D7FF9', icon: 'bi-phone' },
-  { id: 'w3', name: 'Maya', color: '#8B5CF6', icon: 'bi-credit-card' },
-  { id: 'w4', name: 'BDO', color: '#F59E0B', icon: 'bi-bank' },
-  { id: 'w5', name: 'BPI', color: '#EF4444', icon: 'bi-building' },
+  { id: 'w1', name: 'Cash', color: '#10B981', icon: 'bi-cash', currency: 'PHP' },
+  { id: 'w2', name: 'GCash', color: '#2D7FF9', icon: 'bi-phone', currency: 'PHP' },
+  { id: 'w3', name: 'Maya', color: '#8B5CF6', icon: 'bi-credit-card', currency: 'PHP' },
+  { id: 'w4', name: 'BDO', color: '#F59E0B', icon: 'bi-bank', currency: 'PHP' },
+  { id: 'w5', name: 'BPI', color: '#EF4444', icon: 'bi-building', currency: 'PHP' },
 ];
-
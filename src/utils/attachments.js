@@ -0,0 +1,119 @@
+import { getStorageAdapter, blobToDataURL, dataURLToBlob } from './storage';
+
+// ───────────── Receipt attachments ─────────────
+// Files live in their own store; a transaction only keeps light metadata:
+//   attachments: [{ id, name, type, size, thumbnail }]
+// where thumbnail is a small data URL for images (null for PDFs).
+
+export const ATTACHMENT_ACCEPT   = 'image/*,application/pdf';
+export const MAX_ATTACHMENT_SIZE = 10 * 1024 * 1024;
+
+const THUMBNAIL_SIZE = 96;
+
+export const isImageAttachment = (attachment) => attachment.type.startsWith('image/');
+
+/**
+ * Checks a picked file before it is stored. Returns an error message or null.
+ */
+export const checkAttachmentFile = (file) => {
+  if (!file.type.startsWith('image/') && file.type !== 'application/pdf') {
+    return `"${file.name}" is not an image or PDF.`;
+  }
+  if (file.size > MAX_ATTACHMENT_SIZE) {
+    return `"${file.name}" is larger than ${MAX_ATTACHMENT_SIZE / 1024 / 1024} MB.`;
+  }
+  return null;
+};
+
+// Square-cropped JPEG preview for list rows
+const createThumbnail = (file) =>
+  new Promise((resolve) => {
+    const url = URL.createObjectURL(file);
+    const img = new Image();
+    img.onload = () => {
+      const side   = Math.min(img.width, img.height);
+      const canvas = document.createElement('canvas');
+      canvas.width = canvas.height = THUMBNAIL_SIZE;
+      canvas.getContext('2d').drawImage(
+        img,
+        (img.width - side) / 2, (img.height - side) / 2, side, side,
+        0, 0, THUMBNAIL_SIZE, THUMBNAIL_SIZE
+      );
+      URL.revokeObjectURL(url);
+      resolve(canvas.toDataURL('image/jpeg', 0.7));
+    };
+    // A broken image still gets stored, just without a preview
+    img.onerror = () => { URL.revokeObjectURL(url); resolve(null); };
+    img.src = url;
+  });
+
+/**
+ * Stores a picked file and returns the metadata to keep on the transaction.
+ */
+export const saveAttachment = async (file) => {
+  const meta = {
+    id: crypto.randomUUID(),
+    name: file.name,
+    type: file.type,
+    size: file.size,
+    thumbnail: file.type.startsWith('image/') ? await createThumbnail(file) : null,
+  };
+  const adapter = await getStorageAdapter();
+  await adapter.putAttachment({ ...meta, blob: file, createdAt: new Date().toISOString() });
+  return meta;
+};
+
+export const loadAttachment = async (id) => {
+  const adapter = await getStorageAdapter();
+  return adapter.getAttachment(id);
+};
+
+/**
+ * Removes stored files no transaction or template points at any more
+ * (deleted transactions, removed attachments, abandoned forms).
+ */
+export const pruneAttachments = async (records) => {
+  const referenced = new Set(records.flatMap(r => (r.attachments || []).map(a => a.id)));
+  const adapter = await getStorageAdapter();
+  const orphans = (await adapter.listAttachmentIds()).filter(id => !referenced.has(id));
+  if (orphans.length > 0) await adapter.deleteAttachments(orphans);
+  return orphans.length;
+};
+
+
+// ── Backups ───────────────────────────────────────────────────
+/**
+ * Reads every attachment the records point at, as data URLs for a JSON backup.
+ * Files that went missing are skipped.
+ */
+export const exportAttachments = async (records) => {
+  const ids = [...new Set(records.flatMap(r => (r.attachments || []).map(a => a.id)))];
+  const exported = [];
+  for (const id of ids) {
+    const stored = await loadAttachment(id);
+    if (!stored) continue;
+    const { blob, ...meta } = stored;
+    exported.push({ ...meta, data: await blobToDataURL(blob) });
+  }
+  return exported;
+};
+
+export const isValidBackupAttachment = (a) =>
+  a && typeof a.id === 'string' && typeof a.type === 'string' &&
+  typeof a.data === 'string' && a.data.startsWith('data:');
+
+/**
+ * Writes backed-up attachments that the restored records point at.
+ * Returns how many were written.
+ */
+export const importAttachments = async (attachments, records) => {
+  const referenced = new Set(records.flatMap(r => (r.attachments || []).map(a => a.id)));
+  const adapter = await getStorageAdapter();
+  let written = 0;
+  for (const { data, ...meta } of attachments.filter(isValidBackupAttachment)) {
+    if (!referenced.has(meta.id)) continue;
+    await adapter.putAttachment({ ...meta, blob: dataURLToBlob(data) });
+    written += 1;
+  }
+  return written;
+};
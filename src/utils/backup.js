@@ -0,0 +1,496 @@
+import { SCHEMA_VERSION } from './migrations';
+import { splitsMatchTotal } from './helpers';
+import { RECURRENCE_FREQUENCIES } from '../constants/recurrence';
+import { CURRENCIES } from '../constants/currencies';
+import { DEFAULT_SETTINGS, DEFAULT_ALERT_SETTINGS } from '../constants/settings';
+import { MAX_NOTIFICATIONS } from './notifications';
+
+// ───────────── Backup & restore ─────────────
+// A backup is a versioned snapshot of every persisted collection.
+// Restoring either merges it into the current data (with a conflict
+// policy per collection) or replaces everything with it.
+// Single values (isValue) are kept or taken from the backup as a whole.
+
+export const BACKUP_COLLECTIONS = [
+  { key: 'categories',         label: 'Categories',          isList: true },
+  { key: 'wallets',            label: 'Wallets',             isList: true },
+  { key: 'exchangeRates',      label: 'Exchange rates',      isList: true },
+  { key: 'budgets',            label: 'Budgets',             isList: false },
+  { key: 'goals',              label: 'Savings goals',       isList: true },
+  { key: 'recurringTemplates', label: 'Recurring templates', isList: true },
+  { key: 'pendingRecurring',   label: 'Recurring to review', isList: true },
+  { key: 'savedViews',         label: 'Saved views',         isList: true },
+  { key: 'csvPresets',         label: 'CSV import presets',  isList: true },
+  { key: 'baseCurrency',       label: 'Base currency',       isList: false, isValue: true },
+  { key: 'settings',           label: 'Display settings',    isList: false, isValue: true },
+  { key: 'alertSettings',      label: 'Alert settings',      isList: false, isValue: true },
+  { key: 'notifications',      label: 'Budget alerts',       isList: true },
+  { key: 'transactions',       label: 'Transactions',        isList: true },
+];
+
+export const CONFLICT_POLICIES = [
+  { value: 'keep',      label: 'Keep mine' },
+  { value: 'overwrite', label: 'Use backup' },
+  { value: 'both',      label: 'Keep both' },
+];
+
+export const createBackup = (collections, attachments = []) => ({
+  app: 'monivra',
+  schemaVersion: SCHEMA_VERSION,
+  exportDate: new Date().toISOString(),
+  ...Object.fromEntries(BACKUP_COLLECTIONS.map(({ key }) => [key, collections[key]])),
+  // Receipt files as data URLs, keyed by the ids on each transaction
+  ...(attachments.length > 0 && { attachments }),
+});
+
+
+// ── Validation ────────────────────────────────────────────────
+const TRANSACTION_FIELDS = ['id', 'amount', 'type', 'categoryId', 'date'];
+const TRANSFER_FIELDS    = ['id', 'amount', 'type', 'walletId', 'toWalletId', 'date'];
+const TRANSACTION_TYPES  = ['income', 'expense', 'transfer'];
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+// Notifications are only raised at these budget levels
+const ALERT_LEVELS = ['warning', 'over'];
+
+/**
+ * Checks each incoming transaction for required fields, a positive amount,
+ * a known type, a real date and a known category. Transfers need two
+ * different wallets instead of a category.
+ * Returns { validItems, invalidItems } where invalidItems are { index, problems }.
+ */
+export const validateTransactions = (items, validCategoryIds) => {
+  const invalidItems = [];
+  const validItems = [];
+
+  items.forEach((t, index) => {
+    const problems = [];
+
+    // Check required fields exist
+    const isTransfer = t.type === 'transfer';
+    (isTransfer ? TRANSFER_FIELDS : TRANSACTION_FIELDS).forEach(field => {
+      if (isBlank(t[field])) problems.push(`missing "${field}"`);
+    });
+
+    // Check amount is a positive number
+    if (t.amount !== undefined) {
+      const amt = parseFloat(t.amount);
+      if (isNaN(amt) || amt <= 0) problems.push('invalid amount');
+    }
+
+    // Check type is valid
+    if (t.type && !TRANSACTION_TYPES.includes(t.type)) {
+      problems.push(`unknown type "${t.type}"`);
+    }
+
+    // Check date is a real date
+    if (t.date && isNaN(new Date(t.date).getTime())) {
+      problems.push('invalid date');
+    }
+
+    // Check categoryId exists in our categories
+    if (!isTransfer && t.categoryId && !validCategoryIds.includes(t.categoryId)) {
+      problems.push(`unknown category "${t.categoryId}"`);
+    }
+
+    // Check split lines are complete and add up to the total
+    if (t.splits !== undefined) {
+      if (!Array.isArray(t.splits) || t.splits.some(line => !(parseFloat(line.amount) > 0) || isBlank(line.categoryId))) {
+        problems.push('invalid split lines');
+      } else {
+        t.splits
+          .filter(line => !validCategoryIds.includes(line.categoryId))
+          .forEach(line => problems.push(`unknown category "${line.categoryId}"`));
+        if (!splitsMatchTotal(t.splits, parseFloat(t.amount))) problems.push('split lines do not add up to the amount');
+      }
+    }
+
+    // Check tags are a list of words
+    if (t.tags !== undefined && (!Array.isArray(t.tags) || t.tags.some(tag => typeof tag !== 'string' || !tag))) {
+      problems.push('invalid tags');
+    }
+
+    // Check attachments carry an id to look the file up by
+    if (t.attachments !== undefined && (!Array.isArray(t.attachments) || t.attachments.some(a => !a || isBlank(a.id) || isBlank(a.type)))) {
+      problems.push('invalid attachments');
+    }
+
+    // Check a transfer goes somewhere and its fee makes sense
+    if (isTransfer && t.walletId && t.walletId === t.toWalletId) {
+      problems.push('transfer to the same wallet');
+    }
+    if (isTransfer && t.fee !== undefined && !(parseFloat(t.fee) >= 0)) {
+      problems.push('invalid fee');
+    }
+
+    if (problems.length > 0) {
+      invalidItems.push({ index: index + 1, problems });
+    } else {
+      validItems.push({ ...t, amount: parseFloat(t.amount) });
+    }
+  });
+
+  return { validItems, invalidItems };
+};
+
+/**
+ * Splits incoming transactions into ones we already have and new ones.
+ * keyOf defaults to the id; statement imports pass their own stable key.
+ */
+export const splitDuplicates = (items, existing, keyOf = (t) => t.id) => {
+  const existingKeys = new Set(existing.map(keyOf));
+  return {
+    duplicates: items.filter(t => existingKeys.has(keyOf(t))),
+    newItems:   items.filter(t => !existingKeys.has(keyOf(t))),
+  };
+};
+
+/**
+ * Identifies a transaction by what it is rather than its id, for sources
+ * (like CSV exports) that don't carry our ids.
+ */
+export const transactionFingerprint = (t) =>
+  [t.date, Number(t.amount).toFixed(2), t.type, (t.note || '').trim().toLowerCase()].join('|');
+
+// Wallets and categories only need an id and something to show
+const validateList = (key, items) => {
+  if (key === 'transactions') return items;
+  if (key === 'recurringTemplates') {
+    return items.filter(t =>
+      !isBlank(t.id) && parseFloat(t.amount) > 0 && !isBlank(t.categoryId) &&
+      (!t.rule || RECURRENCE_FREQUENCIES.includes(t.rule.frequency))
+    );
+  }
+  if (key === 'pendingRecurring') {
+    return items.filter(p =>
+      !isBlank(p.id) && !isBlank(p.templateId) && parseFloat(p.amount) > 0 && !isNaN(new Date(p.date).getTime())
+    );
+  }
+  if (key === 'goals') {
+    return items.filter(g =>
+      !isBlank(g.id) && !isBlank(g.name) && parseFloat(g.target) > 0 && (!isBlank(g.walletId) || !isBlank(g.tag))
+    );
+  }
+  if (key === 'savedViews') {
+    return items.filter(v =>
+      !isBlank(v.id) && !isBlank(v.name) && v.filters && typeof v.filters === 'object' && !Array.isArray(v.filters)
+    );
+  }
+  if (key === 'csvPresets') {
+    return items.filter(p =>
+      !isBlank(p.id) && !isBlank(p.name) && p.mapping && typeof p.mapping.columns === 'object'
+    );
+  }
+  if (key === 'notifications') {
+    return items.filter(n =>
+      !isBlank(n.id) && !isBlank(n.categoryId) && PERIOD_PATTERN.test(n.period) &&
+      ALERT_LEVELS.includes(n.level) && !isNaN(new Date(n.createdAt).getTime())
+    );
+  }
+  if (key === 'exchangeRates') {
+    return items.filter(r =>
+      !isBlank(r.id) && !isBlank(r.from) && !isBlank(r.to) &&
+      parseFloat(r.rate) > 0 && !isNaN(new Date(r.effectiveDate).getTime())
+    );
+  }
+  return items.filter(item => !isBlank(item.id) && !isBlank(item.name));
+};
+
+// Returns the usable value, or undefined when the backup's can't be used
+const validateValue = (key, value) => {
+  if (key === 'baseCurrency') return CURRENCIES.some(c => c.code === value) ? value : undefined;
+  if (key === 'settings') {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return undefined;
+    // Known settings of the right type; anything else falls back to the default
+    return Object.fromEntries(Object.entries(DEFAULT_SETTINGS).map(([field, fallback]) =>
+      [field, typeof value[field] === typeof fallback ? value[field] : fallback]
+    ));
+  }
+  if (key === 'alertSettings') {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return undefined;
+    const { threshold, browser, muted } = value;
+    return {
+      threshold: typeof threshold === 'number' && threshold > 0 && threshold < 100 ? threshold : DEFAULT_ALERT_SETTINGS.threshold,
+      browser:   typeof browser === 'boolean' ? browser : DEFAULT_ALERT_SETTINGS.browser,
+      muted:     Array.isArray(muted) ? muted.filter(id => !isBlank(id)) : DEFAULT_ALERT_SETTINGS.muted,
+    };
+  }
+  return undefined;
+};
+
+// Budgets are { 'YYYY-MM': { categoryId: { amount, rollover } } }
+const PERIOD_PATTERN = /^\d{4}-\d{2}$/;
+
+const validateBudgets = (budgets) =>
+  Object.fromEntries(
+    Object.entries(budgets)
+      .filter(([period, entries]) => PERIOD_PATTERN.test(period) && entries && typeof entries === 'object')
+      .map(([period, entries]) => [
+        period,
+        Object.fromEntries(
+          Object.entries(entries)
+            .filter(([, entry]) => entry && typeof entry.amount === 'number' && entry.amount > 0)
+            .map(([categoryId, entry]) => [categoryId, { amount: entry.amount, rollover: Boolean(entry.rollover) }])
+        ),
+      ])
+  );
+
+// Budgets are compared and merged one month-and-category entry at a time
+const budgetEntries = (budgets) =>
+  Object.entries(budgets).flatMap(([period, entries]) =>
+    Object.entries(entries).map(([categoryId, entry]) => ({ period, categoryId, entry }))
+  );
+
+
+// ── Comparison ────────────────────────────────────────────────
+const canonical = (value) => {
+  if (Array.isArray(value)) return value.map(canonical);
+  if (value && typeof value === 'object') {
+    return Object.keys(value).sort().reduce((acc, k) => {
+      acc[k] = canonical(value[k]);
+      return acc;
+    }, {});
+  }
+  return value;
+};
+
+const isSameRecord = (a, b) => JSON.stringify(canonical(a)) === JSON.stringify(canonical(b));
+
+const compareList = (mine, theirs) => {
+  const byId = new Map(mine.map(item => [item.id, item]));
+  const result = { added: 0, identical: 0, conflicts: [] };
+  theirs.forEach(item => {
+    const existing = byId.get(item.id);
+    if (!existing) result.added += 1;
+    else if (isSameRecord(existing, item)) result.identical += 1;
+    else result.conflicts.push({ id: item.id, mine: existing, theirs: item });
+  });
+  return result;
+};
+
+const compareValue = (mine, theirs) =>
+  isSameRecord(mine, theirs)
+    ? { added: 0, identical: 1, conflicts: [] }
+    : { added: 0, identical: 0, conflicts: [{ id: 'value', mine, theirs }] };
+
+const compareBudgets = (mine, theirs) => {
+  const result = { added: 0, identical: 0, conflicts: [] };
+  budgetEntries(theirs).forEach(({ period, categoryId, entry }) => {
+    const existing = mine[period]?.[categoryId];
+    if (existing === undefined) result.added += 1;
+    else if (isSameRecord(existing, entry)) result.identical += 1;
+    else result.conflicts.push({ id: `${period}:${categoryId}`, mine: existing, theirs: entry });
+  });
+  return result;
+};
+
+
+// ── Analysis ──────────────────────────────────────────────────
+/**
+ * Works out what restoring `backup` would do to `current` in the given mode.
+ * Returns { collections, invalidTransactions, incoming } where collections
+ * is keyed like BACKUP_COLLECTIONS with { present, count, added, identical, conflicts }.
+ */
+export const analyzeBackup = (current, backup, mode) => {
+  const incoming = {};
+  BACKUP_COLLECTIONS.forEach(({ key, isList, isValue }) => {
+    const value = backup[key];
+    if (isValue) {
+      const valid = validateValue(key, value);
+      if (valid !== undefined) incoming[key] = valid;
+    } else if (isList && Array.isArray(value)) {
+      incoming[key] = validateList(key, value);
+    } else if (!isList && value && typeof value === 'object' && !Array.isArray(value)) {
+      incoming[key] = validateBudgets(value);
+    }
+  });
+
+  // Transactions may point at categories from the backup, ours, or (when merging) both
+  const knownCategories = mode === 'replace' && incoming.categories
+    ? incoming.categories
+    : [...current.categories, ...(incoming.categories || [])];
+  let invalidTransactions = [];
+  if (incoming.transactions) {
+    const { validItems, invalidItems } = validateTransactions(
+      incoming.transactions,
+      knownCategories.map(c => c.id)
+    );
+    incoming.transactions = validItems;
+    invalidTransactions   = invalidItems;
+  }
+
+  const collections = {};
+  BACKUP_COLLECTIONS.forEach(({ key, isList, isValue }) => {
+    if (isValue) {
+      collections[key] = incoming[key] === undefined
+        ? { present: false, count: 0, added: 0, identical: 0, conflicts: [] }
+        : { present: true, count: 1, ...compareValue(current[key], incoming[key]) };
+      return;
+    }
+    if (!incoming[key]) {
+      collections[key] = { present: false, count: 0, added: 0, identical: 0, conflicts: [] };
+      return;
+    }
+    const compared = isList
+      ? compareList(current[key], incoming[key])
+      : compareBudgets(current[key], incoming[key]);
+    collections[key] = {
+      present: true,
+      count: isList ? incoming[key].length : budgetEntries(incoming[key]).length,
+      ...compared,
+    };
+  });
+
+  return { collections, invalidTransactions, incoming };
+};
+
+
+// ── Applying ──────────────────────────────────────────────────
+const mergeList = (mine, theirs, policy, { prepend = false } = {}) => {
+  const result = [...mine];
+  const indexById = new Map(mine.map((item, i) => [item.id, i]));
+  const added = [];
+  const idMap = {};
+
+  theirs.forEach(item => {
+    if (!indexById.has(item.id)) { added.push(item); return; }
+    const index = indexById.get(item.id);
+    if (isSameRecord(result[index], item)) return;
+
+    if (policy === 'overwrite') {
+      result[index] = item;
+    } else if (policy === 'both') {
+      const id = crypto.randomUUID();
+      idMap[item.id] = id;
+      added.push({ ...item, id });
+    }
+  });
+
+  return { items: prepend ? [...added, ...result] : [...result, ...added], idMap };
+};
+
+// Points records at copies that were re-numbered, e.g. { walletId: { w2: 'new-id' } }.
+// Split lines carry their own categoryId, so they follow the same maps.
+const remapRefs = (items, maps) =>
+  items.map(item => {
+    const remapped = Object.entries(maps).reduce(
+      (acc, [field, map]) => map[acc[field]] ? { ...acc, [field]: map[acc[field]] } : acc,
+      item
+    );
+    return Array.isArray(remapped.splits) && maps.categoryId
+      ? { ...remapped, splits: remapRefs(remapped.splits, { categoryId: maps.categoryId }) }
+      : remapped;
+  });
+
+/**
+ * Produces the collections that result from restoring an analyzed backup.
+ * In "replace" mode every collection present in the backup replaces ours;
+ * collections the backup doesn't have are kept as they are.
+ * In "merge" mode `policies` picks keep/overwrite/both per collection.
+ */
+export const applyRestore = (current, analysis, mode, policies = {}) => {
+  const { incoming } = analysis;
+
+  if (mode === 'replace') {
+    return BACKUP_COLLECTIONS.reduce((acc, { key }) => {
+      acc[key] = incoming[key] ?? current[key];
+      return acc;
+    }, {});
+  }
+
+  const result = { ...current };
+
+  BACKUP_COLLECTIONS
+    .filter(({ key, isValue }) => isValue && incoming[key] !== undefined && policies[key] === 'overwrite')
+    .forEach(({ key }) => { result[key] = incoming[key]; });
+
+  let categoryMap = {};
+  if (incoming.categories) {
+    const merged = mergeList(current.categories, incoming.categories, policies.categories);
+    result.categories = merged.items;
+    categoryMap = merged.idMap;
+  }
+
+  let walletMap = {};
+  if (incoming.wallets) {
+    const merged = mergeList(current.wallets, incoming.wallets, policies.wallets);
+    result.wallets = merged.items;
+    walletMap = merged.idMap;
+  }
+
+  if (incoming.exchangeRates) {
+    result.exchangeRates = mergeList(current.exchangeRates, incoming.exchangeRates, policies.exchangeRates).items;
+  }
+
+  if (incoming.budgets) {
+    const budgets = { ...current.budgets };
+    budgetEntries(incoming.budgets).forEach(({ period, categoryId, entry }) => {
+      const key = categoryMap[categoryId] || categoryId;
+      const month = { ...budgets[period] };
+      if (month[key] === undefined || policies.budgets === 'overwrite') month[key] = entry;
+      budgets[period] = month;
+    });
+    result.budgets = budgets;
+  }
+
+  if (incoming.goals) {
+    result.goals = mergeList(current.goals, remapRefs(incoming.goals, { walletId: walletMap }), policies.goals).items;
+  }
+
+  // A view's category and wallet live inside its filters
+  if (incoming.savedViews) {
+    const views = incoming.savedViews.map(view => ({
+      ...view,
+      filters: remapRefs([view.filters], { categoryId: categoryMap, walletId: walletMap })[0],
+    }));
+    result.savedViews = mergeList(current.savedViews, views, policies.savedViews).items;
+  }
+
+  if (incoming.csvPresets) {
+    result.csvPresets = mergeList(current.csvPresets, incoming.csvPresets, policies.csvPresets).items;
+  }
+
+  let templateMap = {};
+  if (incoming.recurringTemplates) {
+    const merged = mergeList(
+      current.recurringTemplates,
+      remapRefs(incoming.recurringTemplates, { categoryId: categoryMap, walletId: walletMap }),
+      policies.recurringTemplates
+    );
+    result.recurringTemplates = merged.items;
+    templateMap = merged.idMap;
+  }
+
+  // Dates already queued for review are past their template's lastGeneratedDate,
+  // so they would never be queued again
+  if (incoming.pendingRecurring) {
+    result.pendingRecurring = mergeList(
+      current.pendingRecurring,
+      remapRefs(incoming.pendingRecurring, { templateId: templateMap }),
+      policies.pendingRecurring
+    ).items;
+  }
+
+  // Alerts stay newest first and as many as the notification center keeps
+  if (incoming.notifications) {
+    result.notifications = mergeList(
+      current.notifications,
+      remapRefs(incoming.notifications, { categoryId: categoryMap }),
+      policies.notifications
+    ).items
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .slice(0, MAX_NOTIFICATIONS);
+  }
+
+  if (incoming.transactions) {
+    result.transactions = mergeList(
+      current.transactions,
+      remapRefs(incoming.transactions, { categoryId: categoryMap, walletId: walletMap, toWalletId: walletMap, recurringId: templateMap }),
+      policies.transactions,
+      { prepend: true }
+    ).items;
+  }
+
+  return result;
+};
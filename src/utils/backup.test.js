@@ -0,0 +1,111 @@
+import { describe, it, expect } from 'vitest';
+import { createBackup, analyzeBackup, applyRestore } from './backup';
+
+const emptyData = () => ({
+  transactions: [], categories: [], wallets: [], budgets: {}, goals: [],
+  recurringTemplates: [], pendingRecurring: [], exchangeRates: [], savedViews: [], csvPresets: [], baseCurrency: 'PHP',
+  settings: { locale: 'en-PH', currencyDisplay: 'symbol', useGrouping: true, dateFormat: 'medium', weekStart: 0 },
+  alertSettings: { threshold: 80, browser: false, muted: [] }, notifications: [],
+});
+
+describe('pending recurring transactions', () => {
+  const template = { id: 'r1', amount: 900, categoryId: 'bills', note: 'Internet' };
+  const pending  = { id: 'p1', templateId: 'r1', date: '2026-04-05', amount: 900 };
+
+  it('are part of the backup', () => {
+    const backup = createBackup({ ...emptyData(), recurringTemplates: [template], pendingRecurring: [pending] });
+    expect(backup.pendingRecurring).toEqual([pending]);
+  });
+
+  it('are restored, following a template kept as a copy', () => {
+    const current = { ...emptyData(), recurringTemplates: [{ ...template, amount: 1000 }] };
+    const backup  = { recurringTemplates: [template], pendingRecurring: [pending, { id: 'bad' }] };
+    const analysis = analyzeBackup(current, backup, 'merge');
+    expect(analysis.collections.pendingRecurring.count).toBe(1);
+
+    const restored = applyRestore(current, analysis, 'merge', { recurringTemplates: 'both', pendingRecurring: 'keep' });
+    const copy = restored.recurringTemplates.find(t => t.amount === 900);
+    expect(restored.pendingRecurring).toEqual([{ ...pending, templateId: copy.id }]);
+  });
+});
+
+describe('CSV import presets', () => {
+  it('are backed up and merged', () => {
+    const preset = { id: 'c1', name: 'BDO', mapping: { columns: { date: 0, amount: 2 } }, headers: ['Date', 'Desc', 'Amount'] };
+    const backup = createBackup({ ...emptyData(), csvPresets: [preset] });
+    const analysis = analyzeBackup(emptyData(), backup, 'merge');
+    expect(applyRestore(emptyData(), analysis, 'merge', {}).csvPresets).toEqual([preset]);
+  });
+});
+
+describe('base currency', () => {
+  it('is kept when merging unless the backup is picked', () => {
+    const backup = createBackup({ ...emptyData(), baseCurrency: 'USD' });
+    const analysis = analyzeBackup(emptyData(), backup, 'merge');
+    expect(analysis.collections.baseCurrency.conflicts).toHaveLength(1);
+    expect(applyRestore(emptyData(), analysis, 'merge', { baseCurrency: 'keep' }).baseCurrency).toBe('PHP');
+    expect(applyRestore(emptyData(), analysis, 'merge', { baseCurrency: 'overwrite' }).baseCurrency).toBe('USD');
+  });
+
+  it('is taken from the backup when replacing, unless it is unknown', () => {
+    const usd = analyzeBackup(emptyData(), { baseCurrency: 'USD' }, 'replace');
+    expect(applyRestore(emptyData(), usd, 'replace').baseCurrency).toBe('USD');
+    const bogus = analyzeBackup(emptyData(), { baseCurrency: 'XYZ' }, 'replace');
+    expect(bogus.collections.baseCurrency.present).toBe(false);
+    expect(applyRestore(emptyData(), bogus, 'replace').baseCurrency).toBe('PHP');
+  });
+});
+
+describe('display settings', () => {
+  it('are restored with unknown or mistyped fields set back to the default', () => {
+    const backup = { settings: { locale: 'en-US', weekStart: 'monday', extra: true } };
+    const analysis = analyzeBackup(emptyData(), backup, 'replace');
+    expect(applyRestore(emptyData(), analysis, 'replace').settings).toEqual({
+      ...emptyData().settings, locale: 'en-US',
+    });
+  });
+});
+
+describe('alert settings', () => {
+  it('are restored, with unusable fields set back to the default', () => {
+    const backup = { alertSettings: { threshold: '90', browser: true, muted: ['food', ''] } };
+    const analysis = analyzeBackup(emptyData(), backup, 'replace');
+    expect(applyRestore(emptyData(), analysis, 'replace').alertSettings).toEqual({
+      threshold: 80, browser: true, muted: ['food'],
+    });
+  });
+
+  it('are kept when merging unless the backup is picked', () => {
+    const backup = createBackup({ ...emptyData(), alertSettings: { threshold: 90, browser: false, muted: [] } });
+    const analysis = analyzeBackup(emptyData(), backup, 'merge');
+    expect(analysis.collections.alertSettings.conflicts).toHaveLength(1);
+    expect(applyRestore(emptyData(), analysis, 'merge', {}).alertSettings.threshold).toBe(80);
+    expect(applyRestore(emptyData(), analysis, 'merge', { alertSettings: 'overwrite' }).alertSettings.threshold).toBe(90);
+  });
+});
+
+describe('budget alerts', () => {
+  const alert = (id, createdAt, extra = {}) => ({
+    id, categoryId: 'food', period: '2026-04', level: 'warning', spent: 850, budget: 1000, createdAt, read: true, ...extra,
+  });
+
+  it('are backed up and merged newest first, leaving out broken ones', () => {
+    const current = { ...emptyData(), notifications: [alert('n2', '2026-04-20T08:00:00.000Z')] };
+    const backup = createBackup({
+      ...emptyData(),
+      notifications: [alert('n1', '2026-04-10T08:00:00.000Z'), alert('n3', '2026-04-25T08:00:00.000Z'), alert('bad', 'never', { level: 'good' })],
+    });
+    const analysis = analyzeBackup(current, backup, 'merge');
+    expect(analysis.collections.notifications.count).toBe(2);
+    expect(applyRestore(current, analysis, 'merge', {}).notifications.map(n => n.id)).toEqual(['n3', 'n2', 'n1']);
+  });
+
+  it('follow a category kept as a copy', () => {
+    const current = { ...emptyData(), categories: [{ id: 'food', name: 'Food' }] };
+    const backup = { categories: [{ id: 'food', name: 'Groceries' }], notifications: [alert('n1', '2026-04-10T08:00:00.000Z')] };
+    const analysis = analyzeBackup(current, backup, 'merge');
+    const restored = applyRestore(current, analysis, 'merge', { categories: 'both' });
+    const copy = restored.categories.find(c => c.name === 'Groceries');
+    expect(restored.notifications[0].categoryId).toBe(copy.id);
+  });
+});
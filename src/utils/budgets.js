@@ -0,0 +1,129 @@
+import { sumByCategory } from './helpers';
+
+// ───────────── Monthly budgets ─────────────
+// Budgets belong to a month:
+//   { 'YYYY-MM': { [categoryId]: { amount, rollover } } }
+// With rollover on, what is left at the end of the month (or overspent)
+// is added to (or taken from) the same category's budget the month after.
+
+export const periodOf = (date) =>
+  typeof date === 'string'
+    ? date.slice(0, 7)
+    : `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+
+export const shiftPeriod = (period, months) => {
+  const [year, month] = period.split('-').map(Number);
+  return periodOf(new Date(year, month - 1 + months, 1));
+};
+
+export const periodToDate = (period) => {
+  const [year, month] = period.split('-').map(Number);
+  return new Date(year, month - 1, 1);
+};
+
+/**
+ * Expense totals per month and category, in the base currency.
+ * Returns { 'YYYY-MM': { [categoryId]: amount } }.
+ */
+export const spendingByPeriod = (transactions) => {
+  const byPeriod = {};
+  transactions
+    .filter(t => t.type === 'expense')
+    .forEach(t => { (byPeriod[periodOf(t.date)] ||= []).push(t); });
+  return Object.fromEntries(
+    Object.entries(byPeriod).map(([period, items]) => [period, sumByCategory(items, 'expense')])
+  );
+};
+
+/**
+ * The closest month before `period` that has any budgets, or null.
+ * Used to copy last month's budgets into a new one.
+ */
+export const latestPeriodBefore = (budgets, period) =>
+  Object.keys(budgets)
+    .filter(p => p < period && Object.keys(budgets[p]).length > 0)
+    .sort()
+    .pop() || null;
+
+// What the month before `period` passed on for one category
+const carriedInto = (budgets, spending, period, categoryId) => {
+  const previous = shiftPeriod(period, -1);
+  const entry = budgets[previous]?.[categoryId];
+  if (!entry?.rollover) return 0;
+  const available = entry.amount + carriedInto(budgets, spending, previous, categoryId);
+  return available - (spending[previous]?.[categoryId] || 0);
+};
+
+/**
+ * Each category's budget for a month, including anything rolled over.
+ * Returns { [categoryId]: { amount, rollover, carried, available } }.
+ */
+export const resolveBudgets = (budgets, spending, period) =>
+  Object.fromEntries(
+    Object.entries(budgets[period] || {}).map(([categoryId, entry]) => {
+      const carried = carriedInto(budgets, spending, period, categoryId);
+      return [categoryId, { ...entry, carried, available: entry.amount + carried }];
+    })
+  );
+
+/**
+ * How far into its budget a category is: 'good', 'warning' once spending
+ * reaches `warnAt` percent, or 'over' at 100% and beyond. A rollover can
+ * leave nothing (or less) available, so any spending then is over.
+ */
+export const budgetLevel = (spent, budget, warnAt = 80) => {
+  if (budget <= 0) return spent > 0 ? 'over' : 'good';
+  const pct = (spent / budget) * 100;
+  if (pct >= 100)    return 'over';
+  if (pct >= warnAt) return 'warning';
+  return 'good';
+};
+
+const LEVEL_RANK = { good: 0, warning: 1, over: 2 };
+
+/**
+ * Categories whose budget for `period` got to a worse level between two
+ * spending snapshots, e.g. before and after saving a transaction.
+ * Returns [{ categoryId, level, spent, budget }].
+ */
+export const budgetCrossings = (budgets, before, after, period, warnAt) =>
+  Object.entries(resolveBudgets(budgets, after, period))
+    .map(([categoryId, entry]) => {
+      const spent = after[period]?.[categoryId] || 0;
+      const was   = budgetLevel(before[period]?.[categoryId] || 0, entry.available, warnAt);
+      const level = budgetLevel(spent, entry.available, warnAt);
+      return LEVEL_RANK[level] > LEVEL_RANK[was] ? { categoryId, level, spent, budget: entry.available } : null;
+    })
+    .filter(Boolean);
+
+/**
+ * Budget against actual spending for every month that had budgets, newest first.
+ * Returns [{ period, budget, spent, rows: [{ categoryId, available, spent }] }].
+ */
+export const budgetHistory = (budgets, spending) =>
+  Object.keys(budgets)
+    .filter(period => Object.keys(budgets[period]).length > 0)
+    .sort()
+    .reverse()
+    .map(period => {
+      const rows = Object.entries(resolveBudgets(budgets, spending, period)).map(([categoryId, b]) => ({
+        categoryId,
+        available: b.available,
+        spent: spending[period]?.[categoryId] || 0,
+      }));
+      return {
+        period,
+        budget: rows.reduce((s, r) => s + r.available, 0),
+        spent: rows.reduce((s, r) => s + r.spent, 0),
+        rows,
+      };
+    });
+
+// Drops a category from every month, e.g. when the category is deleted
+export const removeCategoryBudgets = (budgets, categoryId) =>
+  Object.fromEntries(
+    Object.entries(budgets).map(([period, entries]) => {
+      const { [categoryId]: _removed, ...rest } = entries;
+      return [period, rest];
+    })
+  );
@@ -0,0 +1,30 @@
+import { describe, it, expect } from 'vitest';
+import { budgetLevel, budgetCrossings } from './budgets';
+
+describe('budgetLevel', () => {
+  it('warns from the threshold and is over at 100%', () => {
+    expect(budgetLevel(50, 100)).toBe('good');
+    expect(budgetLevel(80, 100)).toBe('warning');
+    expect(budgetLevel(100, 100)).toBe('over');
+  });
+
+  it('counts any spending as over when a rollover left nothing available', () => {
+    expect(budgetLevel(50, -100)).toBe('over');
+    expect(budgetLevel(1, 0)).toBe('over');
+    expect(budgetLevel(0, -100)).toBe('good');
+  });
+});
+
+describe('budgetCrossings', () => {
+  it('alerts when spending starts on a budget overspent by a rollover', () => {
+    const budgets = {
+      '2026-03': { food: { amount: 100, rollover: true } },
+      '2026-04': { food: { amount: 100, rollover: true } },
+    };
+    const before = { '2026-03': { food: 300 }, '2026-04': {} };
+    const after  = { '2026-03': { food: 300 }, '2026-04': { food: 20 } };
+    expect(budgetCrossings(budgets, before, after, '2026-04')).toEqual([
+      { categoryId: 'food', level: 'over', spent: 20, budget: -100 },
+    ]);
+  });
+});
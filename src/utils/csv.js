@@ -0,0 +1,271 @@
+import { getDefaultCategory, getCategoriesForType } from './helpers';
+
+// ───────────── CSV import ─────────────
+// Turns a bank/e-wallet CSV export into Monivra transactions in three
+// steps: parse the text, map columns to fields, then build drafts that go
+// through the same validation and duplicate checks as a JSON backup.
+
+const DELIMITERS = [',', ';', '\t', '|'];
+const QUOTES     = ['"', "'"];
+
+export const DELIMITER_LABELS = { ',': 'Comma', ';': 'Semicolon', '\t': 'Tab', '|': 'Pipe' };
+
+export const DATE_FORMATS = [
+  { value: 'auto',       label: 'Detect automatically' },
+  { value: 'YYYY-MM-DD', label: 'YYYY-MM-DD' },
+  { value: 'MM/DD/YYYY', label: 'MM/DD/YYYY' },
+  { value: 'DD/MM/YYYY', label: 'DD/MM/YYYY' },
+];
+
+export const AMOUNT_MODES = [
+  { value: 'signed', label: 'One column, negative = expense' },
+  { value: 'split',  label: 'Separate debit and credit columns' },
+  { value: 'typed',  label: 'Amount plus a type column' },
+];
+
+// Fields a column can be mapped to
+export const CSV_FIELDS = [
+  { key: 'date',     label: 'Date',     required: true },
+  { key: 'amount',   label: 'Amount' },
+  { key: 'debit',    label: 'Debit (money out)' },
+  { key: 'credit',   label: 'Credit (money in)' },
+  { key: 'type',     label: 'Type' },
+  { key: 'category', label: 'Category' },
+  { key: 'wallet',   label: 'Wallet' },
+  { key: 'note',     label: 'Note' },
+];
+
+
+// ── Parsing ───────────────────────────────────────────────────
+/**
+ * Splits CSV text into rows of cells. Handles quoted cells containing
+ * the delimiter, line breaks and doubled quotes ("" → ").
+ */
+export const parseCSV = (text, delimiter = ',', quote = '"') => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+
+    if (inQuotes) {
+      if (ch === quote && text[i + 1] === quote) { cell += quote; i++; }
+      else if (ch === quote) inQuotes = false;
+      else cell += ch;
+      continue;
+    }
+
+    if (ch === quote && cell === '') inQuotes = true;
+    else if (ch === delimiter) { row.push(cell); cell = ''; }
+    else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else cell += ch;
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(r => r.some(c => c.trim() !== ''));
+};
+
+/**
+ * Guesses the delimiter and quote character from the first lines.
+ * The delimiter that splits the most lines into the same (>1) number
+ * of cells wins.
+ */
+export const detectFormat = (text) => {
+  const sample = text.split(/\r?\n/).filter(l => l.trim()).slice(0, 10).join('\n');
+
+  const quote = QUOTES
+    .map(q => ({ q, hits: (sample.match(new RegExp(`(^|[,;\\t|])${q}`, 'gm')) || []).length }))
+    .sort((a, b) => b.hits - a.hits)[0];
+
+  const scored = DELIMITERS.map(delimiter => {
+    const rows = parseCSV(sample, delimiter, quote.hits > 0 ? quote.q : '"');
+    const counts = rows.map(r => r.length);
+    const width = counts[0] || 0;
+    const consistent = counts.filter(c => c === width).length;
+    return { delimiter, score: width > 1 ? consistent * width : 0 };
+  });
+  const best = scored.sort((a, b) => b.score - a.score)[0];
+
+  return {
+    delimiter: best.score > 0 ? best.delimiter : ',',
+    quote: quote.hits > 0 ? quote.q : '"',
+  };
+};
+
+
+// ── Value parsing ─────────────────────────────────────────────
+/**
+ * Reads amounts like "1,234.50", "-500", "(75.00)", "₱ 1.234,50" or "200 CR".
+ * Returns a signed number, or NaN when there is nothing numeric.
+ */
+export const parseAmount = (raw) => {
+  if (raw === undefined || raw === null) return NaN;
+  let str = String(raw).trim();
+  if (!str) return NaN;
+
+  let negative = false;
+  if (/^\(.*\)$/.test(str)) { negative = true; str = str.slice(1, -1); }
+  if (/\bDR\b/i.test(str)) negative = true;
+  if (str.includes('-')) negative = true;
+
+  str = str.replace(/[^\d.,]/g, '');
+  const lastDot   = str.lastIndexOf('.');
+  const lastComma = str.lastIndexOf(',');
+  if (lastComma > lastDot) {
+    // "1.234,50" or "12,50" — comma is the decimal mark when 1-2 digits follow it
+    const decimals = str.length - lastComma - 1;
+    str = decimals > 0 && decimals <= 2
+      ? str.replace(/\./g, '').replace(',', '.')
+      : str.replace(/,/g, '');
+  } else {
+    str = str.replace(/,/g, '');
+  }
+
+  const value = parseFloat(str);
+  if (isNaN(value)) return NaN;
+  return negative ? -value : value;
+};
+
+const toISODate = (year, month, day) => {
+  const y = year < 100 ? 2000 + year : year;
+  const date = new Date(y, month - 1, day);
+  if (date.getFullYear() !== y || date.getMonth() !== month - 1 || date.getDate() !== day) return null;
+  return `${y}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+/**
+ * Converts a date cell to YYYY-MM-DD. "auto" tries ISO first, then
+ * month-first, then day-first, then whatever the browser understands.
+ * Returns null for anything it can't read.
+ */
+export const parseDateCell = (raw, format = 'auto') => {
+  const str = String(raw || '').trim();
+  if (!str) return null;
+
+  const iso = str.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/);
+  const dmy = str.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2,4})/);
+
+  if (format === 'YYYY-MM-DD') return iso ? toISODate(+iso[1], +iso[2], +iso[3]) : null;
+  if (format === 'MM/DD/YYYY') return dmy ? toISODate(+dmy[3], +dmy[1], +dmy[2]) : null;
+  if (format === 'DD/MM/YYYY') return dmy ? toISODate(+dmy[3], +dmy[2], +dmy[1]) : null;
+
+  if (iso) return toISODate(+iso[1], +iso[2], +iso[3]);
+  if (dmy) return toISODate(+dmy[3], +dmy[1], +dmy[2]) || toISODate(+dmy[3], +dmy[2], +dmy[1]);
+
+  const parsed = new Date(str);
+  if (isNaN(parsed.getTime())) return null;
+  return toISODate(parsed.getFullYear(), parsed.getMonth() + 1, parsed.getDate());
+};
+
+const INCOME_WORDS = /^(income|credit|cr|deposit|in|received|inflow|\+)$/i;
+
+
+// ── Column guessing ───────────────────────────────────────────
+const HEADER_HINTS = {
+  date:     /date|posted|time/i,
+  amount:   /^amount$|^amt$|value|total/i,
+  debit:    /debit|withdraw|money out|paid out/i,
+  credit:   /credit|deposit|money in|paid in/i,
+  type:     /^type$|direction|dr\/cr/i,
+  category: /categor/i,
+  wallet:   /wallet|account/i,
+  note:     /note|desc|memo|details|particular|payee|narration/i,
+};
+
+/**
+ * Builds a starting mapping from the header row. Columns are stored as
+ * indexes; -1 means "not mapped".
+ */
+export const guessMapping = (header) => {
+  const columns = {};
+  CSV_FIELDS.forEach(({ key }) => {
+    columns[key] = header.findIndex(h => HEADER_HINTS[key].test(h.trim()));
+  });
+  // The amount hint is loose; don't let it steal the debit/credit columns
+  if (columns.amount === columns.debit || columns.amount === columns.credit) columns.amount = -1;
+
+  const amountMode =
+    columns.debit >= 0 && columns.credit >= 0 ? 'split'
+    : columns.type >= 0 ? 'typed'
+    : 'signed';
+
+  return { hasHeader: true, dateFormat: 'auto', amountMode, columns };
+};
+
+
+// ── Row → transaction drafts ──────────────────────────────────
+/**
+ * Applies a mapping to parsed rows.
+ * context: { categories, wallets, walletId } — walletId is used when the
+ * wallet column is unmapped or doesn't match a wallet by name.
+ * Returns { drafts, lines, problems }: lines[i] is the file line drafts[i]
+ * came from, and problems are { index, problems } (1-based file line
+ * numbers) for rows that couldn't be read at all.
+ */
+export const mapRows = (rows, mapping, { categories, wallets, walletId }) => {
+  const { columns, amountMode, dateFormat, hasHeader } = mapping;
+  const dataRows = hasHeader ? rows.slice(1) : rows;
+  const cell = (row, key) => (columns[key] >= 0 ? (row[columns[key]] ?? '').trim() : '');
+  const byName = (list, name) => list.find(item => item.name.toLowerCase() === name.toLowerCase());
+
+  const drafts = [];
+  const lines = [];
+  const problems = [];
+
+  dataRows.forEach((row, i) => {
+    const line = i + (hasHeader ? 2 : 1);
+    const rowProblems = [];
+
+    let signed;
+    if (amountMode === 'split') {
+      const debit  = Math.abs(parseAmount(cell(row, 'debit')))  || 0;
+      const credit = Math.abs(parseAmount(cell(row, 'credit'))) || 0;
+      signed = credit - debit;
+    } else {
+      signed = parseAmount(cell(row, 'amount'));
+      if (amountMode === 'typed' && !isNaN(signed)) {
+        signed = INCOME_WORDS.test(cell(row, 'type')) ? Math.abs(signed) : -Math.abs(signed);
+      }
+    }
+    if (isNaN(signed) || signed === 0) rowProblems.push('no amount');
+
+    const date = parseDateCell(cell(row, 'date'), dateFormat);
+    if (!date) rowProblems.push(`unreadable date "${cell(row, 'date')}"`);
+
+    if (rowProblems.length > 0) {
+      problems.push({ index: line, problems: rowProblems });
+      return;
+    }
+
+    // An income row only picks an income (or "both") category of that name
+    const type = signed > 0 ? 'income' : 'expense';
+    const category = byName(getCategoriesForType(type, categories), cell(row, 'category'));
+    const wallet   = byName(wallets, cell(row, 'wallet'));
+
+    drafts.push({
+      id: crypto.randomUUID(),
+      amount: Math.abs(signed),
+      type,
+      categoryId: category?.id || getDefaultCategory(type, categories),
+      walletId: wallet?.id || walletId,
+      date,
+      note: cell(row, 'note').slice(0, 100),
+      createdAt: new Date().toISOString(),
+    });
+    lines.push(line);
+  });
+
+  return { drafts, lines, problems };
+};
@@ -0,0 +1,111 @@
+import { describe, it, expect } from 'vitest';
+import { parseCSV, detectFormat, parseAmount, parseDateCell, guessMapping, mapRows } from './csv';
+
+describe('parseCSV', () => {
+  it('keeps quoted delimiters, line breaks and doubled quotes inside a cell', () => {
+    const text = 'Date,Note,Amount\r\n2026-04-01,"Lunch, ""Ana""\nand Ben",-250\n\n';
+    expect(parseCSV(text)).toEqual([
+      ['Date', 'Note', 'Amount'],
+      ['2026-04-01', 'Lunch, "Ana"\nand Ben', '-250'],
+    ]);
+  });
+});
+
+describe('detectFormat', () => {
+  it('picks the delimiter that splits every line the same way', () => {
+    expect(detectFormat('Date;Note;Amount\n01/04/2026;Lunch;-1.234,50\n02/04/2026;Taxi;-80')).toEqual({ delimiter: ';', quote: '"' });
+    expect(detectFormat('Date\tAmount\n2026-04-01\t-5')).toEqual({ delimiter: '\t', quote: '"' });
+  });
+
+  it('notices single quotes', () => {
+    expect(detectFormat("'Date','Amount'\n'2026-04-01','-5'").quote).toBe("'");
+  });
+
+  it('falls back to commas for a single column', () => {
+    expect(detectFormat('Amount\n5\n6').delimiter).toBe(',');
+  });
+});
+
+describe('parseAmount', () => {
+  it('reads thousands separators and either decimal mark', () => {
+    expect(parseAmount('1,234.50')).toBe(1234.5);
+    expect(parseAmount('1.234,50')).toBe(1234.5);
+    expect(parseAmount('12,50')).toBe(12.5);
+    expect(parseAmount('1,234')).toBe(1234);
+    expect(parseAmount('₱ 2,000')).toBe(2000);
+  });
+
+  it('reads negatives in parentheses, with a minus or marked DR', () => {
+    expect(parseAmount('(75.00)')).toBe(-75);
+    expect(parseAmount('-500')).toBe(-500);
+    expect(parseAmount('500 DR')).toBe(-500);
+    expect(parseAmount('200 CR')).toBe(200);
+  });
+
+  it('is NaN when there is no number', () => {
+    expect(parseAmount('')).toBeNaN();
+    expect(parseAmount(undefined)).toBeNaN();
+    expect(parseAmount('n/a')).toBeNaN();
+  });
+});
+
+describe('parseDateCell', () => {
+  it('reads each explicit format', () => {
+    expect(parseDateCell('2026-04-05', 'YYYY-MM-DD')).toBe('2026-04-05');
+    expect(parseDateCell('04/05/2026', 'MM/DD/YYYY')).toBe('2026-04-05');
+    expect(parseDateCell('05/04/2026', 'DD/MM/YYYY')).toBe('2026-04-05');
+    expect(parseDateCell('05.04.26', 'DD/MM/YYYY')).toBe('2026-04-05');
+  });
+
+  it('guesses month-first, then day-first when the month would be impossible', () => {
+    expect(parseDateCell('2026/4/5')).toBe('2026-04-05');
+    expect(parseDateCell('04/05/2026')).toBe('2026-04-05');
+    expect(parseDateCell('25/04/2026')).toBe('2026-04-25');
+    expect(parseDateCell('Apr 5, 2026')).toBe('2026-04-05');
+  });
+
+  it('rejects dates that do not exist or cannot be read', () => {
+    expect(parseDateCell('2026-02-30')).toBeNull();
+    expect(parseDateCell('2026-04-05', 'MM/DD/YYYY')).toBeNull();
+    expect(parseDateCell('someday')).toBeNull();
+    expect(parseDateCell('')).toBeNull();
+  });
+});
+
+describe('mapRows', () => {
+  const categories = [
+    { id: 'gifts-out', name: 'Gifts', kind: 'expense' },
+    { id: 'gifts-in', name: 'Gifts', kind: 'income' },
+    { id: 'other', name: 'Other Income', kind: 'income' },
+    { id: 'food', name: 'Food', kind: 'expense' },
+  ];
+  const wallets = [{ id: 'cash', name: 'Cash' }, { id: 'bank', name: 'BDO' }];
+  const rows = [
+    ['Date', 'Description', 'Amount', 'Category', 'Account'],
+    ['2026-04-01', 'From Lola', '1,000.00', 'gifts', 'BDO'],
+    ['2026-04-02', 'For Ben', '(300.00)', 'Gifts', ''],
+    ['2026-04-03', 'Lunch', '-120', 'Food', 'Cash'],
+    ['soon', 'Broken', '', '', ''],
+  ];
+
+  it('matches categories by name and kind', () => {
+    const { drafts } = mapRows(rows, guessMapping(rows[0]), { categories, wallets, walletId: 'cash' });
+    expect(drafts.map(d => [d.type, d.amount, d.categoryId, d.walletId])).toEqual([
+      ['income', 1000, 'gifts-in', 'bank'],
+      ['expense', 300, 'gifts-out', 'cash'],
+      ['expense', 120, 'food', 'cash'],
+    ]);
+  });
+
+  it('falls back to a default category of the right kind', () => {
+    const income = [['Date', 'Amount', 'Category'], ['2026-04-01', '50', 'Food']];
+    const { drafts } = mapRows(income, guessMapping(income[0]), { categories, wallets, walletId: 'cash' });
+    expect(drafts[0].categoryId).toBe('gifts-in');
+  });
+
+  it('reports rows it cannot read by file line', () => {
+    const { problems, lines } = mapRows(rows, guessMapping(rows[0]), { categories, wallets, walletId: 'cash' });
+    expect(lines).toEqual([2, 3, 4]);
+    expect(problems).toEqual([{ index: 5, problems: ['no amount', 'unreadable date "soon"'] }]);
+  });
+});
@@ -0,0 +1,45 @@
+// ───────────── Exchange rates ─────────────
+// Rates are entered by hand as { id, from, to, rate, effectiveDate },
+// meaning 1 `from` = `rate` × `to` starting on effectiveDate.
+// A pair can be used in either direction, and one hop through a third
+// currency is allowed (USD→PHP + PHP→JPY gives USD→JPY).
+
+// Latest rate in effect on `date`; before the first entry, the earliest one
+const pickRate = (candidates, date) => {
+  if (candidates.length === 0) return null;
+  const sorted = [...candidates].sort((a, b) => a.effectiveDate.localeCompare(b.effectiveDate));
+  const inEffect = sorted.filter(r => r.effectiveDate <= date);
+  return (inEffect.length ? inEffect[inEffect.length - 1] : sorted[0]).rate;
+};
+
+const directRate = (from, to, date, rates) => {
+  const forward = pickRate(rates.filter(r => r.from === from && r.to === to), date);
+  if (forward) return forward;
+  const inverse = pickRate(rates.filter(r => r.from === to && r.to === from), date);
+  return inverse ? 1 / inverse : null;
+};
+
+/**
+ * How many `to` one `from` is worth on `date`, or null if the table
+ * has no way to get there.
+ */
+export const findRate = (from, to, date, rates) => {
+  if (!from || !to || from === to) return 1;
+
+  const direct = directRate(from, to, date, rates);
+  if (direct) return direct;
+
+  const via = new Set(rates.flatMap(r => [r.from, r.to]));
+  for (const middle of via) {
+    if (middle === from || middle === to) continue;
+    const first  = directRate(from, middle, date, rates);
+    const second = first && directRate(middle, to, date, rates);
+    if (second) return first * second;
+  }
+  return null;
+};
+
+export const convertAmount = (amount, from, to, date, rates) => {
+  const rate = findRate(from, to, date, rates);
+  return rate === null ? null : amount * rate;
+};
@@ -0,0 +1,54 @@
+import { DATE_RANGE_PRESETS } from '../constants/filters';
+import { getWeekStart, formatDate } from './helpers';
+import { parseDateKey, toDateKey } from './recurrence';
+
+// ───────────── Date ranges ─────────────
+// Ranges resolve to inclusive { from, to } date keys; null means open-ended.
+
+/**
+ * The dates a range covers. `currentDate` is the month picked in the
+ * header and `today` a 'YYYY-MM-DD' key.
+ */
+export const resolveDateRange = (range, currentDate, today) => {
+  const now = parseDateKey(today);
+  const [year, month, day] = [now.getFullYear(), now.getMonth(), now.getDate()];
+
+  switch (range.preset) {
+    case 'month': {
+      const [y, m] = [currentDate.getFullYear(), currentDate.getMonth()];
+      return { from: toDateKey(new Date(y, m, 1)), to: toDateKey(new Date(y, m + 1, 0)) };
+    }
+    case 'week': {
+      const start = day - ((now.getDay() - getWeekStart() + 7) % 7);
+      return { from: toDateKey(new Date(year, month, start)), to: toDateKey(new Date(year, month, start + 6)) };
+    }
+    case 'last30':
+      return { from: toDateKey(new Date(year, month, day - 29)), to: today };
+    case 'quarter': {
+      const first = Math.floor(month / 3) * 3;
+      return { from: toDateKey(new Date(year, first, 1)), to: toDateKey(new Date(year, first + 3, 0)) };
+    }
+    case 'ytd':
+      return { from: toDateKey(new Date(year, 0, 1)), to: today };
+    case 'all':
+      return { from: null, to: null };
+    default:
+      return { from: range.from || null, to: range.to || null };
+  }
+};
+
+export const isInDateRange = (date, { from, to }) => (!from || date >= from) && (!to || date <= to);
+
+/**
+ * e.g. "Last 30 days · Sep 20, 2026 – Oct 19, 2026", or null for the
+ * selected month, which the header already shows.
+ */
+export const describeDateRange = (range, { from, to }) => {
+  if (range.preset === 'month') return null;
+  if (range.preset === 'all') return 'All time';
+  const dates = from && to
+    ? `${formatDate(from)} – ${formatDate(to)}`
+    : from ? `From ${formatDate(from)}` : to ? `Until ${formatDate(to)}` : 'All time';
+  if (range.preset === 'custom') return dates;
+  return `${DATE_RANGE_PRESETS.find(p => p.value === range.preset).label} · ${dates}`;
+};
@@ -0,0 +1,54 @@
+import { DATE_RANGE_PRESETS, DEFAULT_DATE_RANGE, DEFAULT_AMOUNT_RANGE } from '../constants/filters';
+
+// ───────────── Saved filter views ─────────────
+// A view is { id, name, filters, createdAt } where filters holds the filter
+// controls as they were: { searchQuery, categoryId, type, tag, walletId,
+// dateRange, amountRange }, with 'all' meaning "any" as in the controls.
+
+export const NO_FILTERS = {
+  searchQuery: '',
+  categoryId:  'all',
+  type:        'all',
+  tag:         'all',
+  walletId:    'all',
+  dateRange:   DEFAULT_DATE_RANGE,
+  amountRange: DEFAULT_AMOUNT_RANGE,
+};
+
+// Fills in anything a view saved by an older version doesn't have
+export const viewFilters = (view) => ({ ...NO_FILTERS, ...view.filters });
+
+// Custom dates only count for the custom range
+const comparable = (filters) => {
+  const { dateRange, ...rest } = { ...NO_FILTERS, ...filters };
+  return JSON.stringify({
+    ...rest,
+    searchQuery: rest.searchQuery.trim(),
+    dateRange: dateRange.preset === 'custom' ? dateRange : { preset: dateRange.preset },
+  });
+};
+
+/** Whether two sets of filters would show the same transactions. */
+export const isSameFilters = (a, b) => comparable(a) === comparable(b);
+
+/**
+ * One line saying what a view shows, e.g.
+ * `GCash · Expenses · Food · "coffee" · Year to date`.
+ */
+export const describeFilters = (filters, { getCategoryInfo, getWalletInfo }) => {
+  const { searchQuery, categoryId, type, tag, walletId, dateRange, amountRange } = { ...NO_FILTERS, ...filters };
+  const { min, max } = amountRange;
+
+  const parts = [
+    walletId !== 'all' && (getWalletInfo(walletId)?.name || 'Deleted wallet'),
+    type !== 'all' && `${type[0].toUpperCase()}${type.slice(1)}s`,
+    categoryId !== 'all' && getCategoryInfo(categoryId).name,
+    tag !== 'all' && `#${tag}`,
+    searchQuery.trim() && `"${searchQuery.trim()}"`,
+    (min !== '' || max !== '') && (min !== '' && max !== '' ? `${min}–${max}` : min !== '' ? `≥ ${min}` : `≤ ${max}`),
+    dateRange.preset === 'custom'
+      ? `${dateRange.from || '…'} to ${dateRange.to || '…'}`
+      : DATE_RANGE_PRESETS.find(p => p.value === dateRange.preset)?.label,
+  ];
+  return parts.filter(Boolean).join(' · ');
+};
@@ -0,0 +1,83 @@
+import { baseAmountOf } from './helpers';
+import { parseDateKey, toDateKey } from './recurrence';
+
+// ───────────── Savings goals ─────────────
+// A goal is { id, name, target, targetDate, walletId, tag, startDate }.
+// Money counts toward it when it is transferred into the linked wallet
+// (transfers back out take it away again) or when a transaction carries
+// the goal's tag. Only transactions from the start date on are counted.
+
+const DAY = 24 * 60 * 60 * 1000;
+const AVERAGE_MONTH_DAYS = 30.44;
+
+/**
+ * What each transaction added to (or took from) a goal, in the base currency.
+ * Returns [{ transaction, amount }] newest first.
+ */
+export const goalContributions = (goal, transactions) =>
+  transactions
+    .filter(t => !goal.startDate || t.date >= goal.startDate)
+    .map(t => {
+      const amount = baseAmountOf(t);
+      if (goal.walletId && t.type === 'transfer') {
+        if (t.toWalletId === goal.walletId) return { transaction: t, amount };
+        if (t.walletId === goal.walletId)   return { transaction: t, amount: -amount };
+      }
+      if (goal.tag && (t.tags || []).includes(goal.tag)) return { transaction: t, amount };
+      return null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.transaction.date.localeCompare(a.transaction.date));
+
+// Calendar months left before the deadline, counting the current one
+const monthsUntil = (fromKey, toKey) => {
+  const from = parseDateKey(fromKey);
+  const to   = parseDateKey(toKey);
+  return (to.getFullYear() - from.getFullYear()) * 12 + to.getMonth() - from.getMonth() + 1;
+};
+
+/**
+ * Where a goal stands on `today` (a 'YYYY-MM-DD' key).
+ * Returns { saved, remaining, pct, contributions, monthlyNeeded, monthlyPace,
+ * projectedDate, status } where status is 'reached', 'overdue', 'behind',
+ * 'on-track' or 'open' (no deadline). monthlyNeeded is null without a
+ * deadline; projectedDate is null while nothing is being saved.
+ */
+export const goalProgress = (goal, transactions, today) => {
+  const contributions = goalContributions(goal, transactions);
+  const saved     = contributions.reduce((s, c) => s + c.amount, 0);
+  const remaining = Math.max(goal.target - saved, 0);
+  const pct       = goal.target > 0 ? Math.min(Math.max(saved / goal.target, 0) * 100, 100) : 0;
+
+  // Pace is what was saved per day since the goal started (at least a month, so one early deposit doesn't skew it)
+  const start     = goal.startDate || contributions[contributions.length - 1]?.transaction.date || today;
+  const days      = Math.max((parseDateKey(today) - parseDateKey(start)) / DAY, AVERAGE_MONTH_DAYS);
+  const dailyPace = saved > 0 ? saved / days : 0;
+
+  const projectedDate = remaining === 0
+    ? today
+    : dailyPace > 0
+      ? toDateKey(new Date(parseDateKey(today).getTime() + Math.ceil(remaining / dailyPace) * DAY))
+      : null;
+
+  const isOverdue = goal.targetDate && goal.targetDate < today;
+  const monthlyNeeded = goal.targetDate && !isOverdue
+    ? remaining / monthsUntil(today, goal.targetDate)
+    : null;
+
+  let status = 'open';
+  if (remaining === 0) status = 'reached';
+  else if (isOverdue) status = 'overdue';
+  else if (goal.targetDate) status = projectedDate && projectedDate <= goal.targetDate ? 'on-track' : 'behind';
+
+  return {
+    saved,
+    remaining,
+    pct,
+    contributions,
+    monthlyNeeded,
+    monthlyPace: dailyPace * AVERAGE_MONTH_DAYS,
+    projectedDate,
+    status,
+  };
+};
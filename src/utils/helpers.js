@@ -1,49 +1,303 @@
-// ───────────── LocalStorage ─────────────
-export const getStoredData = (key, defaultValue) => {
-  const stored = localStorage.getItem(key);
-  return stored ? JSON.parse(stored) : defaultValue;
+import { getStorageAdapter } from './storage';
+import { DEFAULT_CURRENCY } from '../constants/currencies';
+import { DEFAULT_SETTINGS } from '../constants/settings';
+import { ruleOf, parseDateKey, scheduledDates } from './recurrence';
+
+// ───────────── Storage ─────────────
+// Both go through the active adapter in storage.js (IndexedDB or localStorage).
+export const getStoredData = async (key, defaultValue) => {
+  const adapter = await getStorageAdapter();
+  const stored  = await adapter.get(key);
+  return stored === undefined ? defaultValue : stored;
 };
 
 
-export const saveData = (key, data) => {
-  localStorage.setItem(key, JSON.stringify(data));
+export const saveData = async (key, data) => {
+  const adapter = await getStorageAdapter();
+  await adapter.set(key, data);
 };
 
 
 // ───────────── Formatting ─────────────
-export const formatCurrency = (amount) =>
-  new Intl.NumberFormat('en-PH', { style: 'currency', currency: 'PHP' }).format(amount);
-
-export const formatDate = (dateString) =>
-  new Date(dateString).toLocaleDateString('en-US', {
-    month: 'short',
-    day: 'numeric',
-    year: 'numeric',
-  });
+// App pushes the base currency and the user's display settings in once
+// per render so every formatter reads them without threading props.
+let formatting = { currency: DEFAULT_CURRENCY, ...DEFAULT_SETTINGS };
+
+export const configureFormatting = (options) => {
+  formatting = { ...formatting, ...options };
+};
+
+export const getBaseCurrency = () => formatting.currency;
+
+export const getWeekStart = () => formatting.weekStart;
+
+export const formatCurrency = (amount, currency = formatting.currency) =>
+  new Intl.NumberFormat(formatting.locale, {
+    style: 'currency',
+    currency,
+    currencyDisplay: formatting.currencyDisplay,
+    useGrouping: formatting.useGrouping,
+  }).format(amount);
+
+export const formatNumber = (value, options = {}) =>
+  new Intl.NumberFormat(formatting.locale, { useGrouping: formatting.useGrouping, ...options }).format(value);
+
+const LOCALE_DATE_STYLES = {
+  medium:  { month: 'short', day: 'numeric', year: 'numeric' },
+  long:    { month: 'long', day: 'numeric', year: 'numeric' },
+  numeric: { month: 'numeric', day: 'numeric', year: 'numeric' },
+};
+
+export const formatDate = (dateString) => {
+  const date = new Date(dateString);
+  const style = LOCALE_DATE_STYLES[formatting.dateFormat];
+  if (style) return date.toLocaleDateString(formatting.locale, style);
+
+  // Fixed patterns like DD/MM/YYYY ignore the locale
+  const pad = (n) => String(n).padStart(2, '0');
+  return formatting.dateFormat
+    .replace('YYYY', date.getFullYear())
+    .replace('MM', pad(date.getMonth() + 1))
+    .replace('DD', pad(date.getDate()));
+};
+
+export const formatTime = (dateString) =>
+  new Date(dateString).toLocaleTimeString(formatting.locale, { hour: 'numeric', minute: '2-digit' });
 
 export const formatMonthYear = (date) =>
-  date.toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+  date.toLocaleDateString(formatting.locale, { month: 'long', year: 'numeric' });
+
+export const formatMonthShort = (date) =>
+  date.toLocaleDateString(formatting.locale, { month: 'short' });
+
+/**
+ * Short weekday names starting from the configured first day of the week.
+ */
+export const getWeekdayLabels = () => {
+  // Jan 4 2026 is a Sunday
+  const sunday = new Date(2026, 0, 4);
+  return Array.from({ length: 7 }, (_, i) => {
+    const day = new Date(sunday);
+    day.setDate(sunday.getDate() + ((formatting.weekStart + i) % 7));
+    return day.toLocaleDateString(formatting.locale, { weekday: 'short' });
+  });
+};
 
 
 // ───────────── Category helpers ─────────────
+// Migration v3 gives every category a kind, guessing income from names like
+// "Salary"; anything still without one is treated as an expense.
+export const categoryMatchesType = (category, type) =>
+  category.kind === 'both' || (category.kind || 'expense') === type;
+
+export const getCategoriesForType = (type, categories) =>
+  categories.filter(c => categoryMatchesType(c, type));
+
 export const getDefaultCategory = (type, categories) => {
   if (!categories || categories.length === 0) return '1';
-  if (type === 'income') {
-    const incomeCats = categories.filter(c => /salary|income/i.test(c.name));
-    return incomeCats.length ? incomeCats[0].id : categories[0].id;
+  // Prefer a category made for this type over a shared "both" one
+  const exact = categories.find(c => (c.kind || 'expense') === type);
+  if (exact) return exact.id;
+  const matching = getCategoriesForType(type, categories);
+  return matching.length ? matching[0].id : categories[0].id;
+};
+
+
+// ───────────── Amounts ─────────────
+// App attaches baseAmount (the amount in the base currency) to every
+// transaction; null means no exchange rate was found, so it counts as 0.
+export const baseAmountOf = (t) => (t.baseAmount === undefined ? t.amount : t.baseAmount || 0);
+
+// A transfer only moves money, but its fee is spent: totals count it as an
+// expense, converted at the same rate as the amount
+export const baseFeeOf = (t) => {
+  if (t.type !== 'transfer' || !(t.fee > 0)) return 0;
+  return t.amount ? t.fee * (baseAmountOf(t) / t.amount) : 0;
+};
+
+
+// ───────────── Split transactions ─────────────
+// A split transaction keeps its total in `amount` and the per-category
+// breakdown in `splits: [{ id, categoryId, amount, note }]`.
+export const isSplit = (t) => Array.isArray(t.splits) && t.splits.length > 0;
+
+/**
+ * The category lines of a transaction in the base currency: one line for
+ * a plain transaction, one per split otherwise.
+ */
+export const categoryLinesOf = (t) => {
+  const total = baseAmountOf(t);
+  if (!isSplit(t)) return [{ categoryId: t.categoryId, amount: total }];
+  const ratio = t.amount ? total / t.amount : 0;
+  return t.splits.map(line => ({ categoryId: line.categoryId, amount: line.amount * ratio }));
+};
+
+/**
+ * Totals the base-currency amount per category for one transaction type.
+ * Returns { [categoryId]: amount }.
+ */
+export const sumByCategory = (transactions, type) =>
+  transactions
+    .filter(t => t.type === type)
+    .flatMap(categoryLinesOf)
+    .reduce((acc, line) => {
+      acc[line.categoryId] = (acc[line.categoryId] || 0) + line.amount;
+      return acc;
+    }, {});
+
+// Lines must add up to the total, to the cent
+export const splitsMatchTotal = (splits, total) =>
+  Math.abs(splits.reduce((s, line) => s + (parseFloat(line.amount) || 0), 0) - total) < 0.005;
+
+
+// ───────────── Original amounts ─────────────
+// Converted totals show what they include in other currencies, as
+// { [currency]: amount } in the currency each transaction was entered in.
+const currencyOf = (t) => t.currency || DEFAULT_CURRENCY;
+
+// Transfer fees are expenses here too
+const originalAmountOf = (t, type) => {
+  if (t.type === type) return t.amount;
+  return type === 'expense' && t.type === 'transfer' ? t.fee || 0 : 0;
+};
+
+/**
+ * Original amounts of one transaction type not in the base currency,
+ * counting transfer fees as expenses. Returns { [currency]: amount }.
+ */
+export const foreignTotals = (transactions, type, baseCurrency = getBaseCurrency()) =>
+  transactions
+    .filter(t => originalAmountOf(t, type) > 0 && currencyOf(t) !== baseCurrency)
+    .reduce((acc, t) => {
+      acc[currencyOf(t)] = (acc[currencyOf(t)] || 0) + originalAmountOf(t, type);
+      return acc;
+    }, {});
+
+/**
+ * Like foreignTotals, per category; split lines count toward their own.
+ * Returns { [categoryId]: { [currency]: amount } }.
+ */
+export const foreignByCategory = (transactions, type, baseCurrency = getBaseCurrency()) =>
+  transactions
+    .filter(t => t.type === type && currencyOf(t) !== baseCurrency)
+    .reduce((acc, t) => {
+      const lines = isSplit(t) ? t.splits : [{ categoryId: t.categoryId, amount: t.amount }];
+      lines.forEach(line => {
+        const totals = (acc[line.categoryId] ||= {});
+        totals[currencyOf(t)] = (totals[currencyOf(t)] || 0) + line.amount;
+      });
+      return acc;
+    }, {});
+
+/**
+ * One side of per-currency totals like { USD: { income, expenses } },
+ * as { USD: amount }.
+ */
+export const foreignField = (totals = {}, field) =>
+  Object.fromEntries(Object.entries(totals).map(([currency, amounts]) => [currency, amounts[field]]));
+
+/** e.g. "$120.00 · €30.00"; empty when there is nothing foreign. */
+export const formatForeignAmounts = (amounts = {}) =>
+  Object.entries(amounts)
+    .filter(([, amount]) => amount > 0)
+    .map(([currency, amount]) => formatCurrency(amount, currency))
+    .join(' · ');
+
+
+// ───────────── Tags ─────────────
+// Tags are stored lowercase with dashes, e.g. "vacation-boracay-2026"
+export const normalizeTag = (raw) =>
+  raw.trim().replace(/^#+/, '').toLowerCase().replace(/\s+/g, '-').slice(0, 40);
+
+/**
+ * Every tag in use, most used first.
+ */
+export const collectTags = (transactions) => {
+  const counts = {};
+  transactions.forEach(t => (t.tags || []).forEach(tag => { counts[tag] = (counts[tag] || 0) + 1; }));
+  return Object.keys(counts).sort((a, b) => counts[b] - counts[a] || a.localeCompare(b));
+};
+
+/**
+ * Totals per tag across all months, in the base currency.
+ * Returns [{ tag, income, expenses, count, months }] where months is
+ * [{ month: 'YYYY-MM', income, expenses }] oldest first. Sorted by spending.
+ */
+export const summarizeTags = (transactions) => {
+  const byTag = {};
+  transactions.forEach(t => {
+    if (t.type === 'transfer' || !t.tags?.length) return;
+    const field = t.type === 'expense' ? 'expenses' : 'income';
+    const month = t.date.slice(0, 7);
+    t.tags.forEach(tag => {
+      const entry = byTag[tag] || (byTag[tag] = { tag, income: 0, expenses: 0, count: 0, months: {} });
+      const bucket = entry.months[month] || (entry.months[month] = { month, income: 0, expenses: 0 });
+      entry[field] += baseAmountOf(t);
+      bucket[field] += baseAmountOf(t);
+      entry.count += 1;
+    });
+  });
+
+  return Object.values(byTag)
+    .map(entry => ({
+      ...entry,
+      months: Object.values(entry.months).sort((a, b) => a.month.localeCompare(b.month)),
+    }))
+    .sort((a, b) => b.expenses - a.expenses || a.tag.localeCompare(b.tag));
+};
+
+
+// ───────────── Batch edits ─────────────
+/**
+ * Applies one batch change to a transaction, or returns null when the change
+ * doesn't fit it: a category must suit the transaction's type (and splits and
+ * transfers keep theirs), and a transfer can't be moved onto its own destination.
+ * `change` is { field: 'categoryId' | 'walletId' | 'date' | 'tag', value }.
+ */
+export const applyBatchChange = (t, change, categories) => {
+  const { field, value } = change;
+  if (field === 'categoryId') {
+    const category = categories.find(c => c.id === value);
+    if (t.type === 'transfer' || isSplit(t) || !category || !categoryMatchesType(category, t.type)) return null;
+    return { ...t, categoryId: value };
+  }
+  if (field === 'walletId') {
+    if (t.type === 'transfer' && t.toWalletId === value) return null;
+    return { ...t, walletId: value };
   }
-  const expenseCats = categories.filter(c => !/salary|income/i.test(c.name));
-  return expenseCats.length ? expenseCats[0].id : categories[0].id;
+  if (field === 'date') return { ...t, date: value };
+  if (field === 'tag') {
+    const tag = normalizeTag(value);
+    if (!tag) return null;
+    return (t.tags || []).includes(tag) ? t : { ...t, tags: [...(t.tags || []), tag] };
+  }
+  return null;
 };
 
 
-// ───────────── Monthly trend (last 6 months) ─────────────
-export const getMonthlyTrend = (transactions) => {
-  const months = [];
+// ───────────── Monthly trend ─────────────
+// Longest trend the chart shows, in months
+const MAX_TREND_MONTHS = 24;
+
+/**
+ * Income and expenses (transfer fees included) per month, with the original
+ * amounts of foreign ones under `foreign`. Without a range it covers the last six
+ * months; with { from, to } ('YYYY-MM-DD' keys) it covers the months they
+ * span, up to the latest MAX_TREND_MONTHS of them.
+ */
+export const getMonthlyTrend = (transactions, range = null) => {
   const today = new Date();
+  const [first, last] = range
+    ? [parseDateKey(range.from), parseDateKey(range.to)].map(d => new Date(d.getFullYear(), d.getMonth(), 1))
+    : [new Date(today.getFullYear(), today.getMonth() - 5, 1), new Date(today.getFullYear(), today.getMonth(), 1)];
+  const count = Math.min(
+    (last.getFullYear() - first.getFullYear()) * 12 + last.getMonth() - first.getMonth() + 1,
+    MAX_TREND_MONTHS
+  );
+  const months = [];
 
-  for (let i = 5; i >= 0; i--) {
-    const date = new Date(today.getFullYear(), today.getMonth() - i, 1);
+  for (let i = count - 1; i >= 0; i--) {
+    const date = new Date(last.getFullYear(), last.getMonth() - i, 1);
     const monthTx = transactions.filter(t => {
       const tDate = new Date(t.date);
       return (
@@ -52,10 +306,12 @@ export const getMonthlyTrend = (transactions) => {
       );
     });
 
+    // Labels are formatted by the chart so they follow the locale setting
     months.push({
-      month: date.toLocaleDateString('en-US', { month: 'short' }),
-      income: monthTx.filter(t => t.type === 'income').reduce((s, t) => s + t.amount, 0),
-      expenses: monthTx.filter(t => t.type === 'expense').reduce((s, t) => s + t.amount, 0),
+      month: `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`,
+      income: monthTx.filter(t => t.type === 'income').reduce((s, t) => s + baseAmountOf(t), 0),
+      expenses: monthTx.reduce((s, t) => s + (t.type === 'expense' ? baseAmountOf(t) : baseFeeOf(t)), 0),
+      foreign: { income: foreignTotals(monthTx, 'income'), expenses: foreignTotals(monthTx, 'expense') },
     });
   }
 
@@ -65,62 +321,102 @@ export const getMonthlyTrend = (transactions) => {
 
 // ───────────── Recurring transactions ─────────────
 /**
- * Checks all recurring templates and generates missing transactions
- * for any month between the template's startDate and today.
- * Returns { newTransactions, updatedTemplates }
+ * Builds the transaction a template posts on `date`. When the amount is
+ * adjusted (e.g. a variable bill), split lines are scaled to match and the
+ * last line takes the rounding difference.
  */
-export const applyRecurringTransactions = (templates, existingTransactions) => {
+export const buildRecurringTransaction = (template, date, amount = template.amount) => {
+  let splits = isSplit(template) ? template.splits : null;
+  if (splits && amount !== template.amount) {
+    const scaled = splits.map(line => ({ ...line, amount: Math.round((line.amount / template.amount) * amount * 100) / 100 }));
+    const rest = scaled.slice(0, -1).reduce((sum, line) => sum + line.amount, 0);
+    scaled[scaled.length - 1].amount = Math.round((amount - rest) * 100) / 100;
+    splits = scaled;
+  }
+
+  return {
+    id:          crypto.randomUUID(),
+    amount,
+    type:        template.type,
+    categoryId:  template.categoryId,
+    ...(splits && { splits }),
+    ...(template.tags?.length && { tags: template.tags }),
+    walletId:    template.walletId,
+    currency:    template.currency,
+    date,
+    note:        template.note || '',
+    createdAt:   new Date().toISOString(),
+    recurringId: template.id,   // link back to template
+  };
+};
+
+/**
+ * Checks all recurring templates for scheduled dates after their
+ * lastGeneratedDate, up to today. Templates that need confirmation queue
+ * those dates in `newPending` ({ id, templateId, date, amount }) instead of
+ * posting them.
+ * Returns { newTransactions, newPending, updatedTemplates }
+ */
+export const applyRecurringTransactions = (templates, existingTransactions, existingPending = []) => {
   const today     = new Date();
   const newTx     = [];
+  const newPending = [];
   const updatedTemplates = templates.map(template => ({ ...template }));
 
   updatedTemplates.forEach(template => {
     if (!template.active) return;
 
-    const start    = new Date(template.startDate);
-    const lastDate = template.lastGeneratedDate
-      ? new Date(template.lastGeneratedDate)
-      : null;
-
-    // Walk every month from start up to and including this month
-    const cursor = new Date(start.getFullYear(), start.getMonth(), 1);
-    const todayMonthStart = new Date(today.getFullYear(), today.getMonth(), 1);
-
-    while (cursor <= todayMonthStart) {
-      const year  = cursor.getFullYear();
-      const month = cursor.getMonth();
-
-      // Skip if we already generated for this month
-      const alreadyGenerated =
-        lastDate &&
-        lastDate.getFullYear() === year &&
-        lastDate.getMonth() >= month;
+    scheduledDates(template, today).forEach(txDate => {
+      // Skip dates already generated (the start date is the original transaction)
+      if (template.lastGeneratedDate && txDate <= template.lastGeneratedDate) return;
 
       // Also skip if an identical transaction already exists (safety net)
-      const txDate = `${year}-${String(month + 1).padStart(2, '0')}-${String(template.dayOfMonth).padStart(2, '0')}`;
-      const duplicate = existingTransactions.some(
-        t => t.recurringId === template.id && t.date === txDate
-      );
-
-      if (!alreadyGenerated && !duplicate) {
-        newTx.push({
-          id:          crypto.randomUUID(),
-          amount:      template.amount,
-          type:        template.type,
-          categoryId:  template.categoryId,
-          date:        txDate,
-          note:        template.note || '',
-          createdAt:   new Date().toISOString(),
-          recurringId: template.id,   // link back to template
-        });
-        template.lastGeneratedDate = txDate;
+      const duplicate =
+        existingTransactions.some(t => t.recurringId === template.id && t.date === txDate) ||
+        existingPending.some(p => p.templateId === template.id && p.date === txDate);
+
+      if (!duplicate && template.requiresConfirmation) {
+        newPending.push({ id: crypto.randomUUID(), templateId: template.id, date: txDate, amount: template.amount });
+      } else if (!duplicate) {
+        newTx.push(buildRecurringTransaction(template, txDate));
       }
-
-      cursor.setMonth(cursor.getMonth() + 1);
-    }
+      template.lastGeneratedDate = txDate;
+    });
   });
 
-  return { newTransactions: newTx, updatedTemplates };
+  return { newTransactions: newTx, newPending, updatedTemplates };
+};
+
+const ordinal = (n) => {
+  const suffix = n % 100 >= 11 && n % 100 <= 13 ? 'th' : ['th', 'st', 'nd', 'rd'][n % 10] || 'th';
+  return `${n}${suffix}`;
+};
+
+/**
+ * Describes a template's schedule in plain words,
+ * e.g. "Every other Friday until Dec 2026" or "Monthly on the 31st, 12 times".
+ */
+export const describeRecurrence = (template) => {
+  const rule  = ruleOf(template);
+  const start = parseDateKey(template.startDate);
+  const n     = Math.max(1, rule.interval || 1);
+  const day   = template.dayOfMonth || start.getDate();
+  const weekday   = start.toLocaleDateString(formatting.locale, { weekday: 'long' });
+  const monthDay  = start.toLocaleDateString(formatting.locale, { month: 'long', day: 'numeric' });
+
+  let text;
+  if (rule.frequency === 'semimonthly') text = 'Twice a month on the 15th and 30th';
+  else if (rule.frequency === 'daily')  text = n === 1 ? 'Every day' : `Every ${n} days`;
+  else if (rule.frequency === 'weekly') text = n <= 2 ? `Every ${n === 2 ? 'other ' : ''}${weekday}` : `Every ${n} weeks on ${weekday}`;
+  else if (rule.frequency === 'yearly') text = `${n === 1 ? 'Every year' : `Every ${n} years`} on ${monthDay}`;
+  else if (n === 3)                     text = `Quarterly on the ${ordinal(day)}`;
+  else text = `${n === 1 ? 'Monthly' : `Every ${n} months`} on the ${ordinal(day)}`;
+
+  if (rule.endDate) {
+    text += ` until ${parseDateKey(rule.endDate).toLocaleDateString(formatting.locale, { month: 'short', year: 'numeric' })}`;
+  }
+  else if (rule.count > 0) text += `, ${rule.count} time${rule.count !== 1 ? 's' : ''}`;
+  return text;
 };
 
 
@@ -155,9 +451,7 @@ export const generateDemoData = (categories, months = 6) => {
       const day = random(1, 28);
       const date = new Date(monthDate.getFullYear(), monthDate.getMonth(), day);
       const isIncome = Math.random() < 0.12;
-      const availableCats = isIncome
-        ? categories.filter(c => /salary|income/i.test(c.name))
-        : categories.filter(c => !/salary|income/i.test(c.name));
+      const availableCats = getCategoriesForType(isIncome ? 'income' : 'expense', categories);
       const cat = availableCats.length
         ? availableCats[random(0, availableCats.length - 1)]
         : categories[0];
@@ -0,0 +1,75 @@
+import { describe, it, expect } from 'vitest';
+import { baseFeeOf, foreignTotals, foreignByCategory, foreignField, formatForeignAmounts, getMonthlyTrend } from './helpers';
+
+const transactions = [
+  { id: 't1', type: 'expense', amount: 100, currency: 'PHP', categoryId: 'food' },
+  { id: 't2', type: 'expense', amount: 20, currency: 'USD', categoryId: 'food' },
+  {
+    id: 't3', type: 'expense', amount: 30, currency: 'USD', categoryId: 'food',
+    splits: [{ categoryId: 'food', amount: 10 }, { categoryId: 'transport', amount: 20 }],
+  },
+  { id: 't4', type: 'income', amount: 500, currency: 'EUR', categoryId: 'salary' },
+];
+
+const transfer = { id: 'x1', type: 'transfer', amount: 100, baseAmount: 5000, fee: 2, currency: 'USD', date: '2026-04-10' };
+
+describe('baseFeeOf', () => {
+  it('converts a transfer fee at the transfer’s rate', () => {
+    expect(baseFeeOf(transfer)).toBe(100);
+  });
+
+  it('is zero for anything else', () => {
+    expect(baseFeeOf({ ...transfer, fee: 0 })).toBe(0);
+    expect(baseFeeOf({ ...transfer, type: 'expense' })).toBe(0);
+  });
+});
+
+describe('foreignTotals', () => {
+  it('adds up what is not in the base currency, per currency', () => {
+    expect(foreignTotals(transactions, 'expense', 'PHP')).toEqual({ USD: 50 });
+    expect(foreignTotals(transactions, 'income', 'PHP')).toEqual({ EUR: 500 });
+  });
+
+  it('counts transfer fees as expenses', () => {
+    expect(foreignTotals([...transactions, transfer], 'expense', 'PHP')).toEqual({ USD: 52 });
+    expect(foreignTotals([transfer], 'income', 'PHP')).toEqual({});
+  });
+});
+
+describe('foreignByCategory', () => {
+  it('counts split lines toward their own category', () => {
+    expect(foreignByCategory(transactions, 'expense', 'PHP')).toEqual({
+      food: { USD: 30 },
+      transport: { USD: 20 },
+    });
+  });
+});
+
+describe('foreignField', () => {
+  it('picks one side of per-currency totals', () => {
+    const totals = { USD: { income: 0, expenses: 20 }, EUR: { income: 5, expenses: 0 } };
+    expect(foreignField(totals, 'expenses')).toEqual({ USD: 20, EUR: 0 });
+    expect(foreignField(undefined, 'income')).toEqual({});
+  });
+});
+
+describe('formatForeignAmounts', () => {
+  it('is empty when nothing was foreign', () => {
+    expect(formatForeignAmounts({})).toBe('');
+    expect(formatForeignAmounts(undefined)).toBe('');
+  });
+
+  it('lists each currency', () => {
+    expect(formatForeignAmounts({ USD: 20, EUR: 0 })).toMatch(/20\.00/);
+    expect(formatForeignAmounts({ USD: 20, EUR: 5 }).split(' · ')).toHaveLength(2);
+  });
+});
+
+describe('getMonthlyTrend', () => {
+  it('counts transfer fees as expenses but not the amount moved', () => {
+    const expense = { id: 'e1', type: 'expense', amount: 300, date: '2026-04-02' };
+    const months = getMonthlyTrend([expense, transfer], { from: '2026-04-01', to: '2026-04-30' });
+    expect(months).toHaveLength(1);
+    expect(months[0]).toMatchObject({ month: '2026-04', income: 0, expenses: 400 });
+  });
+});
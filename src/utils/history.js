@@ -0,0 +1,61 @@
+// ───────────── Undo / redo ─────────────
+// Every change the user makes is recorded as { id, label, at, snapshot }.
+// A snapshot holds the undoable collections as they were; collections are
+// never mutated in place, so keeping references is enough to restore them
+// exactly. `past` holds the state before each change, `future` the state
+// after each undone one.
+
+export const MAX_HISTORY = 50;
+
+export const EMPTY_HISTORY = { past: [], future: [] };
+
+// Nothing changed between two snapshots
+const isSameSnapshot = (a, b) => Object.keys(a).every(key => a[key] === b[key]);
+
+/**
+ * Adds a change to the history. Anything that could be redone is dropped.
+ * Changes recorded from the same starting state (several in one click, or
+ * one after a change that did nothing) become a single entry.
+ */
+export const recordChange = (history, label, snapshot) => {
+  const last = history.past[history.past.length - 1];
+  if (last && isSameSnapshot(last.snapshot, snapshot)) {
+    return { past: [...history.past.slice(0, -1), { ...last, label }], future: [] };
+  }
+  return {
+    past: [...history.past, { id: crypto.randomUUID(), label, at: new Date().toISOString(), snapshot }].slice(-MAX_HISTORY),
+    future: [],
+  };
+};
+
+/**
+ * Steps back `steps` changes from `current`.
+ * Returns { history, snapshot } where snapshot is the state to restore.
+ */
+export const undoChanges = (history, current, steps = 1) => {
+  const past   = [...history.past];
+  const future = [...history.future];
+  let snapshot = current;
+  for (let i = 0; i < steps && past.length > 0; i++) {
+    const entry = past.pop();
+    future.push({ ...entry, snapshot });
+    snapshot = entry.snapshot;
+  }
+  return { history: { past, future }, snapshot };
+};
+
+/**
+ * Re-applies `steps` undone changes on top of `current`.
+ * Returns { history, snapshot } where snapshot is the state to restore.
+ */
+export const redoChanges = (history, current, steps = 1) => {
+  const past   = [...history.past];
+  const future = [...history.future];
+  let snapshot = current;
+  for (let i = 0; i < steps && future.length > 0; i++) {
+    const entry = future.pop();
+    past.push({ ...entry, snapshot });
+    snapshot = entry.snapshot;
+  }
+  return { history: { past, future }, snapshot };
+};
@@ -0,0 +1,136 @@
+import { DEFAULT_CURRENCY } from '../constants/currencies';
+import { DEFAULT_RULE } from '../constants/recurrence';
+import { periodOf, shiftPeriod } from './budgets';
+
+// ───────────── Data schema migrations ─────────────
+// Every persisted snapshot carries a schemaVersion. Data without one is
+// version 0. Each migration is a pure function from one snapshot shape to
+// the next; it must not mutate its input and must be safe to re-run.
+//
+// A snapshot looks like { transactions, categories, budgets, recurringTemplates, wallets }.
+// Any collection may be missing (e.g. an older backup file), so migrations
+// only touch what is present.
+
+const mapCollection = (data, key, fn) =>
+  Array.isArray(data[key]) ? { ...data, [key]: data[key].map(fn) } : data;
+
+
+// v1 — wallets arrived after the first transactions were recorded, and
+// recurring templates never stored one. Park both in the first wallet.
+export const assignMissingWallets = (data) => {
+  const fallbackWalletId = data.wallets?.[0]?.id;
+  if (!fallbackWalletId) return data;
+
+  const withWallet = (item) => item.walletId ? item : { ...item, walletId: fallbackWalletId };
+  return mapCollection(mapCollection(data, 'transactions', withWallet), 'recurringTemplates', withWallet);
+};
+
+// v2 — edited transactions picked up the form-only `recurring` flag
+export const stripFormFields = (data) =>
+  mapCollection(data, 'transactions', (t) => {
+    if (!('recurring' in t)) return t;
+    const { recurring: _recurring, ...rest } = t;
+    return rest;
+  });
+
+// v3 — categories gained an explicit kind; older lists were told apart by name
+export const assignCategoryKinds = (data) =>
+  mapCollection(data, 'categories', (c) =>
+    c.kind ? c : { ...c, kind: /salary|income/i.test(c.name) ? 'income' : 'expense' }
+  );
+
+// v4 — wallets and transactions gained a currency; everything before was pesos.
+// Transactions and templates take their wallet's currency.
+export const assignCurrencies = (data) => {
+  const withWallets = mapCollection(data, 'wallets', (w) =>
+    w.currency ? w : { ...w, currency: DEFAULT_CURRENCY }
+  );
+  const walletCurrency = (walletId) =>
+    withWallets.wallets?.find(w => w.id === walletId)?.currency || DEFAULT_CURRENCY;
+  const withCurrency = (item) => item.currency ? item : { ...item, currency: walletCurrency(item.walletId) };
+
+  return mapCollection(mapCollection(withWallets, 'transactions', withCurrency), 'recurringTemplates', withCurrency);
+};
+
+// v5 — recurring templates gained a schedule; everything before was monthly
+export const assignRecurrenceRules = (data) =>
+  mapCollection(data, 'recurringTemplates', (t) => t.rule ? t : { ...t, rule: { ...DEFAULT_RULE } });
+
+// v6 — budgets were one { categoryId: amount } map for every month; they now
+// belong to a month. The old amounts are kept for each month from the first
+// transaction through the current month, so budgets still apply now even
+// when nothing was recorded lately.
+export const assignBudgetPeriods = (data) => {
+  const flat = data.budgets && Object.entries(data.budgets).filter(([, value]) => typeof value === 'number');
+  if (!flat || flat.length === 0) return data;
+
+  const thisMonth = periodOf(new Date());
+  const months = (data.transactions || []).map(t => periodOf(t.date)).sort();
+  const first = months[0] && months[0] < thisMonth ? months[0] : thisMonth;
+  const last  = months.length > 0 && months[months.length - 1] > thisMonth ? months[months.length - 1] : thisMonth;
+  const entries = Object.fromEntries(flat.map(([categoryId, amount]) => [categoryId, { amount, rollover: false }]));
+
+  const budgets = {};
+  for (let period = first; period <= last; period = shiftPeriod(period, 1)) {
+    budgets[period] = { ...entries };
+  }
+  return { ...data, budgets };
+};
+
+
+export const MIGRATIONS = [
+  { version: 1, description: 'Assign a wallet to records without one', up: assignMissingWallets },
+  { version: 2, description: 'Remove form-only fields from transactions', up: stripFormFields },
+  { version: 3, description: 'Give every category an income/expense kind', up: assignCategoryKinds },
+  { version: 4, description: 'Give wallets and transactions a currency', up: assignCurrencies },
+  { version: 5, description: 'Give recurring templates a schedule', up: assignRecurrenceRules },
+  { version: 6, description: 'Keep budgets per month', up: assignBudgetPeriods },
+];
+
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+
+/**
+ * Applies every migration newer than fromVersion, in order.
+ * All-or-nothing: if any step throws, the untouched input is returned
+ * together with the failing step so nothing half-migrated is ever used.
+ * Returns { data, version, applied, error }
+ */
+export const runMigrations = (data, fromVersion = 0) => {
+  let current = data;
+  let version = fromVersion;
+  const applied = [];
+
+  for (const migration of MIGRATIONS) {
+    if (migration.version <= version) continue;
+    try {
+      current = migration.up(current);
+    } catch (err) {
+      return {
+        data,
+        version: fromVersion,
+        applied: [],
+        error: { version: migration.version, description: migration.description, cause: err },
+      };
+    }
+    version = migration.version;
+    applied.push(migration.version);
+  }
+
+  return { data: current, version, applied, error: null };
+};
+
+
+// ── Rolling back ──────────────────────────────────────────────
+// Before each upgrade the stored collections are copied to `schemaBackup`
+// as { version, data, createdAt }, newest first. Older builds kept a
+// single copy there instead of a list.
+
+export const MAX_SCHEMA_BACKUPS = 2;
+
+export const listSchemaBackups = (stored) =>
+  Array.isArray(stored) ? stored : stored ? [stored] : [];
+
+/** Adds the copy taken before an upgrade, dropping the oldest past the limit. */
+export const addSchemaBackup = (stored, backup) =>
+  [backup, ...listSchemaBackups(stored)].slice(0, MAX_SCHEMA_BACKUPS);
@@ -0,0 +1,156 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import {
+  assignMissingWallets, stripFormFields, assignCategoryKinds, assignCurrencies,
+  assignRecurrenceRules, assignBudgetPeriods, runMigrations, MIGRATIONS, SCHEMA_VERSION,
+  addSchemaBackup, MAX_SCHEMA_BACKUPS,
+} from './migrations';
+
+// A snapshot as the very first versions stored it
+const v0Snapshot = () => ({
+  transactions: [
+    { id: 't1', type: 'expense', amount: 120, categoryId: 'food', date: '2026-01-10', note: 'Lunch', recurring: false },
+    { id: 't2', type: 'income', amount: 5000, categoryId: 'salary', date: '2026-03-01', note: '', walletId: 'bank' },
+  ],
+  categories: [
+    { id: 'food', name: 'Food' },
+    { id: 'salary', name: 'Salary' },
+    { id: 'other-income', name: 'Other Income' },
+    { id: 'gift', name: 'Gifts', kind: 'income' },
+  ],
+  budgets: { food: 3000 },
+  recurringTemplates: [{ id: 'r1', amount: 500, categoryId: 'food', note: 'Groceries' }],
+  wallets: [{ id: 'cash', name: 'Cash' }, { id: 'bank', name: 'Bank', currency: 'USD' }],
+});
+
+describe('assignMissingWallets', () => {
+  it('parks transactions and templates without a wallet in the first wallet', () => {
+    const result = assignMissingWallets(v0Snapshot());
+    expect(result.transactions.map(t => t.walletId)).toEqual(['cash', 'bank']);
+    expect(result.recurringTemplates[0].walletId).toBe('cash');
+  });
+
+  it('leaves the data alone when there are no wallets', () => {
+    const data = { ...v0Snapshot(), wallets: [] };
+    expect(assignMissingWallets(data)).toBe(data);
+  });
+
+  it('does not mutate its input', () => {
+    const data = v0Snapshot();
+    assignMissingWallets(data);
+    expect(data.transactions[0].walletId).toBeUndefined();
+  });
+});
+
+describe('stripFormFields', () => {
+  it('removes the form-only recurring flag', () => {
+    const result = stripFormFields(v0Snapshot());
+    expect('recurring' in result.transactions[0]).toBe(false);
+    expect(result.transactions[0].note).toBe('Lunch');
+  });
+
+  it('keeps untouched transactions as they are', () => {
+    const data = v0Snapshot();
+    expect(stripFormFields(data).transactions[1]).toBe(data.transactions[1]);
+  });
+});
+
+describe('assignCategoryKinds', () => {
+  it('tells income categories apart by name', () => {
+    const kinds = assignCategoryKinds(v0Snapshot()).categories.map(c => c.kind);
+    expect(kinds).toEqual(['expense', 'income', 'income', 'income']);
+  });
+});
+
+describe('assignCurrencies', () => {
+  it('gives wallets pesos and records their wallet’s currency', () => {
+    const result = assignCurrencies(assignMissingWallets(v0Snapshot()));
+    expect(result.wallets.map(w => w.currency)).toEqual(['PHP', 'USD']);
+    expect(result.transactions.map(t => t.currency)).toEqual(['PHP', 'USD']);
+    expect(result.recurringTemplates[0].currency).toBe('PHP');
+  });
+
+  it('keeps a currency that is already set', () => {
+    const data = { ...v0Snapshot(), transactions: [{ id: 't', walletId: 'cash', currency: 'EUR' }] };
+    expect(assignCurrencies(data).transactions[0].currency).toBe('EUR');
+  });
+});
+
+describe('assignRecurrenceRules', () => {
+  it('makes older templates monthly', () => {
+    const [template] = assignRecurrenceRules(v0Snapshot()).recurringTemplates;
+    expect(template.rule).toMatchObject({ frequency: 'monthly', interval: 1 });
+  });
+
+  it('keeps an existing schedule', () => {
+    const rule = { frequency: 'weekly', interval: 2 };
+    const data = { recurringTemplates: [{ id: 'r', rule }] };
+    expect(assignRecurrenceRules(data).recurringTemplates[0].rule).toBe(rule);
+  });
+});
+
+describe('assignBudgetPeriods', () => {
+  afterEach(() => vi.useRealTimers());
+
+  it('copies flat budgets into every month from the first transaction', () => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date(2026, 2, 15));
+    const { budgets } = assignBudgetPeriods(v0Snapshot());
+    expect(Object.keys(budgets)).toEqual(['2026-01', '2026-02', '2026-03']);
+    expect(budgets['2026-02']).toEqual({ food: { amount: 3000, rollover: false } });
+  });
+
+  it('carries budgets on to the current month when the last transaction is older', () => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date(2026, 5, 20));
+    const { budgets } = assignBudgetPeriods(v0Snapshot());
+    expect(Object.keys(budgets)).toEqual(['2026-01', '2026-02', '2026-03', '2026-04', '2026-05', '2026-06']);
+  });
+
+  it('uses the current month when there are no transactions', () => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date(2026, 4, 2));
+    const { budgets } = assignBudgetPeriods({ ...v0Snapshot(), transactions: [] });
+    expect(Object.keys(budgets)).toEqual(['2026-05']);
+  });
+
+  it('leaves budgets that already belong to a month alone', () => {
+    const data = { budgets: { '2026-01': { food: { amount: 100, rollover: false } } } };
+    expect(assignBudgetPeriods(data)).toBe(data);
+  });
+});
+
+describe('runMigrations', () => {
+  it('applies every step after the stored version', () => {
+    const result = runMigrations(v0Snapshot(), 0);
+    expect(result.error).toBeNull();
+    expect(result.version).toBe(SCHEMA_VERSION);
+    expect(result.applied).toEqual(MIGRATIONS.map(m => m.version));
+  });
+
+  it('skips steps that already ran', () => {
+    const result = runMigrations(v0Snapshot(), 4);
+    expect(result.applied).toEqual([5, 6]);
+    expect(result.data.transactions[0].currency).toBeUndefined();
+  });
+
+  it('is all-or-nothing when a step throws', () => {
+    const data = v0Snapshot();
+    // A category that is not an object makes the kind step throw
+    data.categories.push(null);
+    const result = runMigrations(data, 0);
+    expect(result.data).toBe(data);
+    expect(result.version).toBe(0);
+    expect(result.applied).toEqual([]);
+    expect(result.error).toMatchObject({ version: 3 });
+    expect(data.transactions[0].walletId).toBeUndefined();
+  });
+});
+
+describe('addSchemaBackup', () => {
+  it('keeps the newest copies first, including a single one from older builds', () => {
+    const old = { version: 2 };
+    const backups = addSchemaBackup(old, { version: 4 });
+    expect(backups).toEqual([{ version: 4 }, { version: 2 }]);
+    expect(addSchemaBackup(backups, { version: 5 })).toHaveLength(MAX_SCHEMA_BACKUPS);
+  });
+});
@@ -0,0 +1,47 @@
+import { formatCurrency, formatMonthYear } from './helpers';
+import { periodToDate } from './budgets';
+
+// ───────────── Budget alerts ─────────────
+// An alert is { id, categoryId, period, level, spent, budget, createdAt, read }
+// and is raised when saving a transaction pushes a category's budget to
+// the warning threshold or past 100%.
+
+// The notification center keeps this many, newest first
+export const MAX_NOTIFICATIONS = 100;
+
+/**
+ * Title and body text for an alert, shared by the in-app toast,
+ * the notification center and browser notifications.
+ */
+export const describeBudgetAlert = (alert, categoryName) => {
+  const month = formatMonthYear(periodToDate(alert.period));
+  const pct   = alert.budget > 0 ? Math.round((alert.spent / alert.budget) * 100) : 100;
+  return {
+    title: alert.level === 'over'
+      ? `${categoryName} is over its ${month} budget`
+      : `${categoryName} has used ${pct}% of its ${month} budget`,
+    body: `${formatCurrency(alert.spent)} spent of ${formatCurrency(alert.budget)}.`,
+  };
+};
+
+export const canNotify = () => typeof window !== 'undefined' && 'Notification' in window;
+
+/**
+ * Asks the browser for permission to show notifications.
+ * Resolves to true only when it was granted.
+ */
+export const requestNotificationPermission = async () => {
+  if (!canNotify()) return false;
+  if (Notification.permission === 'granted') return true;
+  return (await Notification.requestPermission()) === 'granted';
+};
+
+// Some mobile browsers only allow notifications from a service worker and throw here
+export const showBrowserNotification = ({ title, body }) => {
+  if (!canNotify() || Notification.permission !== 'granted') return;
+  try {
+    new Notification(title, { body, tag: title });
+  } catch (err) {
+    console.error(err);
+  }
+};
@@ -0,0 +1,124 @@
+import { DEFAULT_RULE, SEMIMONTHLY_DAYS, RECURRENCE_PRESETS } from '../constants/recurrence';
+
+// ───────────── Recurrence rules ─────────────
+// Date math for recurring templates. Dates are handled as local
+// 'YYYY-MM-DD' keys so a schedule never drifts across time zones.
+
+export const parseDateKey = (key) => {
+  const [year, month, day] = key.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+export const toDateKey = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+const daysInMonth = (year, month) => new Date(year, month + 1, 0).getDate();
+
+// Day `day` of the month `offset` months after year/month, clamped to its last day
+const clampedDay = (year, month, offset, day) => {
+  const first = new Date(year, month + offset, 1);
+  return new Date(first.getFullYear(), first.getMonth(), Math.min(day, daysInMonth(first.getFullYear(), first.getMonth())));
+};
+
+// Templates saved before rules existed repeated monthly
+export const ruleOf = (template) => ({ ...DEFAULT_RULE, ...template.rule });
+
+// The preset a rule matches, or 'custom'
+export const presetOf = (rule) =>
+  RECURRENCE_PRESETS.find(p => p.frequency === rule.frequency && (p.frequency === 'semimonthly' || p.interval === rule.interval))?.value
+  || 'custom';
+
+/**
+ * Every date a template is scheduled for, in order, starting with its start
+ * date and ignoring when the rule ends. Monthly and yearly schedules keep the
+ * template's day and clamp it to shorter months, so the 31st lands on Feb 28/29.
+ */
+function* allDates(template, rule) {
+  const start     = parseDateKey(template.startDate);
+  const interval  = Math.max(1, rule.interval || 1);
+  const anchorDay = template.dayOfMonth || start.getDate();
+  const [year, month, day] = [start.getFullYear(), start.getMonth(), start.getDate()];
+
+  if (rule.frequency === 'semimonthly') {
+    yield start;
+    for (let offset = 0; ; offset++) {
+      for (const payDay of SEMIMONTHLY_DAYS) {
+        const date = clampedDay(year, month, offset, payDay);
+        if (date > start) yield date;
+      }
+    }
+  }
+
+  for (let index = 0; ; index++) {
+    if (rule.frequency === 'daily')       yield new Date(year, month, day + index * interval);
+    else if (rule.frequency === 'weekly') yield new Date(year, month, day + index * interval * 7);
+    else if (rule.frequency === 'yearly') yield clampedDay(year, month, index * interval * 12, anchorDay);
+    else                                  yield clampedDay(year, month, index * interval, anchorDay);
+  }
+}
+
+// Scheduled dates up to the rule's end date and occurrence count
+function* ruleDates(template) {
+  const rule  = ruleOf(template);
+  const ends  = rule.endDate ? parseDateKey(rule.endDate) : null;
+  const limit = rule.count > 0 ? rule.count : Infinity;
+  let index = 0;
+  for (const date of allDates(template, rule)) {
+    if (index >= limit || (ends && date > ends)) return;
+    yield date;
+    index += 1;
+  }
+}
+
+/**
+ * Dates a template is due on up to and including `until`, as 'YYYY-MM-DD'
+ * keys. The first is always the start date.
+ */
+export const scheduledDates = (template, until) => {
+  const dates = [];
+  for (const date of ruleDates(template)) {
+    if (date > until) break;
+    dates.push(toDateKey(date));
+  }
+  return dates;
+};
+
+/**
+ * The first scheduled date after `after` ('YYYY-MM-DD'), or null once the
+ * schedule has ended.
+ */
+export const nextScheduledDate = (template, after) => {
+  const from = parseDateKey(after);
+  for (const date of ruleDates(template)) {
+    if (date > from) return toDateKey(date);
+  }
+  return null;
+};
+
+/**
+ * Cleans a rule coming from a form: whole-number interval and count,
+ * and empty end fields stored as null.
+ */
+export const normalizeRule = (rule) => {
+  const count = parseInt(rule.count, 10);
+  return {
+    frequency: rule.frequency,
+    interval: rule.frequency === 'semimonthly' ? 1 : Math.max(1, parseInt(rule.interval, 10) || 1),
+    endDate: rule.endDate || null,
+    count: count > 0 ? count : null,
+  };
+};
+
+/**
+ * Scheduled dates that fall between `from` and `to` ('YYYY-MM-DD', both
+ * inclusive), e.g. the occurrences of one month.
+ */
+export const scheduledDatesBetween = (template, from, to) => {
+  const [start, end] = [parseDateKey(from), parseDateKey(to)];
+  const dates = [];
+  for (const date of ruleDates(template)) {
+    if (date > end) break;
+    if (date >= start) dates.push(toDateKey(date));
+  }
+  return dates;
+};
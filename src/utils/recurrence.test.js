@@ -0,0 +1,137 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import {
+  parseDateKey, toDateKey, ruleOf, presetOf, scheduledDates, nextScheduledDate, normalizeRule, scheduledDatesBetween,
+} from './recurrence';
+import { configureFormatting, describeRecurrence } from './helpers';
+
+const template = (startDate, rule, extra = {}) => ({ id: 'r1', startDate, rule, ...extra });
+const until = (key) => parseDateKey(key);
+
+describe('date keys', () => {
+  it('round-trip without drifting across time zones', () => {
+    expect(toDateKey(parseDateKey('2026-03-08'))).toBe('2026-03-08');
+    expect(parseDateKey('2026-12-31').getDate()).toBe(31);
+  });
+});
+
+describe('ruleOf and presetOf', () => {
+  it('treats templates from before rules as monthly', () => {
+    expect(ruleOf({ startDate: '2026-01-01' })).toMatchObject({ frequency: 'monthly', interval: 1 });
+  });
+
+  it('names the preset a rule matches', () => {
+    expect(presetOf({ frequency: 'weekly', interval: 2 })).toBe('biweekly');
+    expect(presetOf({ frequency: 'monthly', interval: 3 })).toBe('quarterly');
+    expect(presetOf({ frequency: 'semimonthly', interval: 7 })).toBe('semimonthly');
+    expect(presetOf({ frequency: 'daily', interval: 3 })).toBe('custom');
+  });
+});
+
+describe('scheduledDates', () => {
+  it('clamps the 31st to the end of shorter months and goes back to it after', () => {
+    const t = template('2026-01-31', { frequency: 'monthly', interval: 1 });
+    expect(scheduledDates(t, until('2026-05-31'))).toEqual([
+      '2026-01-31', '2026-02-28', '2026-03-31', '2026-04-30', '2026-05-31',
+    ]);
+  });
+
+  it('lands on Feb 29 in a leap year', () => {
+    const t = template('2028-01-30', { frequency: 'monthly', interval: 1 });
+    expect(scheduledDates(t, until('2028-03-31'))).toEqual(['2028-01-30', '2028-02-29', '2028-03-30']);
+  });
+
+  it('keeps a Feb 29 yearly schedule on the last day of February', () => {
+    const t = template('2024-02-29', { frequency: 'yearly', interval: 1 });
+    expect(scheduledDates(t, until('2028-12-31'))).toEqual([
+      '2024-02-29', '2025-02-28', '2026-02-28', '2027-02-28', '2028-02-29',
+    ]);
+  });
+
+  it('keeps the day of month it was made for when the start date was clamped', () => {
+    const t = template('2026-02-28', { frequency: 'monthly', interval: 1 }, { dayOfMonth: 31 });
+    expect(scheduledDates(t, until('2026-04-30'))).toEqual(['2026-02-28', '2026-03-31', '2026-04-30']);
+  });
+
+  it('repeats every N days, weeks and months', () => {
+    expect(scheduledDates(template('2026-02-26', { frequency: 'daily', interval: 2 }), until('2026-03-04')))
+      .toEqual(['2026-02-26', '2026-02-28', '2026-03-02', '2026-03-04']);
+    expect(scheduledDates(template('2026-01-02', { frequency: 'weekly', interval: 2 }), until('2026-02-13')))
+      .toEqual(['2026-01-02', '2026-01-16', '2026-01-30', '2026-02-13']);
+    expect(scheduledDates(template('2026-01-15', { frequency: 'monthly', interval: 3 }), until('2026-12-31')))
+      .toEqual(['2026-01-15', '2026-04-15', '2026-07-15', '2026-10-15']);
+  });
+
+  it('pays semimonthly on the 15th and 30th, or the last day of February', () => {
+    const t = template('2026-01-10', { frequency: 'semimonthly', interval: 1 });
+    expect(scheduledDates(t, until('2026-03-15'))).toEqual([
+      '2026-01-10', '2026-01-15', '2026-01-30', '2026-02-15', '2026-02-28', '2026-03-15',
+    ]);
+  });
+
+  it('does not repeat a semimonthly start that is already a pay day', () => {
+    const t = template('2026-01-15', { frequency: 'semimonthly', interval: 1 });
+    expect(scheduledDates(t, until('2026-01-31'))).toEqual(['2026-01-15', '2026-01-30']);
+  });
+
+  it('stops after `count` occurrences, the first included', () => {
+    const t = template('2026-01-01', { frequency: 'monthly', interval: 1, count: 3 });
+    expect(scheduledDates(t, until('2026-12-31'))).toEqual(['2026-01-01', '2026-02-01', '2026-03-01']);
+  });
+
+  it('stops on the end date, which is included', () => {
+    const t = template('2026-01-05', { frequency: 'weekly', interval: 1, endDate: '2026-01-19' });
+    expect(scheduledDates(t, until('2026-12-31'))).toEqual(['2026-01-05', '2026-01-12', '2026-01-19']);
+  });
+});
+
+describe('nextScheduledDate', () => {
+  it('finds the first date after the given one', () => {
+    const t = template('2026-01-31', { frequency: 'monthly', interval: 1 });
+    expect(nextScheduledDate(t, '2026-02-01')).toBe('2026-02-28');
+  });
+
+  it('is null once the schedule has ended', () => {
+    const t = template('2026-01-01', { frequency: 'monthly', interval: 1, count: 2 });
+    expect(nextScheduledDate(t, '2026-02-01')).toBeNull();
+  });
+});
+
+describe('scheduledDatesBetween', () => {
+  it('lists the dates in a window, both ends included', () => {
+    const t = template('2026-01-01', { frequency: 'weekly', interval: 1 });
+    expect(scheduledDatesBetween(t, '2026-01-08', '2026-01-22')).toEqual(['2026-01-08', '2026-01-15', '2026-01-22']);
+  });
+});
+
+describe('normalizeRule', () => {
+  it('cleans up form values', () => {
+    expect(normalizeRule({ frequency: 'weekly', interval: '2', endDate: '', count: '' }))
+      .toEqual({ frequency: 'weekly', interval: 2, endDate: null, count: null });
+    expect(normalizeRule({ frequency: 'monthly', interval: '0', endDate: null, count: '4' }))
+      .toEqual({ frequency: 'monthly', interval: 1, endDate: null, count: 4 });
+    expect(normalizeRule({ frequency: 'semimonthly', interval: '5' }).interval).toBe(1);
+  });
+});
+
+describe('describeRecurrence', () => {
+  beforeAll(() => configureFormatting({ locale: 'en-US' }));
+
+  it('describes each kind of schedule', () => {
+    expect(describeRecurrence(template('2026-01-02', { frequency: 'daily', interval: 1 }))).toBe('Every day');
+    expect(describeRecurrence(template('2026-01-02', { frequency: 'daily', interval: 3 }))).toBe('Every 3 days');
+    expect(describeRecurrence(template('2026-01-02', { frequency: 'weekly', interval: 2 }))).toBe('Every other Friday');
+    expect(describeRecurrence(template('2026-01-02', { frequency: 'weekly', interval: 3 }))).toBe('Every 3 weeks on Friday');
+    expect(describeRecurrence(template('2026-01-31', { frequency: 'monthly', interval: 1 }))).toBe('Monthly on the 31st');
+    expect(describeRecurrence(template('2026-01-02', { frequency: 'monthly', interval: 3 }))).toBe('Quarterly on the 2nd');
+    expect(describeRecurrence(template('2026-03-08', { frequency: 'yearly', interval: 1 }))).toBe('Every year on March 8');
+    expect(describeRecurrence(template('2026-01-10', { frequency: 'semimonthly', interval: 1 })))
+      .toBe('Twice a month on the 15th and 30th');
+  });
+
+  it('says when the schedule ends', () => {
+    expect(describeRecurrence(template('2026-01-31', { frequency: 'monthly', interval: 1, count: 12 })))
+      .toBe('Monthly on the 31st, 12 times');
+    expect(describeRecurrence(template('2026-01-02', { frequency: 'weekly', interval: 2, endDate: '2026-12-18' })))
+      .toBe('Every other Friday until Dec 2026');
+  });
+});
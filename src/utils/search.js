@@ -0,0 +1,237 @@
+import { TRANSFER_CATEGORY } from '../constants/categories';
+import { baseAmountOf, isSplit, normalizeTag } from './helpers';
+
+// ───────────── Search queries ─────────────
+// The search box understands a small query language:
+//   coffee "coffee shop"        text in the note, category, tags or split lines
+//   amount>500 amount<=20       amount in the base currency (>, <, >=, <=, =, :)
+//   wallet:GCash cat:"Food & Dining" type:income tag:trip #trip note:rent
+//   before:2026-05-01 after:2026-03 on:2026-04-15   (YYYY, YYYY-MM or YYYY-MM-DD)
+//   -coffee -cat:food           leave matches out
+//   cat:food OR cat:transport   either one; OR binds tighter than the
+//                               spaces between terms, so this is
+//                               (food or transport) and over 100:
+//                               cat:food OR cat:transport amount>100
+//   (coffee OR tea) -starbucks  parentheses group terms
+// Anything else with a colon ("Re: rent", "http://x") is plain text.
+
+export const SEARCH_HINTS = [
+  { example: 'amount>500',        description: 'Amount over 500 (also <, >=, <=, =)' },
+  { example: 'cat:"Food"',        description: 'Category name contains' },
+  { example: 'wallet:GCash',      description: 'Paid from or moved to a wallet' },
+  { example: 'type:income',       description: 'income, expense or transfer' },
+  { example: 'tag:trip',          description: 'Has a tag (or #trip)' },
+  { example: 'before:2026-05-01', description: 'Dated before (also after:, on:)' },
+  { example: '-coffee',           description: 'Leave out matches' },
+  { example: 'coffee OR tea',     description: 'Either term; group with ( )' },
+];
+
+const FIELD_ALIASES = {
+  amount: 'amount',
+  wallet: 'wallet',
+  cat: 'category',
+  category: 'category',
+  type: 'type',
+  tag: 'tag',
+  note: 'note',
+  before: 'before',
+  after: 'after',
+  on: 'on',
+  date: 'on',
+};
+
+const TRANSACTION_TYPES = ['income', 'expense', 'transfer'];
+const DATE_PATTERN = /^\d{4}(-\d{2}(-\d{2})?)?$/;
+
+// Mistakes in the query stop parsing; parseSearchQuery reports the message
+const fail = (message) => { throw new Error(message); };
+
+
+// ── Tokens ────────────────────────────────────────────────────
+// { kind: 'open' | 'close' | 'or' | 'not' } or { kind: 'term', field, op, value }
+
+const readQuoted = (query, start) => {
+  const end = query.indexOf('"', start + 1);
+  if (end === -1) fail('A quote is missing its closing ".');
+  return { value: query.slice(start + 1, end), next: end + 1 };
+};
+
+const readBare = (query, start) => {
+  let end = start;
+  while (end < query.length && !/[\s()]/.test(query[end])) end++;
+  return { value: query.slice(start, end), next: end };
+};
+
+const tokenize = (query) => {
+  const tokens = [];
+  let i = 0;
+
+  while (i < query.length) {
+    const char = query[i];
+    if (/\s/.test(char)) { i++; continue; }
+    if (char === '(') { tokens.push({ kind: 'open' });  i++; continue; }
+    if (char === ')') { tokens.push({ kind: 'close' }); i++; continue; }
+    if (char === '-' && i + 1 < query.length && !/[\s\d.]/.test(query[i + 1])) {
+      tokens.push({ kind: 'not' });
+      i++;
+      continue;
+    }
+
+    if (char === '"') {
+      const { value, next } = readQuoted(query, i);
+      tokens.push({ kind: 'term', field: 'text', op: ':', value });
+      i = next;
+      continue;
+    }
+
+    const prefix = query.slice(i).match(/^([a-z]+)(>=|<=|>|<|=|:)/i);
+    const field = prefix && FIELD_ALIASES[prefix[1].toLowerCase()];
+    if (field) {
+      const start = i + prefix[0].length;
+      const { value, next } = query[start] === '"' ? readQuoted(query, start) : readBare(query, start);
+      if (!value) fail(`"${prefix[0]}" needs a value after it.`);
+      tokens.push({ kind: 'term', field, op: prefix[2], value });
+      i = next;
+      continue;
+    }
+
+    const { value, next } = readBare(query, i);
+    if (value === 'OR' || value === '|') tokens.push({ kind: 'or' });
+    else if (value.startsWith('#') && value.length > 1) tokens.push({ kind: 'term', field: 'tag', op: ':', value: value.slice(1) });
+    else tokens.push({ kind: 'term', field: 'text', op: ':', value });
+    i = next;
+  }
+
+  return tokens;
+};
+
+
+// ── Terms ─────────────────────────────────────────────────────
+const includes = (text, value) => (text || '').toLowerCase().includes(value);
+
+// Builds the test for one term: (transaction, context) => boolean
+const compileTerm = ({ field, op, value }) => {
+  const needle = value.toLowerCase();
+
+  if (field !== 'amount' && op !== ':' && op !== '=') {
+    fail(`"${field}" can't be compared with ${op}; use ${field === 'category' ? 'cat' : field}:value.`);
+  }
+
+  switch (field) {
+    case 'amount': {
+      const number = parseFloat(value.replace(/,/g, ''));
+      if (isNaN(number) || !/^[\d.,]+$/.test(value)) fail(`"amount${op}${value}" needs a number, e.g. amount>500.`);
+      const compare = {
+        '>':  (a) => a > number,
+        '<':  (a) => a < number,
+        '>=': (a) => a >= number,
+        '<=': (a) => a <= number,
+        '=':  (a) => Math.abs(a - number) < 0.005,
+        ':':  (a) => Math.abs(a - number) < 0.005,
+      }[op];
+      return (t) => compare(baseAmountOf(t));
+    }
+    case 'type':
+      if (!TRANSACTION_TYPES.includes(needle)) fail(`type: must be income, expense or transfer, not "${value}".`);
+      return (t) => t.type === needle;
+    case 'wallet':
+      return (t, { getWalletInfo }) =>
+        [t.walletId, t.toWalletId].some(id => id && includes(getWalletInfo(id)?.name, needle));
+    case 'category':
+      return (t, { getCategoryInfo }) =>
+        t.type !== 'transfer' &&
+        [t.categoryId, ...(isSplit(t) ? t.splits.map(line => line.categoryId) : [])]
+          .some(id => includes(getCategoryInfo(id).name, needle));
+    case 'tag': {
+      const tag = normalizeTag(value);
+      return (t) => (t.tags || []).includes(tag);
+    }
+    case 'note':
+      return (t) => includes(t.note, needle);
+    case 'before':
+    case 'after':
+    case 'on': {
+      if (!DATE_PATTERN.test(value)) fail(`"${field}:${value}" isn't a date. Use YYYY-MM-DD, YYYY-MM or YYYY.`);
+      // Comparing the same number of characters lets 2026-05 mean all of May
+      const part = (t) => t.date.slice(0, value.length);
+      if (field === 'before') return (t) => part(t) < value;
+      if (field === 'after')  return (t) => part(t) > value;
+      return (t) => part(t) === value;
+    }
+    default:
+      // Plain text, as the search box always worked
+      return (t, { getCategoryInfo }) => {
+        const category = t.type === 'transfer' ? TRANSFER_CATEGORY : getCategoryInfo(t.categoryId);
+        const lines = isSplit(t) ? t.splits : [];
+        return (
+          includes(t.note, needle) ||
+          includes(category.name, needle) ||
+          (t.tags || []).some(tag => tag.includes(needle.replace(/^#/, ''))) ||
+          lines.some(line => includes(line.note, needle) || includes(getCategoryInfo(line.categoryId).name, needle))
+        );
+      };
+  }
+};
+
+
+// ── Parser ────────────────────────────────────────────────────
+//   all     := any+                 (every one must match)
+//   any     := unary ('OR' unary)*
+//   unary   := '-' unary | '(' all ')' | term
+const parse = (tokens) => {
+  let pos = 0;
+  const peek = () => tokens[pos];
+
+  const parseAll = (insideGroup) => {
+    const parts = [];
+    while (pos < tokens.length && peek().kind !== 'close') parts.push(parseAny());
+    if (insideGroup && parts.length === 0) fail('Empty parentheses.');
+    return (t, ctx) => parts.every(part => part(t, ctx));
+  };
+
+  const parseAny = () => {
+    if (peek().kind === 'or') fail('OR needs a term before it.');
+    const options = [parseUnary()];
+    while (peek()?.kind === 'or') {
+      pos++;
+      if (!peek() || peek().kind === 'close' || peek().kind === 'or') fail('OR needs a term after it.');
+      options.push(parseUnary());
+    }
+    return options.length === 1 ? options[0] : (t, ctx) => options.some(option => option(t, ctx));
+  };
+
+  const parseUnary = () => {
+    const token = tokens[pos++];
+    if (token.kind === 'not') {
+      if (!peek() || peek().kind === 'close' || peek().kind === 'or') fail('"-" needs a term right after it, e.g. -coffee.');
+      const inner = parseUnary();
+      return (t, ctx) => !inner(t, ctx);
+    }
+    if (token.kind === 'open') {
+      const inner = parseAll(true);
+      if (peek()?.kind !== 'close') fail('A "(" is missing its closing ")".');
+      pos++;
+      return inner;
+    }
+    return compileTerm(token);
+  };
+
+  const predicate = parseAll(false);
+  if (pos < tokens.length) fail('There is a ")" without an opening "(".');
+  return predicate;
+};
+
+/**
+ * Turns a search box query into a filter.
+ * Returns { predicate, error }: predicate is (transaction, { getCategoryInfo,
+ * getWalletInfo }) => boolean, or null for an empty or malformed query, in
+ * which case error says what is wrong (null when the query is just empty).
+ */
+export const parseSearchQuery = (query) => {
+  if (!query.trim()) return { predicate: null, error: null };
+  try {
+    return { predicate: parse(tokenize(query)), error: null };
+  } catch (err) {
+    return { predicate: null, error: err.message };
+  }
+};
@@ -0,0 +1,96 @@
+import { describe, it, expect } from 'vitest';
+import { parseSearchQuery } from './search';
+
+const categories = { food: 'Food & Dining', transport: 'Transportation', salary: 'Salary' };
+const wallets = { cash: 'Cash', gcash: 'GCash' };
+
+const context = {
+  getCategoryInfo: (id) => ({ name: categories[id] || 'Uncategorized' }),
+  getWalletInfo: (id) => (wallets[id] ? { id, name: wallets[id] } : undefined),
+};
+
+const transactions = [
+  { id: 't1', type: 'expense', amount: 120, categoryId: 'food', walletId: 'cash', date: '2026-04-15', note: 'Coffee with Ana', tags: ['trip'] },
+  { id: 't2', type: 'expense', amount: 600, categoryId: 'transport', walletId: 'gcash', date: '2026-05-02', note: 'Re: rent share' },
+  { id: 't3', type: 'income', amount: 5000, categoryId: 'salary', walletId: 'gcash', date: '2026-03-31', note: 'Invoice: 123' },
+  { id: 't4', type: 'transfer', amount: 1000, walletId: 'cash', toWalletId: 'gcash', date: '2026-04-20', note: 'http://bank.example' },
+];
+
+// Ids of the transactions a query matches
+const search = (query) => {
+  const { predicate, error } = parseSearchQuery(query);
+  if (error) throw new Error(error);
+  return transactions.filter(t => predicate(t, context)).map(t => t.id);
+};
+
+const errorOf = (query) => parseSearchQuery(query).error;
+
+describe('parseSearchQuery', () => {
+  it('has no predicate and no error for an empty query', () => {
+    expect(parseSearchQuery('   ')).toEqual({ predicate: null, error: null });
+  });
+
+  it('matches plain text in the note and category name', () => {
+    expect(search('coffee')).toEqual(['t1']);
+    expect(search('"food & dining"')).toEqual(['t1']);
+  });
+
+  it('compares amounts', () => {
+    expect(search('amount>500')).toEqual(['t2', 't3', 't4']);
+    expect(search('amount<=120')).toEqual(['t1']);
+    expect(search('amount=600')).toEqual(['t2']);
+    expect(search('amount:1,000')).toEqual(['t4']);
+  });
+
+  it('filters by wallet, category, type, tag and note', () => {
+    expect(search('wallet:gcash')).toEqual(['t2', 't3', 't4']);
+    expect(search('cat:"Food & Dining"')).toEqual(['t1']);
+    expect(search('type:income')).toEqual(['t3']);
+    expect(search('tag:trip')).toEqual(['t1']);
+    expect(search('#trip')).toEqual(['t1']);
+    expect(search('note:invoice')).toEqual(['t3']);
+  });
+
+  it('filters by date, with shorter dates covering the whole month or year', () => {
+    expect(search('before:2026-04-01')).toEqual(['t3']);
+    expect(search('after:2026-04')).toEqual(['t2']);
+    expect(search('on:2026-04')).toEqual(['t1', 't4']);
+    expect(search('on:2026')).toHaveLength(4);
+  });
+
+  it('leaves out negated terms', () => {
+    expect(search('-coffee')).toEqual(['t2', 't3', 't4']);
+    expect(search('-type:expense -type:transfer')).toEqual(['t3']);
+  });
+
+  it('binds OR tighter than the spaces between terms', () => {
+    expect(search('cat:food OR cat:transport amount>100')).toEqual(['t1', 't2']);
+    expect(search('cat:food OR cat:transport amount>500')).toEqual(['t2']);
+  });
+
+  it('groups terms with parentheses', () => {
+    expect(search('(coffee OR rent) -wallet:gcash')).toEqual(['t1']);
+    expect(search('-(type:expense OR type:transfer)')).toEqual(['t3']);
+  });
+
+  it('treats unknown prefixes as plain text', () => {
+    expect(search('Re: rent')).toEqual(['t2']);
+    expect(search('Invoice: 123')).toEqual(['t3']);
+    expect(search('http://bank')).toEqual(['t4']);
+  });
+
+  it('explains malformed queries', () => {
+    expect(errorOf('"coffee')).toBe('A quote is missing its closing ".');
+    expect(errorOf('amount>abc')).toBe('"amount>abc" needs a number, e.g. amount>500.');
+    expect(errorOf('wallet:')).toBe('"wallet:" needs a value after it.');
+    expect(errorOf('type:loan')).toBe('type: must be income, expense or transfer, not "loan".');
+    expect(errorOf('on:April')).toBe('"on:April" isn\'t a date. Use YYYY-MM-DD, YYYY-MM or YYYY.');
+    expect(errorOf('wallet>cash')).toBe('"wallet" can\'t be compared with >; use wallet:value.');
+    expect(errorOf('OR coffee')).toBe('OR needs a term before it.');
+    expect(errorOf('coffee OR')).toBe('OR needs a term after it.');
+    expect(errorOf('(coffee -)')).toBe('"-" needs a term right after it, e.g. -coffee.');
+    expect(errorOf('(coffee')).toBe('A "(" is missing its closing ")".');
+    expect(errorOf('coffee)')).toBe('There is a ")" without an opening "(".');
+    expect(errorOf('()')).toBe('Empty parentheses.');
+  });
+});
@@ -0,0 +1,205 @@
+import { getDefaultCategory } from './helpers';
+import { parseDateCell } from './csv';
+
+// ───────────── OFX / QFX / QIF statement import ─────────────
+// Parsers turn a bank statement into plain entries:
+//   { date, amount (signed), payee, memo, category, fitId }
+// which are then turned into transaction drafts carrying an `importKey`.
+// The key is the bank's FITID when there is one, otherwise a hash of
+// date + amount + payee (and how often that row repeats in the file),
+// so re-importing an overlapping statement
+// always recognises rows it has seen before.
+
+export const STATEMENT_FORMATS = {
+  ofx: 'OFX',
+  qfx: 'QFX',
+  qif: 'QIF',
+};
+
+export const getStatementFormat = (fileName) => {
+  const ext = fileName.split('.').pop().toLowerCase();
+  return STATEMENT_FORMATS[ext] ? ext : null;
+};
+
+
+// ── OFX / QFX ─────────────────────────────────────────────────
+const decodeEntities = (str) =>
+  str
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+
+// Works for both SGML (OFX 1.x, unclosed leaf tags) and XML (OFX 2.x)
+const ofxValue = (block, tag) => {
+  const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+  return match ? decodeEntities(match[1].trim()) : '';
+};
+
+// DTPOSTED looks like 20260315, 20260315120000 or 20260315120000.000[-8:PST]
+const parseOFXDate = (raw) => {
+  const match = raw.match(/^(\d{4})(\d{2})(\d{2})/);
+  return match ? parseDateCell(`${match[1]}-${match[2]}-${match[3]}`, 'YYYY-MM-DD') : null;
+};
+
+/**
+ * Parses an OFX or QFX statement.
+ * Returns { accountId, entries, problems }.
+ */
+export const parseOFX = (text) => {
+  const accountId = ofxValue(text, 'ACCTID');
+  const blocks = text.match(/<STMTTRN>[\s\S]*?(?=<\/STMTTRN>|<STMTTRN>|<\/BANKTRANLIST>)/gi) || [];
+
+  const entries = [];
+  const problems = [];
+
+  blocks.forEach((block, i) => {
+    const date   = parseOFXDate(ofxValue(block, 'DTPOSTED'));
+    const amount = parseFloat(ofxValue(block, 'TRNAMT').replace(',', '.'));
+    const rowProblems = [];
+    if (!date) rowProblems.push('invalid date');
+    if (isNaN(amount) || amount === 0) rowProblems.push('invalid amount');
+
+    if (rowProblems.length > 0) {
+      problems.push({ index: i + 1, problems: rowProblems });
+      return;
+    }
+
+    entries.push({
+      date,
+      amount,
+      payee:    ofxValue(block, 'NAME') || ofxValue(block, 'PAYEE'),
+      memo:     ofxValue(block, 'MEMO'),
+      category: '',
+      fitId:    ofxValue(block, 'FITID'),
+    });
+  });
+
+  return { accountId, entries, problems };
+};
+
+
+// ── QIF ───────────────────────────────────────────────────────
+// QIF dates come as 3/15/2026, 3/15'26, 15/03/2026 or 2026-03-15
+const parseQIFDate = (raw, dateFormat) =>
+  parseDateCell(raw.replace(/'/g, '/').replace(/\s+/g, ''), dateFormat);
+
+/**
+ * Parses a QIF bank/cash/credit-card export. Investment records are ignored.
+ * Returns { accountId, entries, problems }.
+ */
+export const parseQIF = (text, dateFormat = 'auto') => {
+  const entries = [];
+  const problems = [];
+  let record = {};
+  let index = 0;
+  let skipSection = false;
+
+  const flush = () => {
+    if (Object.keys(record).length === 0) return;
+    index += 1;
+    const date   = parseQIFDate(record.D || '', dateFormat);
+    const amount = parseFloat((record.T || record.U || '').replace(/,/g, ''));
+    const rowProblems = [];
+    if (!date) rowProblems.push(`unreadable date "${record.D || ''}"`);
+    if (isNaN(amount) || amount === 0) rowProblems.push('invalid amount');
+
+    if (rowProblems.length > 0) {
+      problems.push({ index, problems: rowProblems });
+    } else {
+      entries.push({
+        date,
+        amount,
+        payee:    record.P || '',
+        memo:     record.M || '',
+        // "Groceries:Household" → "Groceries"; transfers look like "[Savings]"
+        category: (record.L || '').replace(/^\[.*\]$/, '').split(':')[0].trim(),
+        fitId:    '',
+      });
+    }
+    record = {};
+  };
+
+  text.split(/\r?\n/).forEach(line => {
+    if (line.startsWith('!')) {
+      flush();
+      skipSection = /^!(Type:Invst|Account|Type:Cat|Type:Class|Type:Memorized|Option)/i.test(line);
+      return;
+    }
+    if (skipSection) return;
+    if (line.startsWith('^')) { flush(); return; }
+    if (!line.trim()) return;
+
+    const code = line[0];
+    // Split lines (S/E/$) repeat per split; keep the first value of each code
+    if (record[code] === undefined) record[code] = line.slice(1).trim();
+  });
+  flush();
+
+  return { accountId: '', entries, problems };
+};
+
+
+// ── Drafts ────────────────────────────────────────────────────
+// FNV-1a, enough to tell statement rows apart
+const hashString = (str) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+};
+
+// Rows without a FITID are told apart by date, amount and payee, plus how
+// many identical rows came before in the same file (the first has none), so
+// two real ₱4.50 coffees stay two and re-importing the file still matches
+export const statementImportKey = (entry, { accountId, walletId }, occurrence = 0) =>
+  entry.fitId
+    ? `fitid:${accountId || walletId}:${entry.fitId}`
+    : `hash:${walletId}:${hashString([
+      entry.date, entry.amount.toFixed(2), entry.payee.toLowerCase(), ...(occurrence > 0 ? [occurrence] : []),
+    ].join('|'))}`;
+
+/**
+ * Turns parsed entries into transaction drafts in the chosen wallet.
+ * Entries repeating a FITID inside one file are kept once.
+ */
+export const statementToDrafts = (parsed, { categories, walletId }) => {
+  const seen = new Set();
+  const repeats = {};
+  const drafts = [];
+
+  parsed.entries.forEach(entry => {
+    const account = { accountId: parsed.accountId, walletId };
+    const baseKey = statementImportKey(entry, account);
+    const occurrence = entry.fitId ? 0 : (repeats[baseKey] || 0);
+    repeats[baseKey] = occurrence + 1;
+
+    const importKey = statementImportKey(entry, account, occurrence);
+    if (seen.has(importKey)) return;
+    seen.add(importKey);
+
+    const type = entry.amount > 0 ? 'income' : 'expense';
+    const category = entry.category &&
+      categories.find(c => c.name.toLowerCase() === entry.category.toLowerCase());
+    const note = entry.memo && entry.memo !== entry.payee
+      ? [entry.payee, entry.memo].filter(Boolean).join(' — ')
+      : entry.payee;
+
+    drafts.push({
+      id: crypto.randomUUID(),
+      amount: Math.abs(entry.amount),
+      type,
+      categoryId: category?.id || getDefaultCategory(type, categories),
+      walletId,
+      date: entry.date,
+      note: note.slice(0, 100),
+      importKey,
+      createdAt: new Date().toISOString(),
+    });
+  });
+
+  return drafts;
+};
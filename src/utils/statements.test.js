@@ -0,0 +1,32 @@
+import { describe, it, expect } from 'vitest';
+import { parseQIF, statementToDrafts } from './statements';
+
+const categories = [{ id: 'food', name: 'Food', kind: 'expense' }, { id: 'salary', name: 'Salary', kind: 'income' }];
+const qif = (rows) => ['!Type:Bank', ...rows.flatMap(([date, amount, payee]) => [`D${date}`, `T${amount}`, `P${payee}`, '^'])].join('\n');
+
+describe('statementToDrafts', () => {
+  it('keeps identical rows in one file as separate transactions', () => {
+    const parsed = parseQIF(qif([['2026-04-02', '-4.50', 'Coffee'], ['2026-04-02', '-4.50', 'Coffee']]));
+    const drafts = statementToDrafts(parsed, { categories, walletId: 'cash' });
+    expect(drafts).toHaveLength(2);
+    expect(new Set(drafts.map(d => d.importKey)).size).toBe(2);
+  });
+
+  it('gives the same keys when the file is imported again', () => {
+    const text = qif([['2026-04-02', '-4.50', 'Coffee'], ['2026-04-02', '-4.50', 'Coffee'], ['2026-04-03', '-4.50', 'Coffee']]);
+    const keys = () => statementToDrafts(parseQIF(text), { categories, walletId: 'cash' }).map(d => d.importKey);
+    expect(keys()).toEqual(keys());
+  });
+
+  it('keeps a row the same key whether or not it repeats later in the file', () => {
+    const once  = statementToDrafts(parseQIF(qif([['2026-04-02', '-4.50', 'Coffee']])), { categories, walletId: 'cash' });
+    const twice = statementToDrafts(parseQIF(qif([['2026-04-02', '-4.50', 'Coffee'], ['2026-04-02', '-4.50', 'Coffee']])), { categories, walletId: 'cash' });
+    expect(twice[0].importKey).toBe(once[0].importKey);
+  });
+
+  it('keeps a repeated FITID once', () => {
+    const entry = { date: '2026-04-02', amount: -4.5, payee: 'Coffee', memo: '', category: '', fitId: 'A1' };
+    const drafts = statementToDrafts({ accountId: '123', entries: [entry, entry] }, { categories, walletId: 'cash' });
+    expect(drafts).toHaveLength(1);
+  });
+});
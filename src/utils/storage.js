@@ -0,0 +1,261 @@
+// ───────────── Persistence layer ─────────────
+// Every collection goes through a storage adapter with the same async
+// get/set shape. IndexedDB is preferred; localStorage is the fallback
+// for browsers (or private modes) where IndexedDB is unavailable.
+// Attachments (receipt files) are kept apart from the collections and
+// are read and written one file at a time.
+
+// Keys that may exist in localStorage from before the IndexedDB backend
+export const STORAGE_KEYS = ['transactions', 'categories', 'budgets', 'recurringTemplates', 'wallets'];
+
+const DB_NAME    = 'monivra';
+const DB_VERSION = 2;
+
+// Collections stored one record per row instead of one JSON blob
+const RECORD_STORES = ['transactions'];
+const COLLECTIONS_STORE = 'collections';
+const ATTACHMENTS_STORE = 'attachments';
+const ATTACHMENT_PREFIX = 'attachment:';
+const MIGRATED_FLAG = '__migratedFromLocalStorage';
+
+
+// ── Blob helpers ──────────────────────────────────────────────
+export const blobToDataURL = (blob) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload  = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+
+export const dataURLToBlob = (dataURL) => {
+  const [header, body] = dataURL.split(',');
+  const type = header.match(/^data:([^;]*)/)?.[1] || 'application/octet-stream';
+  const bytes = header.includes(';base64') ? atob(body) : decodeURIComponent(body);
+  const buffer = new Uint8Array(bytes.length);
+  for (let i = 0; i < bytes.length; i++) buffer[i] = bytes.charCodeAt(i);
+  return new Blob([buffer], { type });
+};
+
+
+// ── localStorage adapter ──────────────────────────────────────
+// Attachments are stored as data URLs, one key each
+export const createLocalStorageAdapter = () => ({
+  name: 'localStorage',
+
+  async get(key) {
+    const stored = localStorage.getItem(key);
+    return stored ? JSON.parse(stored) : undefined;
+  },
+
+  async set(key, data) {
+    localStorage.setItem(key, JSON.stringify(data));
+  },
+
+  async getAttachment(id) {
+    const stored = localStorage.getItem(ATTACHMENT_PREFIX + id);
+    if (!stored) return undefined;
+    const { data, ...meta } = JSON.parse(stored);
+    return { ...meta, blob: dataURLToBlob(data) };
+  },
+
+  async putAttachment({ blob, ...meta }) {
+    localStorage.setItem(ATTACHMENT_PREFIX + meta.id, JSON.stringify({ ...meta, data: await blobToDataURL(blob) }));
+  },
+
+  async deleteAttachments(ids) {
+    ids.forEach(id => localStorage.removeItem(ATTACHMENT_PREFIX + id));
+  },
+
+  async listAttachmentIds() {
+    return Object.keys(localStorage)
+      .filter(key => key.startsWith(ATTACHMENT_PREFIX))
+      .map(key => key.slice(ATTACHMENT_PREFIX.length));
+  },
+});
+
+
+// ── IndexedDB adapter ─────────────────────────────────────────
+const requestToPromise = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror   = () => reject(request.error);
+  });
+
+const transactionDone = (tx) =>
+  new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror    = () => reject(tx.error);
+    tx.onabort    = () => reject(tx.error || new DOMException('Write was aborted', 'AbortError'));
+  });
+
+const openDatabase = () =>
+  new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      RECORD_STORES.forEach(store => {
+        if (!db.objectStoreNames.contains(store)) db.createObjectStore(store, { keyPath: 'id' });
+      });
+      if (!db.objectStoreNames.contains(COLLECTIONS_STORE)) db.createObjectStore(COLLECTIONS_STORE);
+      // v2 — receipt attachments
+      if (!db.objectStoreNames.contains(ATTACHMENTS_STORE)) db.createObjectStore(ATTACHMENTS_STORE, { keyPath: 'id' });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror   = () => reject(request.error);
+    request.onblocked = () => reject(new Error('Database is blocked by another open tab.'));
+  });
+
+// Record stores keep their array order under "<key>:order" in the collections store
+const orderKey = (key) => `${key}:order`;
+
+export const createIndexedDBAdapter = (db) => {
+  // Last persisted record per id, so a save only writes what actually changed
+  const lastSaved = {};
+
+  const getRecords = async (key) => {
+    const tx = db.transaction([key, COLLECTIONS_STORE], 'readonly');
+    const [records, order] = await Promise.all([
+      requestToPromise(tx.objectStore(key).getAll()),
+      requestToPromise(tx.objectStore(COLLECTIONS_STORE).get(orderKey(key))),
+    ]);
+    if (!order) return undefined;
+
+    const byId = new Map(records.map(r => [r.id, r]));
+    const ordered = order.filter(id => byId.has(id)).map(id => byId.get(id));
+    // Records missing from the order list (e.g. a partial write) go last
+    const listed = new Set(order);
+    records.forEach(r => { if (!listed.has(r.id)) ordered.push(r); });
+
+    lastSaved[key] = { records: new Map(ordered.map(r => [r.id, r])), order: ordered.map(r => r.id) };
+    return ordered;
+  };
+
+  const setRecords = async (key, data) => {
+    const previous = lastSaved[key] || { records: new Map(), order: null };
+    const tx = db.transaction([key, COLLECTIONS_STORE], 'readwrite');
+    const store = tx.objectStore(key);
+
+    const nextIds = new Set();
+    data.forEach(record => {
+      nextIds.add(record.id);
+      if (previous.records.get(record.id) !== record) store.put(record);
+    });
+    previous.records.forEach((_, id) => {
+      if (!nextIds.has(id)) store.delete(id);
+    });
+
+    const order = data.map(r => r.id);
+    const orderChanged =
+      !previous.order ||
+      previous.order.length !== order.length ||
+      previous.order.some((id, i) => id !== order[i]);
+    if (orderChanged) tx.objectStore(COLLECTIONS_STORE).put(order, orderKey(key));
+
+    lastSaved[key] = { records: new Map(data.map(r => [r.id, r])), order };
+    try {
+      await transactionDone(tx);
+    } catch (err) {
+      // Forget the snapshot so the next save rewrites everything
+      delete lastSaved[key];
+      throw err;
+    }
+  };
+
+  return {
+    name: 'indexedDB',
+
+    async get(key) {
+      if (RECORD_STORES.includes(key)) return getRecords(key);
+      const tx = db.transaction(COLLECTIONS_STORE, 'readonly');
+      return requestToPromise(tx.objectStore(COLLECTIONS_STORE).get(key));
+    },
+
+    async set(key, data) {
+      if (RECORD_STORES.includes(key)) return setRecords(key, data);
+      const tx = db.transaction(COLLECTIONS_STORE, 'readwrite');
+      tx.objectStore(COLLECTIONS_STORE).put(data, key);
+      await transactionDone(tx);
+    },
+
+    async getAttachment(id) {
+      const tx = db.transaction(ATTACHMENTS_STORE, 'readonly');
+      return requestToPromise(tx.objectStore(ATTACHMENTS_STORE).get(id));
+    },
+
+    async putAttachment(record) {
+      const tx = db.transaction(ATTACHMENTS_STORE, 'readwrite');
+      tx.objectStore(ATTACHMENTS_STORE).put(record);
+      await transactionDone(tx);
+    },
+
+    async deleteAttachments(ids) {
+      const tx = db.transaction(ATTACHMENTS_STORE, 'readwrite');
+      const store = tx.objectStore(ATTACHMENTS_STORE);
+      ids.forEach(id => store.delete(id));
+      await transactionDone(tx);
+    },
+
+    async listAttachmentIds() {
+      const tx = db.transaction(ATTACHMENTS_STORE, 'readonly');
+      return requestToPromise(tx.objectStore(ATTACHMENTS_STORE).getAllKeys());
+    },
+  };
+};
+
+
+// ── One-time move from localStorage into IndexedDB ────────────
+const migrateFromLocalStorage = async (adapter) => {
+  if (await adapter.get(MIGRATED_FLAG)) return;
+
+  const migrated = [];
+  for (const key of STORAGE_KEYS) {
+    const stored = localStorage.getItem(key);
+    if (!stored) continue;
+    let data;
+    try {
+      data = JSON.parse(stored);
+    } catch {
+      continue; // leave unreadable data in place rather than lose it
+    }
+    await adapter.set(key, data);
+    migrated.push(key);
+  }
+
+  await adapter.set(MIGRATED_FLAG, new Date().toISOString());
+  // Only free the old copies once everything is safely in IndexedDB
+  migrated.forEach(key => localStorage.removeItem(key));
+};
+
+
+// ── Active adapter ────────────────────────────────────────────
+let adapterPromise = null;
+
+const initAdapter = async () => {
+  if (typeof indexedDB === 'undefined') return createLocalStorageAdapter();
+  try {
+    const adapter = createIndexedDBAdapter(await openDatabase());
+    await migrateFromLocalStorage(adapter);
+    return adapter;
+  } catch (err) {
+    console.warn('IndexedDB unavailable, falling back to localStorage.', err);
+    return createLocalStorageAdapter();
+  }
+};
+
+export const getStorageAdapter = () => {
+  if (!adapterPromise) adapterPromise = initAdapter();
+  return adapterPromise;
+};
+
+
+// ── User-facing error messages ────────────────────────────────
+const isQuotaError = (err) =>
+  err?.name === 'QuotaExceededError' ||
+  err?.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+  err?.code === 22;
+
+export const describeStorageError = (err) =>
+  isQuotaError(err)
+    ? 'Browser storage is full, so your latest changes were not saved. Export a backup and remove old data to free up space.'
+    : 'Your latest changes could not be saved to this browser. Export a backup to keep them safe.';